@@ -0,0 +1,25 @@
+/**
+ * Audit Log Configuration
+ *
+ * State-changing requests (anything but GET/HEAD/OPTIONS) to NeoCore and devices and
+ * every WebSocket session are appended to AUDIT_LOG_DIR/audit.log as JSON lines.
+ * The file rotates at maxBytes; rotated files are kept as audit.log.1 (newest) ... audit.log.N.
+ */
+
+const path = require('path');
+
+const AUDIT = {
+  enabled: process.env.AUDIT_LOG_DISABLED !== '1',
+  dir: path.resolve(process.env.AUDIT_LOG_DIR || path.join(__dirname, '../../logs')),
+  maxBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES || '10', 10),   // Rotated files kept
+
+  // Methods that never change state and are not audited over HTTP
+  readMethods: ['GET', 'HEAD', 'OPTIONS'],
+
+  // /admin/audit result size
+  defaultLimit: 100,
+  maxLimit: 1000
+};
+
+module.exports = AUDIT;
@@ -0,0 +1,38 @@
+/**
+ * Authentication Configuration
+ *
+ * Local accounts: config/users.js (or a JSON file via AUTH_USERS_FILE)
+ * OIDC provider:  enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set
+ *
+ * Session tokens are HMAC-signed with AUTH_SECRET. If it is not set a random
+ * secret is generated at startup, which logs everybody out on every restart.
+ */
+
+const crypto = require('crypto');
+
+const AUTH = {
+  enabled: process.env.AUTH_DISABLED !== '1',
+  secret: process.env.AUTH_SECRET || null,
+  generatedSecret: !process.env.AUTH_SECRET,
+  cookieName: 'vpn-auth',
+  tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL || '43200', 10),  // 12 hours
+  usersFile: process.env.AUTH_USERS_FILE || null,
+
+  oidc: {
+    enabled: !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,          // e.g. https://proxy.example.com/auth/oidc/callback
+    scope: process.env.OIDC_SCOPE || 'openid profile email',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    grantsClaim: process.env.OIDC_GRANTS_CLAIM || 'vpn_grants',  // e.g. ["site1:operator", "site2/device1:viewer"]
+    displayName: process.env.OIDC_DISPLAY_NAME || 'Single Sign-On'
+  }
+};
+
+if (!AUTH.secret) {
+  AUTH.secret = crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = AUTH;
@@ -0,0 +1,32 @@
+/**
+ * Response Cache Configuration
+ *
+ * Proxied GET responses are cached per NeoCore and device, in memory up to `memoryBytes`
+ * and then on disk up to `diskBytes` (least recently used entries move down, then out).
+ *
+ * Responses without Cache-Control/Expires are only cached when their path ends in one of
+ * the `staticTtl` extensions, for that many seconds. A site (`cache`) or a device in its
+ * deviceList (`cache`) can turn caching off or override the static TTLs:
+ *   cache: { enabled: true, staticTtl: { js: 600, png: 86400 } }
+ */
+
+const path = require('path');
+
+const staticTtlSeconds = parseInt(process.env.CACHE_STATIC_TTL || '3600', 10);
+const STATIC_EXTENSIONS = ['js', 'css', 'map', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'ico', 'webp', 'woff', 'woff2', 'ttf', 'otf', 'eot'];
+
+const CACHE = {
+  enabled: process.env.CACHE_DISABLED !== '1',
+  dir: path.resolve(process.env.CACHE_DIR || path.join(__dirname, '../../data/cache')),
+  memoryBytes: parseInt(process.env.CACHE_MEMORY_MB || '64', 10) * 1024 * 1024,
+  diskBytes: parseInt(process.env.CACHE_DISK_MB || '512', 10) * 1024 * 1024,
+  maxEntryBytes: parseInt(process.env.CACHE_MAX_ENTRY_MB || '8', 10) * 1024 * 1024,
+
+  // Extension → seconds, for responses that carry no freshness information
+  staticTtl: Object.fromEntries(STATIC_EXTENSIONS.map(ext => [ext, staticTtlSeconds])),
+
+  // Response headers that belong to one exchange and are never replayed from the cache
+  skipHeaders: ['connection', 'keep-alive', 'transfer-encoding', 'date', 'age', 'x-cache', 'x-request-id']
+};
+
+module.exports = CACHE;
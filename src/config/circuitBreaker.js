@@ -0,0 +1,19 @@
+/**
+ * Circuit Breaker Configuration
+ *
+ * After `failureThreshold` consecutive connection failures a site (or device) fails
+ * fast with 503 for `openSeconds`; then a single probe request decides whether it closes.
+ */
+
+const CIRCUIT_BREAKER = {
+  enabled: process.env.CIRCUIT_BREAKER_DISABLED !== '1',
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  openSeconds: parseInt(process.env.CIRCUIT_OPEN_SECONDS || '30', 10),
+  // A probe that never reports back (client gave up) frees its slot after this long
+  probeTimeoutSeconds: 35,
+
+  // Upstream errors that mean "unreachable" (client disconnects never reach the proxy onError)
+  failureCodes: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'ENOTFOUND', 'EAI_AGAIN']
+};
+
+module.exports = CIRCUIT_BREAKER;
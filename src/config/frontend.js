@@ -0,0 +1,27 @@
+/**
+ * Frontend Configuration
+ *
+ * The NeoCore React build is loaded into memory at startup from its asset-manifest.json
+ * (chunks, media, source maps) plus the top-level public files (favicon, logos, ...).
+ * Precompressed `.br` / `.gz` siblings are served to clients that accept them.
+ *
+ * Several builds can be served side by side: `buildDir` is the version named "default",
+ * every subdirectory of `buildsDir` is a version named after the directory
+ * (src/builds/2.4.0 → "2.4.0"). A site picks one with `frontendVersion`; sites without
+ * it get `defaultVersion`.
+ */
+
+const path = require('path');
+
+const FRONTEND = {
+  buildDir: path.resolve(process.env.FRONTEND_BUILD_DIR || path.join(__dirname, '../build')),
+  buildsDir: path.resolve(process.env.FRONTEND_BUILDS_DIR || path.join(__dirname, '../builds')),
+  defaultVersion: process.env.FRONTEND_DEFAULT_VERSION || 'default',
+
+  // Content-hashed files (main.bf1167fb.js, 787.3c1a9e2f.chunk.js, logo.5d5d9eef3e8e4e8b.svg)
+  hashedPattern: /\.[0-9a-f]{8,}\./,
+  immutableCacheControl: 'public, max-age=31536000, immutable',
+  cacheControl: 'public, max-age=3600'
+};
+
+module.exports = FRONTEND;
@@ -0,0 +1,22 @@
+/**
+ * Health Monitor Configuration
+ *
+ * Every NeoCore target, wsTarget and device is probed in the background;
+ * results are reported by /health and /health/history.
+ */
+
+const HEALTH = {
+  enabled: process.env.HEALTH_CHECK_DISABLED !== '1',
+  intervalSeconds: parseInt(process.env.HEALTH_CHECK_INTERVAL || '30', 10),
+  timeoutSeconds: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '5', 10),
+  historySize: parseInt(process.env.HEALTH_HISTORY_SIZE || '500', 10),   // Transitions kept in memory
+
+  // Probe paths per target type (any response below 500 counts as up)
+  paths: {
+    neocore: '/api/health',
+    neocoreWs: '/socket.io/?EIO=4&transport=polling',
+    device: '/'
+  }
+};
+
+module.exports = HEALTH;
@@ -0,0 +1,16 @@
+/**
+ * Metrics Configuration
+ *
+ * /metrics is served in Prometheus text format. Scrapers authenticate with
+ * METRICS_TOKEN (Authorization: Bearer <token>); without it a global admin session is required.
+ */
+
+const METRICS = {
+  token: process.env.METRICS_TOKEN || null,
+
+  // Histogram buckets (seconds)
+  upstreamBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  rewriteBuckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1]
+};
+
+module.exports = METRICS;
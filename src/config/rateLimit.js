@@ -0,0 +1,38 @@
+/**
+ * Rate Limit Configuration
+ *
+ * NeoCore boxes sit behind narrow cellular links, so each site's NeoCore and each device
+ * gets its own limits. These are the defaults; a site (`limits`) or a device in its
+ * deviceList (`limits`) overrides any of them. Devices inherit their site's overrides.
+ * 0 disables a limit.
+ */
+
+const RATE_LIMIT = {
+  enabled: process.env.RATE_LIMIT_DISABLED !== '1',
+
+  defaults: {
+    // Token bucket per client (signed-in user, or IP when auth is off). A cold load of a
+    // device web UI fetches a hundred or more scripts, images and CGI calls at once, so the
+    // burst has to cover a whole page; cache hits are answered before the limiter
+    requestsPerSecond: parseFloat(process.env.RATE_LIMIT_RPS || '50'),
+    burst: parseInt(process.env.RATE_LIMIT_BURST || '200', 10),
+    // Upstream requests in flight at once; further requests wait in a FIFO queue
+    maxConcurrent: parseInt(process.env.RATE_LIMIT_CONCURRENCY || '16', 10),
+    maxQueued: parseInt(process.env.RATE_LIMIT_QUEUE || '64', 10),
+    queueTimeoutSeconds: parseInt(process.env.RATE_LIMIT_QUEUE_TIMEOUT || '10', 10),
+    // Socket.IO polling requests in flight at once (outside maxConcurrent: each is held
+    // upstream for the poll interval)
+    maxLongPolls: parseInt(process.env.RATE_LIMIT_LONG_POLLS || '32', 10),
+    // Open WebSocket sessions at once
+    maxWebSockets: parseInt(process.env.RATE_LIMIT_WEBSOCKETS || '32', 10)
+  },
+
+  // Retry-After for upgrades refused because maxWebSockets sessions are open, and for
+  // polling requests over maxLongPolls
+  websocketRetryAfterSeconds: 5,
+
+  // Idle client buckets are dropped after this long
+  clientIdleSeconds: 300
+};
+
+module.exports = RATE_LIMIT;
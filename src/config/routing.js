@@ -0,0 +1,15 @@
+/**
+ * Site Resolution Configuration
+ *
+ * Root-level /api, /socket.io and image requests carry no site in their URL; it is taken
+ * from the page's session token or Referer/Origin. In strict mode (default) a request whose
+ * site cannot be determined that way is refused - with 421 for HTTP and a rejected upgrade
+ * for WebSockets. Legacy mode also reads the vpn-site cookie (shared by all tabs) and falls
+ * back to the first accessible site.
+ */
+
+const ROUTING = {
+  strictSiteResolution: process.env.STRICT_SITE_RESOLUTION !== '0'
+};
+
+module.exports = ROUTING;
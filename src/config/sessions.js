@@ -0,0 +1,30 @@
+/**
+ * Session Store Configuration
+ *
+ * Per-page site sessions (see sessionManager) live in one of three stores:
+ *   memory  in-process, lost on restart (default)
+ *   file    JSON file, survives restarts (one process, or a few sharing a volume)
+ *   sqlite  SQLite database via the optional better-sqlite3 package, shareable between processes
+ *
+ * A session expires after `idleTtlSeconds` without use (sliding) and `maxAgeSeconds` after
+ * it was created, whichever comes first.
+ */
+
+const path = require('path');
+
+const dataDir = path.join(__dirname, '../../data');
+
+const SESSIONS = {
+  store: process.env.SESSION_STORE || 'memory',
+  file: path.resolve(process.env.SESSION_STORE_FILE || path.join(dataDir, 'sessions.json')),
+  sqliteFile: path.resolve(process.env.SESSION_STORE_SQLITE || path.join(dataDir, 'sessions.db')),
+
+  idleTtlSeconds: parseInt(process.env.SESSION_IDLE_TTL || '86400', 10),      // 24 hours
+  maxAgeSeconds: parseInt(process.env.SESSION_MAX_AGE || '604800', 10),       // 7 days
+
+  // lastAccess is written back at most this often per session (keeps file/SQLite writes down)
+  touchIntervalSeconds: 60,
+  cleanupIntervalSeconds: 3600
+};
+
+module.exports = SESSIONS;
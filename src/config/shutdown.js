@@ -0,0 +1,16 @@
+/**
+ * Graceful Shutdown Configuration
+ *
+ * On SIGTERM/SIGINT the server stops accepting connections, /health reports "draining",
+ * open WebSockets get a close frame and in-flight requests have `graceSeconds` to finish.
+ */
+
+const SHUTDOWN = {
+  graceSeconds: parseInt(process.env.SHUTDOWN_GRACE_SECONDS || '25', 10),
+
+  // WebSocket close frame sent to clients (1001 = going away; clients reconnect)
+  closeCode: 1001,
+  closeReason: 'Server shutting down'
+};
+
+module.exports = SHUTDOWN;
@@ -0,0 +1,44 @@
+/**
+ * TLS Configuration
+ *
+ * HTTPS listeners are enabled by TLS_CERT_FILE + TLS_KEY_FILE (one listener on TLS_PORT),
+ * or by a JSON/YAML file (TLS_CONFIG_FILE) whose settings replace these:
+ *
+ *   listeners:
+ *     - { port: 443, cert: /etc/letsencrypt/live/proxy/fullchain.pem, key: .../privkey.pem }
+ *     - { port: 8443, host: 10.9.0.1, cert: ..., key: ..., ca: ... }
+ *   redirectHttp: true
+ *   hsts: { maxAge: 31536000, includeSubDomains: true }
+ *
+ * Certificate files are watched; renewed certificates are used for new connections
+ * without a restart.
+ */
+
+const TLS = {
+  configFile: process.env.TLS_CONFIG_FILE || null,
+
+  listeners: process.env.TLS_CERT_FILE && process.env.TLS_KEY_FILE
+    ? [{
+      port: parseInt(process.env.TLS_PORT || '3443', 10),
+      host: process.env.TLS_HOST || process.env.HOST || '0.0.0.0',
+      cert: process.env.TLS_CERT_FILE,
+      key: process.env.TLS_KEY_FILE,
+      ca: process.env.TLS_CA_FILE || undefined
+    }]
+    : [],
+
+  // Answer plain HTTP with a redirect to the first HTTPS listener (/health stays reachable)
+  redirectHttp: process.env.TLS_REDIRECT_HTTP === '1',
+
+  // Strict-Transport-Security on HTTPS responses (maxAge 0 = not sent)
+  hsts: {
+    maxAge: parseInt(process.env.TLS_HSTS_MAX_AGE || '0', 10),
+    includeSubDomains: process.env.TLS_HSTS_INCLUDE_SUBDOMAINS === '1',
+    preload: false
+  },
+
+  // Certificate file polling interval
+  watchIntervalMs: 5000
+};
+
+module.exports = TLS;
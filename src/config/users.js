@@ -0,0 +1,31 @@
+/**
+ * Local User Accounts
+ *
+ * Passwords are stored as scrypt hashes. Generate one with:
+ *   npm run hash-password -- 'the-password'
+ *
+ * Grants bind a role (viewer | operator | admin) to a site, "*" (all sites)
+ * or a single device ("site1/device2"). See services/accessControl.js.
+ *
+ * Set AUTH_USERS_FILE to load the same array from a JSON file instead.
+ */
+
+const USERS = [
+  // {
+  //   username: "admin",
+  //   passwordHash: "scrypt:<salt>:<hash>",
+  //   grants: ["*:admin"],
+  // },
+  // {
+  //   username: "tech1",
+  //   passwordHash: "scrypt:<salt>:<hash>",
+  //   grants: ["site1:operator", "site2/device1:operator"],
+  // },
+  // {
+  //   username: "customer-site2",
+  //   passwordHash: "scrypt:<salt>:<hash>",
+  //   grants: [{ site: "site2", role: "viewer" }],
+  // },
+];
+
+module.exports = USERS;
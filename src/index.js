@@ -5,53 +5,142 @@
 const express = require("express");
 const http = require("http");
 const cookieParser = require("cookie-parser");
-const SITES = require("./config/sites");
-const { registerAllRoutes } = require("./services/routeManager");
+const { loadSites, watchSites } = require("./services/siteStore");
+const { validateSites } = require("./services/siteValidator");
+const { registerAllRoutes, refreshSite } = require("./services/routeManager");
+const { registerAdminRoutes } = require("./services/adminApi");
+const { authenticate, requireAuth, registerAuthRoutes, watchUsers } = require("./services/authService");
+const { authorize, visibleSites, getSiteRole, getDeviceRole } = require("./services/accessControl");
+const { startHealthMonitor, stopHealthMonitor, getNeocoreHealth, getDeviceHealth, combineStatus, getHistory } = require("./services/healthMonitor");
+const { getCircuitState } = require("./services/circuitBreaker");
+const { getLimiterState } = require("./services/rateLimiter");
+const { registerMetricsRoute } = require("./services/metrics");
+const { registerAuditRoutes } = require("./services/auditLog");
+const { registerDashboardRoutes } = require("./services/dashboard");
+const { loadFrontend } = require("./services/assetsService");
+const { getStore } = require("./services/sessionManager");
+const { createTlsServers, listenTlsServers, stopCertificateWatch, tlsMiddleware } = require("./services/tlsServer");
+const { drainMiddleware, isDraining, getDrainState, gracefulShutdown } = require("./services/shutdown");
+const { logger, requestLogger } = require("./services/logger");
+
+// Live site configuration - mutated in place by the admin API
+const SITES = loadSites();
+
+// Refuse to start with a broken config - otherwise it only shows up as 502s at runtime
+const configErrors = validateSites(SITES);
+if (configErrors.length > 0) {
+  logger.error('Invalid site configuration', { errors: configErrors });
+  process.exit(1);
+}
+
+// Session store (SESSION_STORE) - e.g. a missing better-sqlite3 fails here, not on the first page load
+try {
+  getStore();
+} catch (err) {
+  logger.error('Invalid session store configuration', { errors: [err.message] });
+  process.exit(1);
+}
+
+// NeoCore frontend build, served from memory
+loadFrontend();
 
 const app = express();
 const server = http.createServer(app);
 
+// Optional HTTPS listeners (TLS_CERT_FILE/TLS_KEY_FILE or TLS_CONFIG_FILE)
+let tlsServers;
+try {
+  tlsServers = createTlsServers(app);
+} catch (err) {
+  logger.error('Invalid TLS configuration', { errors: err.errors || [err.message] });
+  process.exit(1);
+}
+
 // Attach server to app for WebSocket support
 app.set('server', server);
 
+// Request ID + access log (first, so every later handler has req.log)
+app.use(requestLogger);
+
+// HSTS on HTTPS, optional redirect of plain HTTP
+app.use(tlsMiddleware);
+
+// In-flight request tracking for graceful shutdown
+app.use(drainMiddleware);
+
 // Cookie parser middleware (for site tracking)
 app.use(cookieParser());
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`🌐 ${req.method} ${req.url} | ${req.ip || 'unknown'}`);
-  next();
-});
+// Resolve the signed-in user (enforcement happens in routeManager)
+app.use(authenticate);
 
-// Health check
+// Health check (lists only the sites and devices the caller may access)
+// Up/down state comes from the background health monitor, circuit and limiter state from the proxies
+// While shutting down it answers 503 "draining" so load balancers stop sending traffic
 app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
+  res.status(isDraining() ? 503 : 200).json({
+    status: isDraining() ? "draining" : "ok",
+    drain: isDraining() ? getDrainState() : undefined,
     timestamp: new Date().toISOString(),
     architecture: "OpenVPN-based site-to-site routing",
-    sites: Object.values(SITES).map(site => ({
-      name: site.name,
-      vpnIp: site.vpnIp,              // VPN transport IP (10.9.0.x)
-      neocore: { 
-        enabled: site.neocore?.enabled || false, 
-        target: site.neocore?.target 
-      },
-      devices: { 
-        enabled: site.devices?.enabled || false,
-        deviceCount: site.devices?.deviceList ? Object.keys(site.devices.deviceList).length : 0,
-        deviceList: site.devices?.deviceList ? Object.entries(site.devices.deviceList).map(([id, config]) => ({
+    sites: visibleSites(req.user, SITES).map(({ site, role, deviceIds }) => {
+      const neocoreHealth = role && site.neocore?.enabled ? getNeocoreHealth(site.name) : null;
+      const deviceList = deviceIds.map(id => {
+        const config = site.devices.deviceList[id];
+        return {
           id,
           name: config.name || id,
           virtualIp: config.virtualIp,
-          target: config.target
-        })) : []
-      }
-    }))
+          target: config.target,
+          health: getDeviceHealth(site.name, id),
+          circuit: getCircuitState(`${site.name}/devices/${id}`),
+          limits: getLimiterState(`${site.name}/devices/${id}`)
+        };
+      });
+      const statuses = [
+        ...(neocoreHealth ? [neocoreHealth.status, neocoreHealth.ws?.status || 'unknown'] : []),
+        ...deviceList.map(device => device.health.status)
+      ];
+
+      return {
+        name: site.name,
+        vpnIp: site.vpnIp,              // VPN transport IP (10.9.0.x)
+        role,
+        status: combineStatus(statuses),
+        neocore: { 
+          enabled: (role && site.neocore?.enabled) || false, 
+          target: role ? site.neocore?.target : undefined,
+          health: neocoreHealth || undefined,
+          circuit: neocoreHealth ? getCircuitState(site.name) : undefined,
+          limits: neocoreHealth ? getLimiterState(site.name) : undefined
+        },
+        devices: { 
+          enabled: site.devices?.enabled || false,
+          deviceCount: deviceIds.length,
+          deviceList
+        }
+      };
+    })
+  });
+});
+
+// Recent up/down transitions (?site=&device=&limit=), limited to what the caller may access
+app.get("/health/history", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({
+    history: getHistory({
+      site: req.query.site,
+      deviceId: req.query.device,
+      limit,
+      visible: entry => !!(entry.deviceId
+        ? getDeviceRole(req.user, entry.site, entry.deviceId)
+        : getSiteRole(req.user, entry.site))
+    })
   });
 });
 
 // Backend connectivity test endpoint
-app.get("/test-backend/:siteName", async (req, res) => {
+app.get("/test-backend/:siteName", requireAuth, authorize(req => req.params.siteName), async (req, res) => {
   const siteName = req.params.siteName;
   const site = SITES[siteName];
   
@@ -133,11 +222,13 @@ app.get("/test-backend/:siteName", async (req, res) => {
   });
 });
 
-// Graceful shutdown
-const shutdown = () => {
-  console.log("🛑 Shutting down gracefully...");
-  process.exit(0);
-};
+// Graceful shutdown: drain HTTP requests and WebSockets, exit when done or at the deadline
+const shutdown = () => gracefulShutdown([server, ...tlsServers], {
+  onDrain: () => {
+    stopHealthMonitor();
+    stopCertificateWatch();
+  }
+});
 process.on("SIGTERM", shutdown);
 process.on("SIGINT", shutdown);
 
@@ -145,22 +236,33 @@ process.on("SIGINT", shutdown);
 const PORT = process.env.PORT || 3003;
 const HOST = process.env.HOST || "0.0.0.0";
 
-registerAllRoutes(app, SITES, server);
+registerAuthRoutes(app);
+registerMetricsRoute(app);
+registerAuditRoutes(app);
+registerAdminRoutes(app, SITES);
+registerAllRoutes(app, SITES, [server, ...tlsServers]);
+registerDashboardRoutes(app, SITES);   // After the device asset rewrite, which may claim "/"
+
+// Hot reload: re-register routes of sites whose config file entry changed
+if (process.env.SITES_WATCH !== '0') {
+  watchSites(SITES, changed => changed.forEach(refreshSite));
+}
+
+// Account and grant changes in AUTH_USERS_FILE apply without a restart
+watchUsers();
+
+// Background up/down probing of every NeoCore and device (reads SITES live)
+startHealthMonitor(SITES);
 
 server.listen(PORT, HOST, () => {
-  console.log(`\n✅ VPN Proxy Service → http://${HOST}:${PORT}\n`);
-  console.log(`   📡 Architecture: OpenVPN-based site-to-site routing (SRS compliant)\n`);
-  Object.values(SITES).forEach(s => {
-    if (s.neocore?.enabled) {
-      console.log(`   🌐 /vpn/${s.name}/neocore → ${s.neocore.target} (VPN IP: ${s.vpnIp})`);
-    }
-    if (s.devices?.enabled && s.devices.deviceList) {
-      const deviceCount = Object.keys(s.devices.deviceList).length;
-      console.log(`   🔧 /vpn/${s.name}/devices/* → ${deviceCount} device(s) configured`);
-      Object.entries(s.devices.deviceList).forEach(([deviceId, deviceConfig]) => {
-        console.log(`      └─ /vpn/${s.name}/devices/${deviceId} → ${deviceConfig.target} (${deviceConfig.name || deviceId})`);
-      });
-    }
+  logger.info('VPN Proxy Service listening', {
+    url: `http://${HOST}:${PORT}`,
+    sites: Object.values(SITES).map(s => ({
+      name: s.name,
+      neocore: s.neocore?.enabled ? `/vpn/${s.name}/neocore → ${s.neocore.target} (VPN IP: ${s.vpnIp})` : undefined,
+      devices: s.devices?.enabled && s.devices.deviceList ? Object.keys(s.devices.deviceList).length : undefined
+    })),
+    endpoints: ['/', '/admin/sites', '/health', '/health/history', '/metrics']
   });
-  console.log(`   ❤️  /health\n`);
 });
+listenTlsServers();   // HTTPS listeners, if configured
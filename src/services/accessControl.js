@@ -0,0 +1,146 @@
+/**
+ * Access Control - Role-based authorization per site and per device
+ *
+ * Roles (ascending): viewer < operator < admin
+ * - viewer:   read-only (GET/HEAD/OPTIONS) through the NeoCore API and device proxies
+ * - operator: full access to the granted site / device
+ * - admin:    operator + management; an admin grant on "*" is a global administrator
+ *
+ * Grants bind a role to a site ("site1"), every site ("*") or one device ("site1/device2").
+ * They can be written as objects { site, device, role } or strings "site1/device2:viewer".
+ * A site grant covers the site's NeoCore and all of its devices; a device grant covers only that device.
+ */
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Normalize a grant list (objects or "site[/device]:role" strings)
+ */
+function normalizeGrants(grants) {
+  if (!grants) return [];
+  const list = Array.isArray(grants) ? grants : [grants];
+
+  return list.map(grant => {
+    if (typeof grant === 'string') {
+      const [scope, role] = grant.split(':');
+      const [site, device] = (scope || '').split('/');
+      grant = { site, device, role };
+    }
+    if (!grant || !grant.site || !ROLES.includes(grant.role)) return null;
+    return { site: grant.site, device: grant.device || null, role: grant.role };
+  }).filter(Boolean);
+}
+
+function rank(role) {
+  return role ? ROLES.indexOf(role) : -1;
+}
+
+function highest(roles) {
+  return roles.reduce((best, role) => (rank(role) > rank(best) ? role : best), null);
+}
+
+/**
+ * Role on a whole site (NeoCore + all devices), or null
+ */
+function getSiteRole(user, siteName) {
+  if (!user) return null;
+  return highest((user.grants || [])
+    .filter(g => !g.device && (g.site === '*' || g.site === siteName))
+    .map(g => g.role));
+}
+
+/**
+ * Role on a single device (site grants included), or null
+ */
+function getDeviceRole(user, siteName, deviceId) {
+  if (!user) return null;
+  const deviceRoles = (user.grants || [])
+    .filter(g => g.device === deviceId && (g.site === '*' || g.site === siteName))
+    .map(g => g.role);
+  return highest([getSiteRole(user, siteName), ...deviceRoles]);
+}
+
+/**
+ * Global administrator (admin on "*")
+ */
+function isAdmin(user) {
+  return getSiteRole(user, '*') === 'admin';
+}
+
+/**
+ * Whether a role may change state (write requests, two-way WebSocket sessions)
+ */
+function canOperate(role) {
+  return rank(role) >= rank('operator');
+}
+
+/**
+ * Whether a role may perform a request method
+ */
+function isMethodAllowed(role, method) {
+  if (!role) return false;
+  return READ_METHODS.includes(method) || canOperate(role);
+}
+
+/**
+ * Middleware factory: require access to a site (or one of its devices)
+ *
+ * @param {string|Function} siteName - Site name, or function(req) returning it
+ * @param {string|null} deviceId - Device ID for device routes, null for NeoCore
+ * @param {Object} options - { readOnly: true } blocks state-changing methods for viewers
+ */
+function authorize(siteName, deviceId = null, options = {}) {
+  return (req, res, next) => {
+    const name = typeof siteName === 'function' ? siteName(req) : siteName;
+    const role = deviceId ? getDeviceRole(req.user, name, deviceId) : getSiteRole(req.user, name);
+    const target = deviceId ? `${name}/devices/${deviceId}` : `${name}/neocore`;
+
+    if (!role) {
+      req.log.warn('Access denied', { user: req.user?.username || 'anonymous', target });
+      return res.status(403).json({ error: 'Access denied', site: name, deviceId: deviceId || undefined });
+    }
+
+    if (options.readOnly && !isMethodAllowed(role, req.method)) {
+      req.log.warn('Read-only access denied', { user: req.user.username, role, method: req.method, target });
+      return res.status(403).json({ error: 'Read-only access', role, method: req.method });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware: require a global administrator
+ */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  res.status(403).json({ error: 'Administrator access required' });
+}
+
+/**
+ * Sites (and devices) a user may see
+ * Returns [{ site, role, deviceIds }] - role is null when only individual devices are granted
+ */
+function visibleSites(user, allSites) {
+  return Object.values(allSites).map(site => {
+    const role = getSiteRole(user, site.name);
+    const deviceIds = Object.keys(site.devices?.deviceList || {})
+      .filter(deviceId => getDeviceRole(user, site.name, deviceId));
+    if (!role && deviceIds.length === 0) return null;
+    return { site, role, deviceIds };
+  }).filter(Boolean);
+}
+
+module.exports = {
+  ROLES,
+  normalizeGrants,
+  getSiteRole,
+  getDeviceRole,
+  isAdmin,
+  canOperate,
+  isMethodAllowed,
+  authorize,
+  requireAdmin,
+  visibleSites
+};
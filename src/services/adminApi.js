@@ -0,0 +1,295 @@
+/**
+ * Admin API - Runtime management of sites and devices
+ *
+ * All routes require a global administrator. Changes are validated against the whole
+ * configuration (400 with `errors` if invalid), persisted via siteStore (500 and no change
+ * if that fails), then applied, rebuilding only the affected site's (or device's) proxies.
+ *
+ *   GET    /admin/sites
+ *   POST   /admin/sites                              (body: site, must include name)
+ *   GET    /admin/sites/:siteName
+ *   PUT    /admin/sites/:siteName                    (replace or create)
+ *   PATCH  /admin/sites/:siteName                    (deep merge, null removes a key)
+ *   DELETE /admin/sites/:siteName
+ *   GET    /admin/sites/:siteName/devices/:deviceId
+ *   PUT    /admin/sites/:siteName/devices/:deviceId  (replace or create)
+ *   PATCH  /admin/sites/:siteName/devices/:deviceId
+ *   DELETE /admin/sites/:siteName/devices/:deviceId
+ *   GET    /admin/sessions                           (?site= - active per-page site sessions)
+ *   DELETE /admin/sessions/:siteName                 (revoke all sessions of a site)
+ *   GET    /admin/cache                              (response cache sizes and hit counters)
+ *   DELETE /admin/cache/:siteName                    (purge a site: NeoCore and all devices)
+ *   DELETE /admin/cache/:siteName/devices/:deviceId  (purge one device)
+ *   GET    /admin/frontend                           (frontend versions and the sites on each)
+ *   POST   /admin/frontend/rollout                   (body: { version, sites } - null version unpins)
+ */
+
+const express = require('express');
+const { requireAuth } = require('./authService');
+const { requireAdmin } = require('./accessControl');
+const { refreshSite, refreshDevice } = require('./routeManager');
+const { saveSites } = require('./siteStore');
+const { validateSites } = require('./siteValidator');
+const { listSessions, revokeSiteSessions } = require('./sessionManager');
+const { purgeCache, cacheStats } = require('./responseCache');
+const { frontendVersions, frontendVersionOf, frontendState, loadVersion } = require('./assetsService');
+const FRONTEND = require('../config/frontend');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge a patch into a config object (null deletes the key)
+ */
+function mergeConfig(target, patch) {
+  const result = { ...target };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Register /admin/sites routes
+ *
+ * @param {Object} app - Express app
+ * @param {Object} sites - Live site configuration (mutated in place)
+ */
+function registerAdminRoutes(app, sites) {
+  const router = express.Router();
+  router.use(requireAuth, requireAdmin, express.json());
+
+  const requireBody = (req, res, next) => {
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Request body must be a JSON object' });
+    }
+    next();
+  };
+
+  const loadSite = (req, res, next) => {
+    req.site = sites[req.params.siteName];
+    if (!req.site) return res.status(404).json({ error: 'Site not found', site: req.params.siteName });
+    next();
+  };
+
+  // The whole configuration as it would look after the change (validated and saved as a whole)
+  const candidateWith = (siteName, site) => {
+    const candidate = { ...sites };
+    if (site) {
+      candidate[siteName] = site;
+    } else {
+      delete candidate[siteName];
+    }
+    return candidate;
+  };
+
+  const rejectInvalid = (res, errors) => {
+    res.status(400).json({ error: 'Invalid site configuration', errors });
+  };
+
+  // Changes are saved before they are applied: when SITES_FILE cannot be written, the live
+  // configuration, sessions and proxies stay as they were (500, see the error handler below)
+  const persist = (req, candidate) => {
+    try {
+      saveSites(candidate);
+    } catch (err) {
+      req.log.error('Admin change not saved', { user: req.user.username, method: req.method, url: req.originalUrl, err });
+      throw Object.assign(new Error('Site configuration could not be saved'), { saveFailed: true, cause: err });
+    }
+  };
+
+  const commitSite = (req, siteName, site) => {
+    const candidate = candidateWith(siteName, site);
+    const errors = validateSites(candidate);
+    if (errors.length > 0) return errors;
+
+    persist(req, candidate);
+    if (site) {
+      sites[siteName] = site;
+    } else {
+      delete sites[siteName];
+      revokeSiteSessions(siteName);
+    }
+    refreshSite(siteName);
+    req.log.info('Admin site change', { user: req.user.username, method: req.method, site: siteName });
+    return [];
+  };
+
+  const commitDevice = (req, site, deviceId, device) => {
+    const deviceList = { ...(site.devices?.deviceList || {}) };
+    if (device) {
+      deviceList[deviceId] = device;
+    } else {
+      delete deviceList[deviceId];
+    }
+    const updated = { ...site, devices: { enabled: true, ...site.devices, deviceList } };
+    const candidate = candidateWith(site.name, updated);
+    const errors = validateSites(candidate);
+    if (errors.length > 0) return errors;
+
+    persist(req, candidate);
+    sites[site.name] = updated;
+    refreshDevice(site.name, deviceId);
+    req.log.info('Admin device change', { user: req.user.username, method: req.method, site: site.name, deviceId });
+    return [];
+  };
+
+  router.get('/sites', (req, res) => {
+    res.json({ sites: Object.values(sites) });
+  });
+
+  router.post('/sites', requireBody, (req, res) => {
+    const siteName = req.body.name;
+    if (typeof siteName !== 'string' || !siteName) {
+      return res.status(400).json({ error: 'Site name is required' });
+    }
+    if (sites[siteName]) {
+      return res.status(409).json({ error: 'Site already exists', site: siteName });
+    }
+    const errors = commitSite(req, siteName, req.body);
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.status(201).json(sites[siteName]);
+  });
+
+  router.get('/sites/:siteName', loadSite, (req, res) => {
+    res.json(req.site);
+  });
+
+  router.put('/sites/:siteName', requireBody, (req, res) => {
+    const siteName = req.params.siteName;
+    const created = !sites[siteName];
+    const errors = commitSite(req, siteName, { ...req.body, name: siteName });
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.status(created ? 201 : 200).json(sites[siteName]);
+  });
+
+  router.patch('/sites/:siteName', loadSite, requireBody, (req, res) => {
+    const siteName = req.params.siteName;
+    const errors = commitSite(req, siteName, { ...mergeConfig(req.site, req.body), name: siteName });
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.json(sites[siteName]);
+  });
+
+  router.delete('/sites/:siteName', loadSite, (req, res) => {
+    const errors = commitSite(req, req.params.siteName, null);
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.status(204).end();
+  });
+
+  router.get('/sites/:siteName/devices/:deviceId', loadSite, (req, res) => {
+    const device = req.site.devices?.deviceList?.[req.params.deviceId];
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    res.json(device);
+  });
+
+  router.put('/sites/:siteName/devices/:deviceId', loadSite, requireBody, (req, res) => {
+    const created = !req.site.devices?.deviceList?.[req.params.deviceId];
+    const errors = commitDevice(req, req.site, req.params.deviceId, req.body);
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.status(created ? 201 : 200).json(sites[req.params.siteName].devices.deviceList[req.params.deviceId]);
+  });
+
+  router.patch('/sites/:siteName/devices/:deviceId', loadSite, requireBody, (req, res) => {
+    const device = req.site.devices?.deviceList?.[req.params.deviceId];
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    const errors = commitDevice(req, req.site, req.params.deviceId, mergeConfig(device, req.body));
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.json(sites[req.params.siteName].devices.deviceList[req.params.deviceId]);
+  });
+
+  router.delete('/sites/:siteName/devices/:deviceId', loadSite, (req, res) => {
+    if (!req.site.devices?.deviceList?.[req.params.deviceId]) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    const errors = commitDevice(req, req.site, req.params.deviceId, null);
+    if (errors.length > 0) return rejectInvalid(res, errors);
+    res.status(204).end();
+  });
+
+  router.get('/sessions', (req, res) => {
+    res.json({ sites: listSessions(req.query.site) });
+  });
+
+  router.delete('/sessions/:siteName', (req, res) => {
+    const revoked = revokeSiteSessions(req.params.siteName);
+    req.log.info('Admin sessions revoked', { user: req.user.username, site: req.params.siteName, count: revoked });
+    res.json({ site: req.params.siteName, revoked });
+  });
+
+  router.get('/cache', (req, res) => {
+    res.json(cacheStats());
+  });
+
+  router.delete('/cache/:siteName', (req, res) => {
+    const purged = purgeCache(req.params.siteName);
+    req.log.info('Admin cache purged', { user: req.user.username, site: req.params.siteName, count: purged });
+    res.json({ site: req.params.siteName, purged });
+  });
+
+  router.delete('/cache/:siteName/devices/:deviceId', (req, res) => {
+    const { siteName, deviceId } = req.params;
+    const purged = purgeCache(siteName, deviceId);
+    req.log.info('Admin cache purged', { user: req.user.username, site: siteName, deviceId, count: purged });
+    res.json({ site: siteName, deviceId, purged });
+  });
+
+  router.get('/frontend', (req, res) => {
+    const loaded = new Map(frontendState().map(build => [build.version, build]));
+    res.json({
+      defaultVersion: FRONTEND.defaultVersion,
+      versions: frontendVersions().map(version => ({
+        version,
+        ...(loaded.get(version) || { loaded: false }),
+        sites: Object.values(sites).filter(site => frontendVersionOf(site) === version).map(site => site.name)
+      }))
+    });
+  });
+
+  // Move sites to a version (staged rollout); each site's next page load gets the new build
+  router.post('/frontend/rollout', requireBody, (req, res) => {
+    const { version, sites: siteNames } = req.body;
+    if (version !== null && typeof version !== 'string') {
+      return res.status(400).json({ error: 'version must be a frontend version name or null (default build)' });
+    }
+    if (!Array.isArray(siteNames) || siteNames.length === 0) {
+      return res.status(400).json({ error: 'sites must be a non-empty array of site names' });
+    }
+    const unknown = siteNames.filter(name => !sites[name]);
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: 'Site not found', sites: unknown });
+    }
+
+    const candidate = { ...sites };
+    siteNames.forEach(name => {
+      candidate[name] = mergeConfig(sites[name], { frontendVersion: version });
+    });
+    const errors = validateSites(candidate);
+    if (errors.length > 0) return rejectInvalid(res, errors);
+
+    // Re-read the build so one deployed (or replaced) after startup is in memory before its first page load
+    if (version !== null) loadVersion(version);
+
+    const from = Object.fromEntries(siteNames.map(name => [name, frontendVersionOf(sites[name])]));
+    persist(req, candidate);
+    siteNames.forEach(name => { sites[name] = candidate[name]; });
+    req.log.info('Admin frontend rollout', { user: req.user.username, version: version ?? FRONTEND.defaultVersion, from });
+    res.json({ version: version ?? FRONTEND.defaultVersion, sites: siteNames, from });
+  });
+
+  // A change that could not be saved (see persist) - nothing was applied
+  router.use((err, req, res, next) => {
+    if (!err.saveFailed) return next(err);
+    res.status(500).json({ error: 'Site configuration could not be saved; nothing was changed', message: err.cause.message });
+  });
+
+  app.use('/admin', router);
+}
+
+module.exports = { registerAdminRoutes };
@@ -1,99 +1,278 @@
 /**
- * Assets Service - Serves static files and HTML
+ * Assets Service - Serves the NeoCore frontend build and its HTML
+ *
+ * The build is read into memory once (loadFrontend): every file listed in
+ * asset-manifest.json - entrypoints, lazy-loaded chunks, media, source maps - and the
+ * top-level public files. Requests never touch the disk.
+ *
+ * Content-hashed files are served with `immutable` long-term caching, everything else
+ * with a short max-age; precompressed `.br` / `.gz` variants are picked by Accept-Encoding.
+ *
+ * Each site is served the build named by its `frontendVersion` (see config/frontend), so
+ * a new UI can be rolled out site by site.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const FRONTEND = require('../config/frontend');
+const ROUTING = require('../config/routing');
+const { createSession } = require('./sessionManager');
+const { sessionShimScript } = require('./sessionShim');
+const { negotiateEncoding } = require('./responseRewriter');
+const { logger } = require('./logger');
 
-const BUILD_DIR = path.join(__dirname, '../build');
-const ASSETS_DIR = path.join(BUILD_DIR, 'static');
+const VARIANTS = { br: '.br', gzip: '.gz' };
+
+// Version names become directory names under FRONTEND.buildsDir
+const VERSION_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// version → loaded build { version, dir, files: Map(urlPath → asset), index, bytes, loadedAt }
+const builds = new Map();
+
+// version → when it was last looked for and not found; looked for again after MISSING_RECHECK_MS
+const missingVersions = new Map();
+const MISSING_RECHECK_MS = 60 * 1000;
+
+function etagOf(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+function readAsset(filePath, urlPath) {
+  const body = fs.readFileSync(filePath);
+  const asset = {
+    path: urlPath,
+    body,
+    etag: etagOf(body),
+    immutable: FRONTEND.hashedPattern.test(path.basename(urlPath)),
+    encodings: {}
+  };
+  Object.entries(VARIANTS).forEach(([encoding, suffix]) => {
+    if (!fs.existsSync(filePath + suffix)) return;
+    const variant = fs.readFileSync(filePath + suffix);
+    asset.encodings[encoding] = { body: variant, etag: etagOf(variant) };
+  });
+  return asset;
+}
 
 /**
- * Find main JS and CSS files dynamically
+ * Read a build directory into memory
+ * Files come from asset-manifest.json (files and entrypoints) plus the top-level
+ * public files; a missing manifest leaves only the latter.
+ *
+ * @param {string} dir - Build directory
+ * @returns {Object} { files: Map(urlPath → asset), index }
  */
-function findAssetFiles() {
-  const jsDir = path.join(ASSETS_DIR, 'js');
-  const cssDir = path.join(ASSETS_DIR, 'css');
-  
-  let jsFile = null, cssFile = null;
-  
-  if (fs.existsSync(jsDir)) {
-    const files = fs.readdirSync(jsDir).filter(f => f.startsWith('main.') && f.endsWith('.js'));
-    if (files.length > 0) jsFile = `js/${files[0]}`;
+function loadBuild(dir) {
+  const urlPaths = new Set();
+
+  const manifestPath = path.join(dir, 'asset-manifest.json');
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    Object.values(manifest.files || {}).forEach(file => urlPaths.add(`/${file.replace(/^\//, '')}`));
+    (manifest.entrypoints || []).forEach(file => urlPaths.add(`/${file.replace(/^\//, '')}`));
+  } else {
+    logger.warn('Frontend build has no asset-manifest.json - serving top-level files only', { dir });
   }
-  
-  if (fs.existsSync(cssDir)) {
-    const files = fs.readdirSync(cssDir).filter(f => f.startsWith('main.') && f.endsWith('.css'));
-    if (files.length > 0) cssFile = `css/${files[0]}`;
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !/\.(br|gz)$/.test(entry.name))
+      .forEach(entry => urlPaths.add(`/${entry.name}`));
   }
-  
-  return { jsFile, cssFile };
+
+  const files = new Map();
+  urlPaths.forEach(urlPath => {
+    const filePath = path.join(dir, urlPath);
+    if (!filePath.startsWith(dir + path.sep)) return;   // Manifest entries stay inside the build
+    if (!fs.existsSync(filePath)) {
+      logger.warn('Frontend file listed in asset-manifest.json is missing', { dir, file: urlPath });
+      return;
+    }
+    files.set(urlPath, readAsset(filePath, urlPath));
+  });
+
+  const index = files.get('/index.html');
+  return { files, index: index ? index.body.toString('utf8') : null };
 }
 
 /**
- * Serve asset file
+ * Directory of a frontend version (null for names that cannot be a build directory)
  */
-function serveAsset(req, res) {
-  try {
-    const { jsFile, cssFile } = findAssetFiles();
-    const url = req.url;
-    let filePath, contentType;
-    
-    if (url.includes('main.') && url.endsWith('.js')) {
-      if (!jsFile) return res.status(404).json({ error: 'JS file not found' });
-      filePath = path.join(ASSETS_DIR, jsFile);
-      contentType = 'application/javascript';
-    } else if (url.includes('main.') && url.endsWith('.css')) {
-      if (!cssFile) return res.status(404).json({ error: 'CSS file not found' });
-      filePath = path.join(ASSETS_DIR, cssFile);
-      contentType = 'text/css';
-    } else {
-      return res.status(404).json({ error: 'Asset not found' });
-    }
-    
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'Asset file not found' });
-    }
-    
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.sendFile(filePath);
-  } catch (err) {
-    if (!res.headersSent) {
-      res.status(500).json({ error: err.message });
+function versionDir(version) {
+  if (version === 'default') return FRONTEND.buildDir;
+  return VERSION_NAME.test(version || '') ? path.join(FRONTEND.buildsDir, version) : null;
+}
+
+/**
+ * Versions present on disk: "default" plus every build directory under FRONTEND.buildsDir
+ */
+function frontendVersions() {
+  const versions = fs.existsSync(FRONTEND.buildDir) ? ['default'] : [];
+  if (fs.existsSync(FRONTEND.buildsDir)) {
+    fs.readdirSync(FRONTEND.buildsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'default' && VERSION_NAME.test(entry.name))
+      .forEach(entry => versions.push(entry.name));
+  }
+  return versions;
+}
+
+/**
+ * Load (or reload) one frontend version into memory
+ * @returns {Object|null} The build, or null if the version does not exist on disk
+ */
+function loadVersion(version) {
+  const dir = versionDir(version);
+  if (!dir || !fs.existsSync(dir)) return null;
+
+  const build = { version, dir, ...loadBuild(dir), bytes: 0, loadedAt: new Date().toISOString() };
+  build.files.forEach(asset => {
+    build.bytes += asset.body.length;
+    Object.values(asset.encodings).forEach(variant => { build.bytes += variant.body.length; });
+  });
+  builds.set(version, build);
+  missingVersions.delete(version);
+  logger.info('Frontend loaded', { version, dir, files: build.files.size, bytes: build.bytes, index: !!build.index });
+  return build;
+}
+
+/**
+ * Load every frontend version into memory (call once at startup)
+ */
+function loadFrontend() {
+  frontendVersions().forEach(loadVersion);
+  if (!builds.has(FRONTEND.defaultVersion)) {
+    logger.warn('Default frontend version not found', { version: FRONTEND.defaultVersion });
+  }
+}
+
+/**
+ * Version a site is served (its frontendVersion, else the default)
+ */
+function frontendVersionOf(site) {
+  return site?.frontendVersion || FRONTEND.defaultVersion;
+}
+
+/**
+ * Load a version that is not in memory yet; a missing one is not looked for on disk again
+ * for MISSING_RECHECK_MS, and reported only the first time
+ */
+function findVersion(version) {
+  const checkedAt = missingVersions.get(version);
+  if (checkedAt !== undefined && Date.now() - checkedAt < MISSING_RECHECK_MS) return null;
+
+  const build = loadVersion(version);
+  if (!build) {
+    if (checkedAt === undefined && version !== FRONTEND.defaultVersion) {
+      logger.warn('Frontend version not found - serving the default build', { version });
     }
+    missingVersions.set(version, Date.now());
   }
+  return build;
 }
 
 /**
- * Serve HTML with base tag injection
+ * Build for a version; versions deployed after startup are loaded on first use.
+ * An unknown version falls back to the default build.
  */
-function serveHTML(req, res, siteName) {
+function getBuild(version = FRONTEND.defaultVersion) {
+  const build = builds.get(version) || findVersion(version);
+  if (build || version === FRONTEND.defaultVersion) return build;
+  return getBuild(FRONTEND.defaultVersion);
+}
+
+/**
+ * Loaded versions with their size (admin API)
+ */
+function frontendState() {
+  return Array.from(builds.values()).map(({ version, dir, files, bytes, index, loadedAt }) => ({
+    version, dir, files: files.size, bytes, index: index !== null, loadedAt
+  }));
+}
+
+/**
+ * Send a build file from memory
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} urlPath - Path inside the build, e.g. "/static/js/787.3c1a9e2f.chunk.js"
+ * @param {string} [version] - Frontend version (default build if omitted)
+ * @returns {boolean} false when the build has no such file (caller answers 404)
+ */
+function serveAsset(req, res, urlPath, version) {
+  const asset = getBuild(version)?.files.get(urlPath);
+  if (!asset || urlPath === '/index.html') return false;
+
+  const available = Object.keys(VARIANTS).filter(name => asset.encodings[name]);
+  const encoding = available.length > 0 ? negotiateEncoding(req.headers['accept-encoding'], available) : null;
+  const { body, etag } = encoding ? asset.encodings[encoding] : asset;
+
+  res.type(path.extname(urlPath) || 'application/octet-stream');
+  res.setHeader('Cache-Control', asset.immutable ? FRONTEND.immutableCacheControl : FRONTEND.cacheControl);
+  res.setHeader('ETag', etag);
+  if (available.length > 0) res.setHeader('Vary', 'Accept-Encoding');
+  if (encoding) res.setHeader('Content-Encoding', encoding);
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  res.setHeader('Content-Length', String(body.length));
+  res.status(200).end(req.method === 'HEAD' ? undefined : body);
+  return true;
+}
+
+/**
+ * Find a content-hashed entrypoint by file name (legacy root-level /main.*.js and /main.*.css)
+ */
+function findAssetByName(fileName, version) {
+  const build = getBuild(version);
+  if (!build) return null;
+  for (const urlPath of build.files.keys()) {
+    if (path.basename(urlPath) === fileName) return urlPath;
+  }
+  return null;
+}
+
+/**
+ * Serve the site's frontend version with base tag and per-page session shim injection
+ * Each load gets a fresh session token binding the tab's root /api and /socket.io traffic
+ * to the site, so the page must never be cached.
+ */
+function serveHTML(req, res, site) {
   try {
-    const htmlPath = path.join(BUILD_DIR, 'index.html');
-    if (!fs.existsSync(htmlPath)) {
-      return res.status(404).json({ error: 'Frontend build not found' });
+    const build = getBuild(frontendVersionOf(site));
+    let html = build ? build.index : null;
+    if (html === null) {
+      return res.status(404).json({ error: 'Frontend build not found', version: frontendVersionOf(site) });
     }
-    
-    let html = fs.readFileSync(htmlPath, 'utf8');
-    
-    if (siteName) {
+
+    if (site) {
+      const siteName = site.name;
       const basePath = `/vpn/${siteName}/neocore`;
       if (!html.includes('<base')) {
         html = html.replace('<head>', `<head>\n<base href="${basePath}/">`);
       } else {
         html = html.replace(/<base[^>]*>/, `<base href="${basePath}/">`);
       }
-      
-      // Set cookie to track site for WebSocket connections
-      res.cookie('vpn-site', siteName, {
-        httpOnly: false, // Allow JavaScript to read it if needed
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        path: '/',
-        sameSite: 'lax'
-      });
+
+      // Before the bundle, so its first /api and /socket.io requests already carry the token
+      const token = createSession(siteName, req.user?.username || null);
+      html = html.replace(/<head[^>]*>/, match => `${match}\n${sessionShimScript({ site: siteName, token })}`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      // Legacy fallback for pages loaded before the session shim (cookie is shared by all
+      // tabs, so strict mode never reads it)
+      if (!ROUTING.strictSiteResolution) {
+        res.cookie('vpn-site', siteName, {
+          httpOnly: false, // Allow JavaScript to read it if needed
+          maxAge: 24 * 60 * 60 * 1000, // 24 hours
+          path: '/',
+          sameSite: 'lax'
+        });
+      }
     }
-    
+
     res.setHeader('Content-Type', 'text/html');
     res.send(html);
   } catch (err) {
@@ -103,4 +282,14 @@ function serveHTML(req, res, siteName) {
   }
 }
 
-module.exports = { serveAsset, serveHTML };
+module.exports = {
+  loadBuild,
+  loadFrontend,
+  loadVersion,
+  frontendVersions,
+  frontendVersionOf,
+  frontendState,
+  serveAsset,
+  findAssetByName,
+  serveHTML
+};
@@ -0,0 +1,221 @@
+/**
+ * Audit Log - Append-only record of who changed what on which site and device
+ *
+ * Entries are JSON lines in AUDIT.dir/audit.log:
+ *   { time, type, requestId, user, ip, site, service, device, method, path, status, durationMs }
+ *
+ *   type 'http'             state-changing request (non-GET) to a NeoCore API/UI or device UI
+ *   type 'websocket.open'   WebSocket upgrade (status 101, or the status it was refused with)
+ *   type 'websocket.close'  end of a WebSocket session (durationMs = session length)
+ *
+ * Requests are recorded whether or not they were allowed, so denied attempts show up too.
+ * Writes are synchronous appends (ordering survives a crash); a failing disk is logged,
+ * never turned into a failed request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AUDIT = require('../config/audit');
+const { requireAuth } = require('./authService');
+const { requireAdmin } = require('./accessControl');
+const { logger } = require('./logger');
+
+const LOG_FILE = path.join(AUDIT.dir, 'audit.log');
+
+let currentSize = null;   // Size of LOG_FILE, read lazily on the first write
+
+function rotatedFile(index) {
+  return `${LOG_FILE}.${index}`;
+}
+
+/**
+ * audit.log → audit.log.1 → audit.log.2 ... (the oldest beyond maxFiles is dropped)
+ */
+function rotate() {
+  fs.rmSync(rotatedFile(AUDIT.maxFiles), { force: true });
+  for (let index = AUDIT.maxFiles - 1; index >= 1; index--) {
+    if (fs.existsSync(rotatedFile(index))) fs.renameSync(rotatedFile(index), rotatedFile(index + 1));
+  }
+  if (AUDIT.maxFiles > 0) {
+    fs.renameSync(LOG_FILE, rotatedFile(1));
+  } else {
+    fs.rmSync(LOG_FILE, { force: true });
+  }
+  currentSize = 0;
+}
+
+/**
+ * Append one entry
+ */
+function record(entry) {
+  if (!AUDIT.enabled) return;
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+  try {
+    if (currentSize === null) {
+      fs.mkdirSync(AUDIT.dir, { recursive: true });
+      currentSize = fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE).size : 0;
+    }
+    if (currentSize > 0 && currentSize + Buffer.byteLength(line) > AUDIT.maxBytes) rotate();
+    fs.appendFileSync(LOG_FILE, line);
+    currentSize += Buffer.byteLength(line);
+  } catch (err) {
+    currentSize = null;   // Re-stat on the next write
+    logger.error('Audit log write failed', { file: LOG_FILE, err, entry });
+  }
+}
+
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+function requestFields(req, labels) {
+  return {
+    requestId: req.id || null,
+    user: req.user?.username || null,
+    ip: clientIp(req),
+    site: labels.site,
+    service: labels.service,
+    device: labels.device || null,
+    method: req.method,
+    path: req.originalUrl || req.url
+  };
+}
+
+/**
+ * Middleware auditing state-changing proxied requests once they are done
+ * Runs before authorization, so refused requests are recorded with their 403.
+ *
+ * @param {Object} labels - { site, service, device }
+ */
+function auditProxy(labels) {
+  return (req, res, next) => {
+    if (!AUDIT.enabled || AUDIT.readMethods.includes(req.method)) return next();
+
+    const started = process.hrtime.bigint();
+    res.once('close', () => {
+      record({
+        type: 'http',
+        ...requestFields(req, labels),
+        status: res.statusCode,
+        aborted: res.writableFinished ? undefined : true,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6)
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Record a refused WebSocket upgrade (the session never opens)
+ */
+function websocketRefused(req, labels, status) {
+  record({ type: 'websocket.open', ...requestFields(req, labels), status });
+}
+
+/**
+ * Audit a WebSocket session from its upstream request (call from proxyReqWs)
+ * Records the open when the upstream switches protocols (or its refusal status, 502 when unreachable)
+ * and the close with the session length.
+ */
+function auditWebSocket(proxyReq, req, labels) {
+  if (!AUDIT.enabled) return;
+  const fields = requestFields(req, labels);
+
+  proxyReq.once('error', () => {
+    record({ type: 'websocket.open', ...fields, status: 502 });
+  });
+  proxyReq.once('response', proxyRes => {
+    record({ type: 'websocket.open', ...fields, status: proxyRes.statusCode });
+  });
+  proxyReq.once('upgrade', (proxyRes, proxySocket) => {
+    const opened = Date.now();
+    record({ type: 'websocket.open', ...fields, status: 101 });
+    proxySocket.once('close', () => {
+      record({ type: 'websocket.close', ...fields, durationMs: Date.now() - opened });
+    });
+  });
+}
+
+function parseTime(value) {
+  if (!value) return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Search the audit log (current and rotated files), newest first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.site]
+ * @param {string} [filter.device]
+ * @param {string} [filter.user]
+ * @param {string} [filter.type]
+ * @param {number} [filter.from] - Epoch ms, inclusive
+ * @param {number} [filter.to] - Epoch ms, inclusive
+ * @param {number} [filter.limit]
+ * @returns {Promise<Object[]>}
+ */
+async function queryAudit({ site, device, user, type, from = null, to = null, limit = AUDIT.defaultLimit } = {}) {
+  const files = [LOG_FILE];
+  for (let index = 1; index <= AUDIT.maxFiles; index++) files.push(rotatedFile(index));
+
+  const matches = entry => (!site || entry.site === site)
+    && (!device || entry.device === device)
+    && (!user || entry.user === user)
+    && (!type || entry.type === type)
+    && (from === null || Date.parse(entry.time) >= from)
+    && (to === null || Date.parse(entry.time) <= to);
+
+  const results = [];
+  for (const file of files) {
+    let content;
+    try {
+      // Nothing in a file is newer than its last write
+      if (from !== null && (await fs.promises.stat(file)).mtimeMs < from) break;
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    const lines = content.split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (e) {
+        continue;   // Torn line from a crash mid-write
+      }
+      if (matches(entry)) results.push(entry);
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
+
+/**
+ * Register GET /admin/audit?site=&device=&user=&type=&from=&to=&limit= (global admin only)
+ * from/to are ISO timestamps or epoch milliseconds.
+ */
+function registerAuditRoutes(app) {
+  app.get('/admin/audit', requireAuth, requireAdmin, async (req, res) => {
+    const { site, device, user, type } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'from/to must be ISO timestamps or epoch milliseconds' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || AUDIT.defaultLimit, AUDIT.maxLimit);
+
+    try {
+      const entries = await queryAudit({ site, device, user, type, from, to, limit });
+      res.json({ count: entries.length, entries });
+    } catch (err) {
+      req.log.error('Audit log query failed', { err });
+      res.status(500).json({ error: 'Audit log query failed' });
+    }
+  });
+}
+
+module.exports = { record, auditProxy, auditWebSocket, websocketRefused, queryAudit, registerAuditRoutes };
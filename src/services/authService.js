@@ -0,0 +1,557 @@
+/**
+ * Auth Service - Login layer in front of all proxied routes
+ * Supports local accounts (scrypt hashes) and an OIDC provider.
+ * Both issue the same HMAC-signed session token, stored in the vpn-auth cookie.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const AUTH = require('../config/auth');
+const { normalizeGrants } = require('./accessControl');
+const { logger } = require('./logger');
+
+const OIDC_COOKIE = 'vpn-oidc';
+const OIDC_STATE_TTL = 10 * 60;  // seconds
+
+// Token types (`typ` claim): both are signed with AUTH.secret, so each check names the one it accepts
+const TOKEN_SESSION = 'session';
+const TOKEN_OIDC_STATE = 'oidc-state';
+
+// Algorithms accepted for OIDC id_tokens → node crypto digest
+const JWT_ALGORITHMS = {
+  RS256: 'sha256', RS384: 'sha384', RS512: 'sha512',
+  PS256: 'sha256', PS384: 'sha384', PS512: 'sha512',
+  ES256: 'sha256', ES384: 'sha384', ES512: 'sha512'
+};
+
+let oidcDiscovery = null;
+let oidcJwks = null;
+
+/**
+ * Load local user accounts (AUTH_USERS_FILE overrides config/users.js)
+ */
+function loadUsers() {
+  if (AUTH.usersFile) {
+    return JSON.parse(fs.readFileSync(AUTH.usersFile, 'utf8'));
+  }
+  return require('../config/users');
+}
+
+let users = new Map(loadUsers().map(u => [u.username, u]));
+
+const USERS_RELOAD_DEBOUNCE_MS = 300;
+
+/**
+ * Watch AUTH_USERS_FILE and replace the accounts when it changes
+ * Like siteStore, the directory is watched so editors that save via rename are picked up.
+ * An unreadable or invalid file is logged and the previous accounts stay active.
+ * config/users.js is a module and needs a restart.
+ */
+function watchUsers() {
+  if (!AUTH.usersFile) return null;
+  const file = path.resolve(AUTH.usersFile);
+  const dir = path.dirname(file);
+  let timer = null;
+
+  if (!fs.existsSync(dir)) {
+    logger.warn('Users directory does not exist - users reload disabled', { dir });
+    return null;
+  }
+
+  const reload = () => {
+    try {
+      const accounts = loadUsers();
+      if (!Array.isArray(accounts)) throw new Error('Users file must contain an array');
+      users = new Map(accounts.map(u => [u.username, u]));
+      logger.info('Users reloaded', { file, localUsers: users.size });
+    } catch (err) {
+      logger.error('Users reload failed - keeping the previous accounts', { file, err });
+    }
+  };
+
+  const watcher = fs.watch(dir, (event, filename) => {
+    if (filename && filename !== path.basename(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, USERS_RELOAD_DEBOUNCE_MS);
+  });
+  watcher.on('error', err => logger.error('Users watcher error', { err }));
+  logger.info('Watching users file for changes', { file });
+  return watcher;
+}
+
+// ---------------------------------------------------------------------------
+// Passwords and tokens
+// ---------------------------------------------------------------------------
+
+/**
+ * Hash a password as "scrypt:<salt>:<hash>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored scrypt hash
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', AUTH.secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token: base64url(payload).signature
+ */
+function signToken(payload, ttlSeconds = AUTH.tokenTtlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a signed token of the given type and return its payload (null if invalid, expired
+ * or of another type)
+ */
+function verifyToken(token, typ) {
+  if (!token || typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    if (payload.typ !== typ) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse a raw Cookie header (cookie-parser does not run for upgrade requests)
+ */
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Remove the proxy's own credentials from an upstream request (HTTP or WebSocket upgrade)
+ * The vpn-auth / vpn-oidc cookies and Bearer tokens authenticate users to this service;
+ * forwarded, any NeoCore or device could replay them. Other Authorization schemes
+ * (Basic, Digest) belong to the device and are kept.
+ */
+function stripCredentials(proxyReq) {
+  if (/^Bearer\s/i.test(String(proxyReq.getHeader('authorization') || ''))) {
+    proxyReq.removeHeader('authorization');
+  }
+
+  const cookie = proxyReq.getHeader('cookie');
+  if (!cookie) return;
+  const kept = String(cookie).split(';').map(part => part.trim()).filter(part => {
+    const name = part.split('=')[0].trim();
+    return part && name !== AUTH.cookieName && name !== OIDC_COOKIE;
+  });
+  if (kept.length > 0) {
+    proxyReq.setHeader('cookie', kept.join('; '));
+  } else {
+    proxyReq.removeHeader('cookie');
+  }
+}
+
+/**
+ * Whether a request carries credentials of the NeoCore or device itself: what
+ * stripCredentials forwards (Basic/Digest Authorization, upstream cookies). The site
+ * tracking cookie vpn-site is not one.
+ */
+function hasUpstreamCredentials(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader && !/^Bearer\s/i.test(authHeader)) return true;
+
+  return Object.keys(parseCookies(req.headers.cookie))
+    .some(name => name !== AUTH.cookieName && name !== OIDC_COOKIE && name !== 'vpn-site');
+}
+
+/**
+ * Resolve the user for a request from the Authorization header or auth cookie
+ */
+function userFromRequest(req) {
+  if (!AUTH.enabled) {
+    return { username: 'anonymous', provider: 'none', grants: normalizeGrants('*:admin') };
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  const cookies = req.cookies || parseCookies(req.headers.cookie);
+  const payload = verifyToken(bearer || cookies[AUTH.cookieName], TOKEN_SESSION);
+  if (!payload) return null;
+
+  // Local account grants are looked up on every request, so removing a user or changing
+  // their roles in AUTH_USERS_FILE takes effect with the next reload (see watchUsers).
+  // OIDC grants travel in the token.
+  let grants = payload.grants;
+  if (payload.provider === 'local') {
+    const account = users.get(payload.sub);
+    if (!account) return null;
+    grants = account.grants;
+  }
+
+  return {
+    username: payload.sub,
+    name: payload.name || payload.sub,
+    provider: payload.provider,
+    grants: normalizeGrants(grants)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Middleware
+// ---------------------------------------------------------------------------
+
+/**
+ * Attach req.user when a valid session token is present (never rejects)
+ */
+function authenticate(req, res, next) {
+  req.user = userFromRequest(req);
+  next();
+}
+
+/**
+ * Reject unauthenticated requests
+ * Browsers navigating to a page are redirected to the login form, everything else gets 401
+ */
+function requireAuth(req, res, next) {
+  if (req.user === undefined) req.user = userFromRequest(req);
+  if (req.user) return next();
+
+  if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+    return res.redirect(`/auth/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ error: 'Authentication required' });
+}
+
+/**
+ * Authenticate a WebSocket upgrade request
+ * Returns the user or null
+ */
+function authenticateUpgrade(req) {
+  req.user = userFromRequest(req);
+  return req.user;
+}
+
+function setSessionCookie(req, res, user) {
+  const token = signToken({ typ: TOKEN_SESSION, sub: user.username, name: user.name, provider: user.provider, grants: user.grants });
+  res.cookie(AUTH.cookieName, token, {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'lax',
+    path: '/',
+    maxAge: AUTH.tokenTtlSeconds * 1000
+  });
+  return token;
+}
+
+/**
+ * Only allow redirects back into this service
+ */
+function safeRedirectTarget(next) {
+  if (typeof next !== 'string' || !next.startsWith('/') || next.startsWith('//') || next.startsWith('/\\')) {
+    return '/';
+  }
+  return next;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+function renderLoginPage(next, error) {
+  const oidcLink = AUTH.oidc.enabled
+    ? `<p><a href="/auth/oidc/login?next=${encodeURIComponent(next)}">Sign in with ${escapeHtml(AUTH.oidc.displayName)}</a></p>`
+    : '';
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>VPN Proxy - Sign in</title>
+<style>body{font-family:sans-serif;max-width:320px;margin:80px auto}input,button{display:block;width:100%;margin:8px 0;padding:8px;box-sizing:border-box}.error{color:#b00020}</style>
+</head>
+<body>
+<h2>Sign in</h2>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/auth/login">
+<input type="hidden" name="next" value="${escapeHtml(next)}">
+<input name="username" placeholder="Username" autocomplete="username" required>
+<input name="password" type="password" placeholder="Password" autocomplete="current-password" required>
+<button type="submit">Sign in</button>
+</form>
+${oidcLink}
+</body>
+</html>`;
+}
+
+// ---------------------------------------------------------------------------
+// OIDC
+// ---------------------------------------------------------------------------
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+  return response.json();
+}
+
+async function getDiscovery() {
+  if (!oidcDiscovery) {
+    oidcDiscovery = await fetchJson(`${AUTH.oidc.issuer}/.well-known/openid-configuration`);
+  }
+  return oidcDiscovery;
+}
+
+async function getSigningKey(kid, refresh = false) {
+  if (!oidcJwks || refresh) {
+    const discovery = await getDiscovery();
+    oidcJwks = await fetchJson(discovery.jwks_uri);
+  }
+  const jwk = (oidcJwks.keys || []).find(k => !kid || k.kid === kid);
+  if (!jwk && !refresh) {
+    // Provider may have rotated keys since we cached them
+    return getSigningKey(kid, true);
+  }
+  if (!jwk) throw new Error(`No signing key found for kid ${kid}`);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify an OIDC id_token signature and standard claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const [headerPart, payloadPart, signaturePart] = (idToken || '').split('.');
+  if (!headerPart || !payloadPart || !signaturePart) throw new Error('Malformed id_token');
+
+  const header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+  const digest = JWT_ALGORITHMS[header.alg];
+  if (!digest) throw new Error(`Unsupported id_token algorithm: ${header.alg}`);
+
+  const key = await getSigningKey(header.kid);
+  const verifyOptions = { key };
+  if (header.alg.startsWith('PS')) {
+    verifyOptions.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    verifyOptions.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (header.alg.startsWith('ES')) {
+    verifyOptions.dsaEncoding = 'ieee-p1363';
+  }
+  const valid = crypto.verify(
+    digest,
+    Buffer.from(`${headerPart}.${payloadPart}`),
+    verifyOptions,
+    Buffer.from(signaturePart, 'base64url')
+  );
+  if (!valid) throw new Error('Invalid id_token signature');
+
+  const claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  const discovery = await getDiscovery();
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.iss !== discovery.issuer) throw new Error('id_token issuer mismatch');
+  if (!audiences.includes(AUTH.oidc.clientId)) throw new Error('id_token audience mismatch');
+  if (!claims.exp || claims.exp + 60 < now) throw new Error('id_token expired');
+  if (claims.nonce !== nonce) throw new Error('id_token nonce mismatch');
+
+  return claims;
+}
+
+function oidcRedirectUri(req) {
+  return AUTH.oidc.redirectUri || `${req.protocol}://${req.get('host')}/auth/oidc/callback`;
+}
+
+async function startOidcLogin(req, res) {
+  const discovery = await getDiscovery();
+  const state = crypto.randomBytes(16).toString('hex');
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  res.cookie(OIDC_COOKIE, signToken({
+    typ: TOKEN_OIDC_STATE, state, nonce, verifier, next: safeRedirectTarget(req.query.next)
+  }, OIDC_STATE_TTL), {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'lax',
+    path: '/auth/oidc',
+    maxAge: OIDC_STATE_TTL * 1000
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: AUTH.oidc.clientId,
+    redirect_uri: oidcRedirectUri(req),
+    scope: AUTH.oidc.scope,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  });
+  res.redirect(`${discovery.authorization_endpoint}?${params}`);
+}
+
+async function finishOidcLogin(req, res) {
+  const pending = verifyToken(req.cookies[OIDC_COOKIE], TOKEN_OIDC_STATE);
+  res.clearCookie(OIDC_COOKIE, { path: '/auth/oidc' });
+
+  if (req.query.error) {
+    return res.status(401).send(renderLoginPage('/', `Sign-in failed: ${req.query.error}`));
+  }
+  if (!pending || !req.query.code || req.query.state !== pending.state) {
+    return res.status(400).send(renderLoginPage('/', 'Sign-in expired, please try again'));
+  }
+
+  const discovery = await getDiscovery();
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: req.query.code,
+    redirect_uri: oidcRedirectUri(req),
+    client_id: AUTH.oidc.clientId,
+    code_verifier: pending.verifier
+  });
+  if (AUTH.oidc.clientSecret) body.set('client_secret', AUTH.oidc.clientSecret);
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+
+  const user = {
+    username: claims[AUTH.oidc.usernameClaim] || claims.sub,
+    name: claims.name || claims[AUTH.oidc.usernameClaim] || claims.sub,
+    provider: 'oidc',
+    grants: normalizeGrants(claims[AUTH.oidc.grantsClaim])
+  };
+  setSessionCookie(req, res, user);
+  req.log.info('OIDC login', { user: user.username });
+  res.redirect(pending.next);
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+/**
+ * Register /auth/* routes (login form, logout, OIDC flow, current user)
+ * Body parsers are mounted here only - proxied routes must receive the raw body stream.
+ */
+function registerAuthRoutes(app) {
+  const parseBody = [express.urlencoded({ extended: false }), express.json()];
+
+  app.get('/auth/login', (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.send(renderLoginPage(safeRedirectTarget(req.query.next)));
+  });
+
+  app.post('/auth/login', parseBody, (req, res) => {
+    const { username, password } = req.body || {};
+    const next = safeRedirectTarget(req.body?.next);
+    const wantsJson = req.is('application/json');
+    const account = users.get(username);
+
+    if (!account || typeof password !== 'string' || !verifyPassword(password, account.passwordHash)) {
+      req.log.warn('Failed login', { user: username || '', ip: req.ip });
+      if (wantsJson) return res.status(401).json({ error: 'Invalid username or password' });
+      res.setHeader('Content-Type', 'text/html');
+      return res.status(401).send(renderLoginPage(next, 'Invalid username or password'));
+    }
+
+    const token = setSessionCookie(req, res, { username: account.username, name: account.name, provider: 'local' });
+    req.log.info('Login', { user: account.username, ip: req.ip });
+    if (wantsJson) return res.json({ token, expiresIn: AUTH.tokenTtlSeconds });
+    res.redirect(next);
+  });
+
+  app.post('/auth/logout', (req, res) => {
+    res.clearCookie(AUTH.cookieName, { path: '/' });
+    if (req.accepts(['json', 'html']) === 'html') return res.redirect('/auth/login');
+    res.json({ success: true });
+  });
+
+  app.get('/auth/me', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    res.json({ user: req.user });
+  });
+
+  if (AUTH.oidc.enabled) {
+    app.get('/auth/oidc/login', (req, res) => {
+      startOidcLogin(req, res).catch(err => {
+        req.log.error('OIDC login error', { err });
+        res.status(502).send(renderLoginPage(safeRedirectTarget(req.query.next), 'Identity provider unavailable'));
+      });
+    });
+
+    app.get('/auth/oidc/callback', (req, res) => {
+      finishOidcLogin(req, res).catch(err => {
+        req.log.error('OIDC callback error', { err });
+        res.status(401).send(renderLoginPage('/', 'Sign-in failed'));
+      });
+    });
+  }
+
+  if (!AUTH.enabled) {
+    logger.warn('Authentication DISABLED (AUTH_DISABLED=1) - every route is publicly reachable');
+  } else {
+    if (AUTH.generatedSecret) {
+      logger.warn('AUTH_SECRET not set - using a random secret, sessions will not survive a restart');
+    }
+    if (users.size === 0 && !AUTH.oidc.enabled) {
+      logger.warn('No local users and no OIDC provider configured - nobody can sign in');
+    }
+    logger.info('Authentication enabled', { localUsers: users.size, oidcIssuer: AUTH.oidc.enabled ? AUTH.oidc.issuer : undefined });
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  authenticateUpgrade,
+  stripCredentials,
+  hasUpstreamCredentials,
+  watchUsers,
+  registerAuthRoutes,
+  escapeHtml,
+  hashPassword,
+  verifyPassword
+};
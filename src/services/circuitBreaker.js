@@ -0,0 +1,154 @@
+/**
+ * Circuit Breaker - Fail fast for unreachable sites and devices
+ *
+ *   closed     requests pass; consecutive connection failures are counted
+ *   open       requests get 503 + Retry-After immediately (no 30s proxy timeout)
+ *   half-open  after openSeconds one probe request passes; success closes, failure re-opens
+ *
+ * Keys: "site1" (NeoCore: pages, API, Socket.IO polling) and "site1/devices/device1".
+ */
+
+const CIRCUIT_BREAKER = require('../config/circuitBreaker');
+const { logger } = require('./logger');
+
+// key → { state, failures, openedAt, retryAt, probeStartedAt, lastError }
+const breakers = new Map();
+
+function getBreaker(key) {
+  if (!breakers.has(key)) {
+    breakers.set(key, { state: 'closed', failures: 0, openedAt: null, retryAt: null, probeStartedAt: null, lastError: null });
+  }
+  return breakers.get(key);
+}
+
+function open(key, breaker, reason) {
+  breaker.state = 'open';
+  breaker.openedAt = Date.now();
+  breaker.retryAt = breaker.openedAt + CIRCUIT_BREAKER.openSeconds * 1000;
+  breaker.probeStartedAt = null;
+  logger.warn('Circuit open - failing fast', { circuit: key, reason, openSeconds: CIRCUIT_BREAKER.openSeconds });
+}
+
+/**
+ * Whether a request may go upstream now
+ * Moves an expired open circuit to half-open and hands out the single probe slot.
+ */
+function allowRequest(key) {
+  if (!CIRCUIT_BREAKER.enabled) return true;
+  const breaker = breakers.get(key);
+  if (!breaker || breaker.state === 'closed') return true;
+
+  const now = Date.now();
+  if (breaker.state === 'open') {
+    if (now < breaker.retryAt) return false;
+    breaker.state = 'half-open';
+    logger.info('Circuit half-open - letting a probe request through', { circuit: key });
+  }
+
+  const probeExpired = breaker.probeStartedAt && now - breaker.probeStartedAt > CIRCUIT_BREAKER.probeTimeoutSeconds * 1000;
+  if (breaker.probeStartedAt && !probeExpired) return false;
+  breaker.probeStartedAt = now;
+  return true;
+}
+
+/**
+ * Upstream answered (any HTTP status) - the link works
+ */
+function recordSuccess(key) {
+  const breaker = breakers.get(key);
+  if (!breaker) return;
+  if (breaker.state !== 'closed') {
+    logger.info('Circuit closed - upstream reachable again', { circuit: key });
+  }
+  breakers.delete(key);
+}
+
+/**
+ * Upstream request failed; only connection-level errors count
+ */
+function recordFailure(key, err) {
+  if (!CIRCUIT_BREAKER.enabled || !CIRCUIT_BREAKER.failureCodes.includes(err?.code)) return;
+  const breaker = getBreaker(key);
+  breaker.failures++;
+  breaker.lastError = err.code;
+
+  if (breaker.state === 'half-open') {
+    open(key, breaker, `probe failed: ${err.code}`);
+  } else if (breaker.state === 'closed' && breaker.failures >= CIRCUIT_BREAKER.failureThreshold) {
+    open(key, breaker, `${breaker.failures} consecutive failures, last: ${err.code}`);
+  }
+}
+
+/**
+ * Seconds until the next probe is allowed
+ */
+function retryAfterSeconds(key) {
+  const breaker = breakers.get(key);
+  if (!breaker?.retryAt) return CIRCUIT_BREAKER.openSeconds;
+  return Math.max(1, Math.ceil((breaker.retryAt - Date.now()) / 1000));
+}
+
+/**
+ * Express middleware failing fast while the circuit is open
+ * Mount it after authorization so a rejected request never takes the probe slot.
+ *
+ * @param {string} key - Breaker key
+ * @param {Object} details - Extra fields for the 503 body (site, deviceId, service)
+ */
+function circuitGuard(key, details = {}) {
+  return (req, res, next) => {
+    if (allowRequest(key)) return next();
+    const retryAfter = retryAfterSeconds(key);
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(503).json({
+      error: 'Upstream unavailable',
+      message: `Circuit open after repeated connection failures (${breakers.get(key)?.lastError || 'unreachable'})`,
+      ...details,
+      retryAfter
+    });
+  };
+}
+
+/**
+ * Public state for /health
+ */
+function getCircuitState(key) {
+  const breaker = breakers.get(key);
+  if (!breaker) return { state: 'closed', failures: 0 };
+  return {
+    state: breaker.state,
+    failures: breaker.failures,
+    lastError: breaker.lastError,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retryAt: breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null
+  };
+}
+
+/**
+ * Forget a breaker and the ones nested under it (configuration changed, e.g. new target)
+ */
+function resetCircuit(key) {
+  [...breakers.keys()].forEach(existing => {
+    if (existing === key || existing.startsWith(`${key}/`)) breakers.delete(existing);
+  });
+}
+
+/**
+ * Whether the circuit currently rejects traffic (used for WebSocket upgrades,
+ * which never take the probe slot)
+ */
+function isCircuitOpen(key) {
+  const breaker = breakers.get(key);
+  return !!breaker && breaker.state === 'open' && Date.now() < breaker.retryAt;
+}
+
+module.exports = {
+  circuitGuard,
+  allowRequest,
+  recordSuccess,
+  recordFailure,
+  retryAfterSeconds,
+  getCircuitState,
+  resetCircuit,
+  isCircuitOpen
+};
@@ -0,0 +1,245 @@
+/**
+ * Content Rewriter - Maps upstream URLs in proxied bodies into the proxy prefix
+ *
+ * For devices (prefix /vpn/site/devices/deviceId):
+ * - Root-relative URLs ("/img/a.png") get the prefix
+ * - Relative URLs ("img/a.png") are resolved against the document (or <base href>) first
+ * - Absolute URLs pointing at the device itself (target host, virtual or actual IP) get the prefix
+ * - Foreign hosts, data:, javascript:, mailto:, fragments and /vpn/ paths are left alone
+ *
+ * For neocore (prefix /vpn/site/neocore):
+ * - main.js/main.css bundles are served locally from the root
+ * - Root-relative URLs get the prefix, relative URLs are left to the browser
+ *
+ * Response headers get the same treatment (Location, Content-Location, Refresh), and
+ * Set-Cookie is re-scoped under the prefix so upstreams sharing the proxy host keep their own cookies.
+ * NeoCore API cookies also get a copy for the root /api the frontend calls (see rootApiCookie).
+ */
+
+const { HtmlRewriter, rewriteRefresh } = require('./htmlRewriter');
+const { CssRewriter } = require('./cssRewriter');
+const { segmentRewriter } = require('./responseRewriter');
+const { deviceShimScript } = require('./deviceShim');
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create the URL mapper for one proxied response
+ *
+ * @param {Object} options
+ * @param {string} options.serviceType - 'neocore' or 'devices'
+ * @param {string} options.prefix - Proxy prefix (e.g., "/vpn/site1/devices/device1")
+ * @param {string} options.documentPath - Upstream path of the response (relative URLs resolve against it)
+ * @param {string[]} options.upstreamHosts - Hosts that belong to the upstream (host or host:port)
+ * @returns {{ rewrite: Function, setBase: Function }}
+ */
+function createUrlMapper({ serviceType, prefix, documentPath = '/', upstreamHosts = [] }) {
+  const hosts = upstreamHosts.filter(Boolean);
+  let base = new URL(documentPath, 'http://upstream');
+
+  const isUpstream = url => hosts.includes(url.host) || hosts.includes(url.hostname);
+
+  // Upstream path → prefixed path, or null when the URL is not ours to rewrite
+  const map = (url, resolveRelative) => {
+    const trimmed = url.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+    if (trimmed.startsWith('/vpn/')) return null;
+
+    // Absolute (http://host/..., //host/...) - only the upstream itself
+    if (/^(https?:)?\/\//i.test(trimmed)) {
+      let parsed;
+      try {
+        parsed = new URL(trimmed, 'http://upstream');
+      } catch (e) {
+        return null;
+      }
+      return isUpstream(parsed) ? parsed.pathname + parsed.search + parsed.hash : null;
+    }
+
+    // Any other scheme (data:, javascript:, mailto:, blob:, ...)
+    if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) return null;
+
+    if (trimmed.startsWith('/')) return trimmed;
+    if (!resolveRelative) return null;
+
+    const resolved = new URL(trimmed, base);
+    return resolved.pathname + resolved.search + resolved.hash;
+  };
+
+  return {
+    /**
+     * Rewrite one URL
+     * @param {string} url - URL as written in the document
+     * @param {boolean} [resolveRelative] - false for URLs in scripts, which resolve against the page, not the script
+     */
+    rewrite(url, resolveRelative = serviceType !== 'neocore') {
+      const path = map(url, resolveRelative);
+      if (path === null) return url;
+
+      if (serviceType === 'neocore') {
+        const bundle = /^\/static\/(?:js|css)\/(main\.[^/?#]+\.(?:js|css))/.exec(path);
+        if (bundle) return `/${bundle[1]}`;
+      }
+      return `${prefix}${path}`;
+    },
+
+    /**
+     * Apply a <base href> (value as written upstream)
+     */
+    setBase(href) {
+      const path = map(href, true);
+      if (path !== null) base = new URL(path, 'http://upstream');
+    }
+  };
+}
+
+/**
+ * Create the inline/standalone JavaScript rewriter
+ * Only unambiguous URL literals are touched: WebSocket URLs to the upstream,
+ * fetch()/XMLHttpRequest.open() targets and window.location assignments.
+ */
+function createScriptRewriter(urls, { serviceType, prefix, host, upstreamHosts = [] }) {
+  const rewriteWs = js => js.replace(/\b(wss?):\/\/([^/"'`\s]+)(\/[^"'`\s)]*)/g, (match, protocol, wsHost, path) => {
+    if (!upstreamHosts.includes(wsHost) && !upstreamHosts.includes(wsHost.split(':')[0])) return match;
+    if (path.startsWith(`${prefix}/`)) return `${protocol}://${host}${path}`;
+    return `${protocol}://${host}${prefix}${path}`;
+  });
+
+  if (serviceType === 'neocore') return rewriteWs;
+
+  return js => rewriteWs(js)
+    .replace(/\b(fetch\s*\(\s*)(["'`])([^"'`]+)\2/g,
+      (match, lead, quote, url) => `${lead}${quote}${urls.rewrite(url, false)}${quote}`)
+    .replace(/(\.open\s*\(\s*(["'])[A-Za-z]+\2\s*,\s*)(["'`])([^"'`]+)\3/g,
+      (match, lead, methodQuote, quote, url) => `${lead}${quote}${urls.rewrite(url, false)}${quote}`)
+    .replace(/(window\.location(?:\.href)?\s*=\s*)(["'`])([^"'`]+)\2/g,
+      (match, lead, quote, url) => `${lead}${quote}${urls.rewrite(url, false)}${quote}`);
+}
+
+/**
+ * Create the streaming body rewriter for a proxied response, or null if the
+ * content type carries no URLs we rewrite (JSON, images, fonts, ...)
+ *
+ * @param {string} contentType - Upstream Content-Type
+ * @param {Object} options
+ * @param {string} options.serviceType - 'neocore' or 'devices'
+ * @param {string} options.prefix - Proxy prefix
+ * @param {string} options.documentPath - Upstream request path
+ * @param {string[]} options.upstreamHosts - Hosts that belong to the upstream
+ * @param {string} options.host - Host header the client used (for WebSocket URLs)
+ * @returns {Object|null} Rewriter with write(text) / end()
+ */
+function createBodyRewriter(contentType, options) {
+  const type = (contentType || '').toLowerCase();
+  const isHtml = type.includes('text/html');
+  const isCss = type.includes('text/css');
+  const isScript = type.includes('javascript') || type.includes('ecmascript');
+
+  // Neocore JS/CSS bundles are served locally - only its HTML needs rewriting
+  if (options.serviceType === 'neocore' && !isHtml) return null;
+  if (!isHtml && !isCss && !isScript) return null;
+
+  const urls = createUrlMapper(options);
+  const rewriteScript = createScriptRewriter(urls, options);
+
+  if (isHtml) {
+    return new HtmlRewriter({
+      rewriteUrl: url => urls.rewrite(url),
+      setBase: href => urls.setBase(href),
+      rewriteScript,
+      // Device pages get the client-side shim for URLs built at runtime
+      inject: options.serviceType === 'devices' ? deviceShimScript(options) : null
+    });
+  }
+  if (isCss) return new CssRewriter(url => urls.rewrite(url));
+  return segmentRewriter(rewriteScript);
+}
+
+/**
+ * Re-scope one Set-Cookie value under the proxy prefix
+ * Domain is dropped (it names the upstream, not the proxy host); Path is moved under the prefix,
+ * and a missing Path gets the upstream default (the document's directory) made explicit.
+ */
+function rescopeCookie(cookie, prefix, documentPath) {
+  const [pair, ...attributes] = cookie.split(';');
+  let hasPath = false;
+
+  const scoped = attributes
+    .filter(attribute => !/^\s*domain\s*=/i.test(attribute))
+    .map(attribute => {
+      const match = /^(\s*path\s*=\s*)(.*?)\s*$/i.exec(attribute);
+      if (!match) return attribute;
+      hasPath = true;
+      const path = match[2];
+      return `${match[1]}${path.startsWith('/') && path !== '/' ? prefix + path : prefix}`;
+    });
+
+  if (!hasPath) {
+    const dir = documentPath.split('?')[0].replace(/\/[^/]*$/, '');
+    scoped.push(` Path=${prefix}${dir}`);
+  }
+  return [pair, ...scoped].join(';');
+}
+
+// Root /api copies of NeoCore API cookies are named vpn.{site}.{name} (site names have no dots)
+const API_COOKIE_PREFIX = 'vpn.';
+
+/**
+ * Root /api copy of one NeoCore API Set-Cookie value
+ * The frontend calls its API at the root /api (the page's session token picks the site),
+ * where a cookie scoped under /vpn/{site}/neocore is never sent. The copy has Path=/api and
+ * the site in its name, so the NeoCores of different sites do not overwrite each other's.
+ */
+function rootApiCookie(cookie, siteName) {
+  const [pair, ...attributes] = cookie.split(';');
+  const kept = attributes.filter(attribute => !/^\s*(domain|path)\s*=/i.test(attribute));
+  return [`${API_COOKIE_PREFIX}${siteName}.${pair.trim()}`, ...kept, ' Path=/api'].join(';');
+}
+
+/**
+ * Cookie header for a NeoCore API request: the site's root /api copies get their upstream
+ * names back, other sites' copies are dropped, anything else is kept
+ * @returns {string} empty when no cookie is left
+ */
+function siteApiCookies(cookieHeader, siteName) {
+  const own = `${API_COOKIE_PREFIX}${siteName}.`;
+  return String(cookieHeader || '').split(';').map(part => part.trim()).filter(Boolean)
+    .map(part => (part.startsWith(own) ? part.slice(own.length) : part))
+    .filter(part => !/^vpn\.[^.=]+\./.test(part))
+    .join('; ');
+}
+
+/**
+ * Rewrite URL-bearing response headers into the proxy prefix (mutates headers in place)
+ * Must run before the headers are copied to the client (onProxyRes).
+ *
+ * @param {Object} headers - Upstream response headers
+ * @param {Object} options - Same options as createBodyRewriter
+ * @param {string} [options.apiSite] - NeoCore API responses: site whose root /api cookie copies are added
+ */
+function rewriteResponseHeaders(headers, options) {
+  const urls = createUrlMapper(options);
+  const documentPath = options.documentPath || '/';
+
+  ['location', 'content-location'].forEach(name => {
+    if (headers[name]) headers[name] = urls.rewrite(headers[name]);
+  });
+  if (headers.refresh) {
+    headers.refresh = rewriteRefresh(headers.refresh, url => urls.rewrite(url));
+  }
+  if (headers['set-cookie']) {
+    const cookies = [].concat(headers['set-cookie']);
+    headers['set-cookie'] = [
+      ...cookies.map(cookie => rescopeCookie(cookie, options.prefix, documentPath)),
+      ...(options.apiSite ? cookies.map(cookie => rootApiCookie(cookie, options.apiSite)) : [])
+    ];
+  }
+}
+
+module.exports = { createUrlMapper, createBodyRewriter, rewriteResponseHeaders, siteApiCookies, hostOf };
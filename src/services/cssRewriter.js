@@ -0,0 +1,146 @@
+/**
+ * CSS Rewriter - Rewrites url() references and @import targets in stylesheets
+ *
+ * A small scanner rather than a regex: comments are skipped, strings are only
+ * rewritten when they are the target of an @import, and tokens split across
+ * streamed chunks are carried over to the next write().
+ */
+
+// Longest token opener ("@import") - never start a token this close to a chunk end
+const LOOKAHEAD = 8;
+// Text before a string that is searched for "@import"
+const LOOKBEHIND = 16;
+
+function isIdentChar(c) {
+  return !!c && /[A-Za-z0-9_-]/.test(c);
+}
+
+/**
+ * Find the end of a quoted string starting at `start` (index of the closing quote, or -1)
+ */
+function findStringEnd(css, start) {
+  const quote = css[start];
+  for (let i = start + 1; i < css.length; i++) {
+    if (css[i] === '\\') {
+      i++;
+    } else if (css[i] === quote) {
+      return i;
+    } else if (css[i] === '\n') {
+      return i - 1;  // Unterminated string ends at the line break (CSS error recovery)
+    }
+  }
+  return -1;
+}
+
+class CssRewriter {
+  /**
+   * @param {Function} rewriteUrl - (url) => url
+   */
+  constructor(rewriteUrl) {
+    this.rewriteUrl = rewriteUrl;
+    this.pending = '';
+    this.consumed = '';   // Tail of the input already emitted (lookbehind across writes)
+  }
+
+  /**
+   * Up to `length` characters of input before position `i` of the pending text
+   */
+  before(css, i, length) {
+    return i >= length ? css.slice(i - length, i) : (this.consumed + css.slice(0, i)).slice(-length);
+  }
+
+  write(chunk) {
+    this.pending += chunk;
+    return this.process(false);
+  }
+
+  end() {
+    return this.process(true);
+  }
+
+  process(final) {
+    const css = this.pending;
+    const limit = final ? css.length : css.length - LOOKAHEAD;
+    let out = '';
+    let last = 0;   // Start of text not yet copied to out
+    let i = 0;
+
+    while (i < limit) {
+      const c = css[i];
+
+      // Comment
+      if (c === '/' && css[i + 1] === '*') {
+        const close = css.indexOf('*/', i + 2);
+        if (close < 0) {
+          if (!final) break;
+          i = css.length;
+          break;
+        }
+        i = close + 2;
+        continue;
+      }
+
+      // String - rewritten only as an @import target
+      if (c === '"' || c === "'") {
+        const close = findStringEnd(css, i);
+        if (close < 0) {
+          if (!final) break;
+          i = css.length;
+          break;
+        }
+        if (/@import\s*$/i.test(this.before(css, i, LOOKBEHIND))) {
+          const value = css.slice(i + 1, close);
+          out += css.slice(last, i + 1) + this.rewriteUrl(value);
+          last = close;
+        }
+        i = close + 1;
+        continue;
+      }
+
+      // url( ... )
+      if ((c === 'u' || c === 'U') && /^url\(/i.test(css.substr(i, 4)) && !isIdentChar(this.before(css, i, 1))) {
+        let j = i + 4;
+        while (j < css.length && /\s/.test(css[j])) j++;
+        let value, quote = '', close;
+
+        if (css[j] === '"' || css[j] === "'") {
+          quote = css[j];
+          const end = findStringEnd(css, j);
+          close = end < 0 ? -1 : css.indexOf(')', end + 1);
+          value = end < 0 ? null : css.slice(j + 1, end);
+        } else {
+          close = css.indexOf(')', j);
+          value = close < 0 ? null : css.slice(j, close).trim();
+        }
+
+        if (close < 0) {
+          if (!final) break;
+          i = css.length;
+          break;
+        }
+        out += css.slice(last, i) + `url(${quote}${this.rewriteUrl(value)}${quote})`;
+        last = close + 1;
+        i = close + 1;
+        continue;
+      }
+
+      i++;
+    }
+
+    const stop = Math.min(Math.max(i, last), css.length);
+    out += css.slice(last, stop);
+    this.pending = css.slice(stop);
+    this.consumed = (this.consumed + css.slice(0, stop)).slice(-LOOKBEHIND);
+    return out;
+  }
+}
+
+/**
+ * Rewrite a complete stylesheet (or style attribute / <style> block)
+ */
+function rewriteCss(css, rewriteUrl) {
+  const rewriter = new CssRewriter(rewriteUrl);
+  return rewriter.write(css) + rewriter.end();
+}
+
+module.exports = { CssRewriter, rewriteCss };
@@ -0,0 +1,273 @@
+/**
+ * Dashboard - Fleet overview at /
+ *
+ * GET /                  HTML page (search box, status filter, live refresh)
+ * GET /dashboard/sites   JSON behind the page: ?q=&status=&offset=&limit=
+ *
+ * Only the sites and devices the signed-in user may access are listed. Reachability
+ * comes from the background health monitor; the page re-polls every health interval.
+ */
+
+const HEALTH = require('../config/health');
+const { requireAuth, escapeHtml } = require('./authService');
+const { visibleSites } = require('./accessControl');
+const { getNeocoreHealth, getDeviceHealth, combineStatus } = require('./healthMonitor');
+const { getCircuitState } = require('./circuitBreaker');
+
+const STATUSES = ['up', 'degraded', 'down', 'unknown'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+
+/**
+ * One site as shown on the dashboard (links only to what the user may open)
+ */
+function summarizeSite({ site, role, deviceIds }) {
+  const neocoreHealth = role && site.neocore?.enabled ? getNeocoreHealth(site.name) : null;
+  const neocore = neocoreHealth && {
+    url: `/vpn/${site.name}/neocore`,
+    status: combineStatus([neocoreHealth.status, neocoreHealth.ws?.status || 'unknown']),
+    latencyMs: neocoreHealth.latencyMs,
+    circuit: getCircuitState(site.name).state
+  };
+  const devices = site.devices?.enabled === false ? [] : deviceIds.map(id => {
+    const config = site.devices.deviceList[id];
+    const health = getDeviceHealth(site.name, id);
+    return {
+      id,
+      name: config.name || id,
+      virtualIp: config.virtualIp,
+      url: `/vpn/${site.name}/devices/${id}/`,
+      status: health.status,
+      latencyMs: health.latencyMs,
+      circuit: getCircuitState(`${site.name}/devices/${id}`).state
+    };
+  }).sort(byName);
+
+  return {
+    name: site.name,
+    vpnIp: site.vpnIp,
+    status: combineStatus([...(neocore ? [neocore.status] : []), ...devices.map(device => device.status)]),
+    neocore,
+    devices
+  };
+}
+
+/**
+ * Case-insensitive substring search over site name/VPN IP and device id/name/virtual IP
+ * A site matching by itself keeps all its devices, otherwise only the matching ones.
+ */
+function searchSite(site, query) {
+  if (!query) return site;
+  const matches = (...values) => values.some(value => value && String(value).toLowerCase().includes(query));
+  if (matches(site.name, site.vpnIp)) return site;
+  const devices = site.devices.filter(device => matches(device.id, device.name, device.virtualIp));
+  return devices.length > 0 ? { ...site, neocore: null, devices } : null;
+}
+
+/**
+ * Dashboard data for one user
+ *
+ * @param {Object} user - req.user
+ * @param {Object} allSites - Live SITES object
+ * @param {Object} [filter]
+ * @param {string} [filter.q] - Search text
+ * @param {string} [filter.status] - up, degraded, down or unknown (combined site status)
+ * @param {number} [filter.offset]
+ * @param {number} [filter.limit]
+ */
+function dashboardData(user, allSites, { q = '', status, offset = 0, limit = DEFAULT_LIMIT } = {}) {
+  const sites = visibleSites(user, allSites).map(summarizeSite).sort(byName);
+  const counts = Object.fromEntries(STATUSES.map(key => [key, 0]));
+  sites.forEach(site => counts[site.status]++);
+
+  const query = q.trim().toLowerCase();
+  const matched = sites
+    .filter(site => !status || site.status === status)
+    .map(site => searchSite(site, query))
+    .filter(Boolean);
+
+  return {
+    total: sites.length,
+    counts,
+    matched: matched.length,
+    offset,
+    limit,
+    refreshSeconds: HEALTH.enabled ? HEALTH.intervalSeconds : null,
+    sites: matched.slice(offset, offset + limit)
+  };
+}
+
+function renderDashboardPage(user) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>VPN Proxy - Sites</title>
+<style>
+body{font-family:sans-serif;max-width:960px;margin:24px auto;padding:0 12px;color:#222}
+header{display:flex;justify-content:space-between;align-items:center}
+form.inline{display:inline}
+.controls{display:flex;gap:8px;margin:16px 0}.controls input{flex:1}
+input,select,button{padding:6px 8px}
+.site{border:1px solid #ddd;border-radius:4px;margin:8px 0;padding:8px 12px}
+.site h3{margin:0;font-size:1.05em;display:flex;gap:8px;align-items:center}
+.site ul{margin:6px 0 0;padding-left:20px}.site li{margin:2px 0}
+.muted{color:#777;font-size:.9em}
+.badge{font-size:.75em;padding:1px 6px;border-radius:8px;color:#fff;background:#888}
+.up{background:#2e7d32}.down{background:#c62828}.degraded{background:#ef6c00}.open{background:#6a1b9a}
+.pager{display:flex;gap:8px;align-items:center;margin:12px 0}
+</style>
+</head>
+<body>
+<header>
+<h2>Sites</h2>
+<div>${escapeHtml(user.name || user.username)}
+<form class="inline" method="post" action="/auth/logout"><button type="submit">Sign out</button></form></div>
+</header>
+<div class="summary muted" id="summary"></div>
+<div class="controls">
+<input id="q" type="search" placeholder="Search sites, devices, IPs" autofocus>
+<select id="status">
+<option value="">All statuses</option>
+${STATUSES.map(status => `<option value="${status}">${status}</option>`).join('\n')}
+</select>
+</div>
+<div id="sites"></div>
+<div class="pager"><button id="prev">Previous</button><span class="muted" id="page"></span><button id="next">Next</button></div>
+<script>
+(function () {
+  var params = new URLSearchParams(location.search);
+  var state = { q: params.get('q') || '', status: params.get('status') || '', offset: 0 };
+  var q = document.getElementById('q');
+  var status = document.getElementById('status');
+  var list = document.getElementById('sites');
+  var timer = null;
+  q.value = state.q;
+  status.value = state.status;
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = text;
+    return node;
+  }
+
+  function badge(status, circuit) {
+    return el('span', 'badge ' + (circuit === 'open' ? 'open' : status), circuit === 'open' ? 'circuit open' : status);
+  }
+
+  function link(href, text) {
+    var a = el('a', null, text);
+    a.href = href;
+    return a;
+  }
+
+  function renderSite(site) {
+    var box = el('div', 'site');
+    var title = el('h3');
+    title.appendChild(el('span', null, site.name));
+    title.appendChild(badge(site.status));
+    if (site.vpnIp) title.appendChild(el('span', 'muted', site.vpnIp));
+    box.appendChild(title);
+
+    var items = el('ul');
+    if (site.neocore) {
+      var neocore = el('li');
+      neocore.appendChild(link(site.neocore.url, 'NeoCore'));
+      neocore.appendChild(document.createTextNode(' '));
+      neocore.appendChild(badge(site.neocore.status, site.neocore.circuit));
+      items.appendChild(neocore);
+    }
+    site.devices.forEach(function (device) {
+      var item = el('li');
+      item.appendChild(link(device.url, device.name));
+      item.appendChild(el('span', 'muted', ' ' + (device.virtualIp || device.id) + ' '));
+      item.appendChild(badge(device.status, device.circuit));
+      items.appendChild(item);
+    });
+    if (items.children.length > 0) box.appendChild(items);
+    return box;
+  }
+
+  function render(data) {
+    var summary = data.total + ' sites: ' + Object.keys(data.counts).map(function (key) {
+      return data.counts[key] + ' ' + key;
+    }).join(', ');
+    document.getElementById('summary').textContent = summary;
+
+    list.textContent = '';
+    if (data.sites.length === 0) list.appendChild(el('p', 'muted', 'No matching sites'));
+    data.sites.forEach(function (site) { list.appendChild(renderSite(site)); });
+
+    var last = Math.min(data.offset + data.limit, data.matched);
+    document.getElementById('page').textContent = data.matched === 0 ? '' : (data.offset + 1) + '-' + last + ' of ' + data.matched;
+    document.getElementById('prev').disabled = data.offset === 0;
+    document.getElementById('next').disabled = last >= data.matched;
+    state.limit = data.limit;
+
+    clearTimeout(timer);
+    if (data.refreshSeconds) timer = setTimeout(load, Math.max(data.refreshSeconds, 5) * 1000);
+  }
+
+  function load() {
+    var query = new URLSearchParams({ q: state.q, status: state.status, offset: state.offset });
+    history.replaceState(null, '', state.q || state.status
+      ? '?' + new URLSearchParams({ q: state.q, status: state.status })
+      : location.pathname);
+    fetch('/dashboard/sites?' + query, { headers: { Accept: 'application/json' } })
+      .then(function (res) {
+        if (res.status === 401) location.reload();
+        return res.json();
+      })
+      .then(render)
+      .catch(function () { timer = setTimeout(load, 10000); });
+  }
+
+  var debounce = null;
+  q.addEventListener('input', function () {
+    clearTimeout(debounce);
+    debounce = setTimeout(function () { state.q = q.value; state.offset = 0; load(); }, 200);
+  });
+  status.addEventListener('change', function () { state.status = status.value; state.offset = 0; load(); });
+  document.getElementById('prev').addEventListener('click', function () {
+    state.offset = Math.max(state.offset - state.limit, 0);
+    load();
+  });
+  document.getElementById('next').addEventListener('click', function () {
+    state.offset += state.limit;
+    load();
+  });
+  load();
+})();
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Register the dashboard
+ * Must come after the device asset rewrite in registerAllRoutes, so a device page requesting
+ * its own "/" still reaches the device.
+ *
+ * @param {Object} app - Express app
+ * @param {Object} allSites - Live SITES object
+ */
+function registerDashboardRoutes(app, allSites) {
+  app.get('/', requireAuth, (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.send(renderDashboardPage(req.user));
+  });
+
+  app.get('/dashboard/sites', requireAuth, (req, res) => {
+    const { q, status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    res.set('Cache-Control', 'no-store');
+    res.json(dashboardData(req.user, allSites, { q: typeof q === 'string' ? q : '', status, offset, limit }));
+  });
+}
+
+module.exports = { dashboardData, registerDashboardRoutes };
@@ -0,0 +1,135 @@
+/**
+ * Device Shim - Client-side URL rewriting injected into proxied device pages
+ *
+ * Server-side rewriting only sees URL literals. Device JavaScript that builds URLs at
+ * runtime (fetch(base + '/status'), new WebSocket(...), history.pushState, ...) is caught
+ * in the browser instead: the shim patches fetch, XMLHttpRequest.open, WebSocket,
+ * EventSource, history, anchor clicks and form submissions so same-origin URLs get the
+ * /vpn/{site}/devices/{deviceId} prefix.
+ *
+ * The shim is given the prefix only. Absolute URLs naming the device (its virtual or actual
+ * IP) are rewritten on the server, so the internal addresses never reach the browser.
+ */
+
+/**
+ * Browser side of the shim - serialized with Function.prototype.toString, so it must be
+ * self-contained (no closures over this module) and stay ES5-compatible for old device UIs.
+ */
+function installDeviceShim(config) {
+  if (window.__vpnDeviceShim) return;
+  window.__vpnDeviceShim = config;
+
+  var prefix = config.prefix;
+
+  // Map a same-origin URL into the device prefix; anything else is returned unchanged
+  function toProxy(input, websocket) {
+    var url;
+    try {
+      url = new URL(String(input), location.href);
+    } catch (e) {
+      return input;
+    }
+
+    if (url.host !== location.host || url.pathname.indexOf('/vpn/') === 0) return input;
+
+    var path = prefix + url.pathname + url.search + url.hash;
+    if (websocket || url.protocol === 'ws:' || url.protocol === 'wss:') {
+      return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + path;
+    }
+    return path;
+  }
+
+  if (window.fetch) {
+    var originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+      if (window.Request && input instanceof window.Request) {
+        var mapped = toProxy(input.url);
+        if (mapped !== input.url) input = new window.Request(mapped, input);
+      } else if (input !== undefined && input !== null) {
+        input = toProxy(input);
+      }
+      return originalFetch.call(this, input, init);
+    };
+  }
+
+  if (window.XMLHttpRequest) {
+    var originalOpen = window.XMLHttpRequest.prototype.open;
+    window.XMLHttpRequest.prototype.open = function (method, url) {
+      var args = Array.prototype.slice.call(arguments);
+      args[1] = toProxy(url);
+      return originalOpen.apply(this, args);
+    };
+  }
+
+  function wrapConstructor(name, websocket, constants) {
+    var Original = window[name];
+    if (!Original) return;
+    var Wrapped = function (url, options) {
+      return arguments.length > 1
+        ? new Original(toProxy(url, websocket), options)
+        : new Original(toProxy(url, websocket));
+    };
+    Wrapped.prototype = Original.prototype;
+    constants.forEach(function (key) { Wrapped[key] = Original[key]; });
+    window[name] = Wrapped;
+  }
+  wrapConstructor('WebSocket', true, ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED']);
+  wrapConstructor('EventSource', false, ['CONNECTING', 'OPEN', 'CLOSED']);
+
+  ['pushState', 'replaceState'].forEach(function (method) {
+    var original = window.history[method];
+    window.history[method] = function (state, title, url) {
+      if (url === undefined || url === null) return original.call(this, state, title);
+      return original.call(this, state, title, toProxy(url));
+    };
+  });
+
+  function mapAttribute(element, name) {
+    var value = element.getAttribute(name);
+    if (value === null) return;
+    var mapped = toProxy(value);
+    if (mapped !== value) element.setAttribute(name, mapped);
+  }
+
+  // Fix the href just before the browser follows it (capture phase runs before navigation)
+  document.addEventListener('click', function (event) {
+    var anchor = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+    if (anchor) mapAttribute(anchor, 'href');
+  }, true);
+
+  // Same for form actions: the browser reads them after the submit event
+  document.addEventListener('submit', function (event) {
+    var form = event.target;
+    if (!form || !form.getAttribute) return;
+    mapAttribute(form, 'action');
+    if (event.submitter && event.submitter.getAttribute) mapAttribute(event.submitter, 'formaction');
+  }, true);
+
+  // location.href = ... cannot be patched; where the Navigation API exists, redirect
+  // unprefixed same-origin navigations instead of relying on the referer fallback.
+  // Form submissions are left alone: location.assign() would turn a POST into a GET
+  // and drop its body (their action was fixed on submit).
+  if (window.navigation && window.navigation.addEventListener) {
+    window.navigation.addEventListener('navigate', function (event) {
+      if (!event.cancelable || event.hashChange || event.downloadRequest || event.formData) return;
+      var url = new URL(event.destination.url);
+      if (url.host !== location.host || url.pathname.indexOf('/vpn/') === 0) return;
+      event.preventDefault();
+      location.assign(toProxy(url.href));
+    });
+  }
+}
+
+/**
+ * Inline <script> installing the shim for one device
+ *
+ * @param {Object} options
+ * @param {string} options.prefix - Device prefix (e.g., "/vpn/site1/devices/device1")
+ * @returns {string} HTML
+ */
+function deviceShimScript({ prefix }) {
+  const config = JSON.stringify({ prefix }).replace(/</g, '\\u003c');
+  return `<script data-vpn-proxy="device-shim">(${installDeviceShim.toString()})(${config});</script>`;
+}
+
+module.exports = { deviceShimScript };
@@ -0,0 +1,213 @@
+/**
+ * Health Monitor - Background probing of every NeoCore and device upstream
+ *
+ * Each site's neocore target, neocore wsTarget and every deviceList entry is probed
+ * on an interval. Status ('up' | 'down' | 'unknown'), latency and the time of the last
+ * status change are tracked per target; transitions are kept in a bounded history.
+ *
+ * The target list is re-read from the live site configuration on every round, so
+ * sites and devices added or removed at runtime are picked up automatically.
+ */
+
+const http = require('http');
+const https = require('https');
+const HEALTH = require('../config/health');
+const { logger } = require('./logger');
+
+// "site/neocore" | "site/neocore-ws" | "site/devices/deviceId" → check state
+const checks = new Map();
+// Status transitions, oldest first (bounded by HEALTH.historySize)
+const history = [];
+
+let timer = null;
+let running = false;
+
+/**
+ * Probe targets for the current configuration
+ */
+function listTargets(sites) {
+  const targets = [];
+  Object.values(sites).forEach(site => {
+    if (site.neocore?.enabled) {
+      targets.push({ key: `${site.name}/neocore`, site: site.name, deviceId: null, type: 'neocore',
+        url: site.neocore.target, path: HEALTH.paths.neocore });
+      if (site.neocore.wsTarget) {
+        targets.push({ key: `${site.name}/neocore-ws`, site: site.name, deviceId: null, type: 'neocoreWs',
+          url: site.neocore.wsTarget, path: HEALTH.paths.neocoreWs });
+      }
+    }
+    if (site.devices?.enabled && site.devices.deviceList) {
+      Object.entries(site.devices.deviceList).forEach(([deviceId, device]) => {
+        if (!device?.target) return;
+        targets.push({ key: `${site.name}/devices/${deviceId}`, site: site.name, deviceId, type: 'device',
+          url: device.target, path: HEALTH.paths.device });
+      });
+    }
+  });
+  return targets;
+}
+
+/**
+ * Single HTTP probe - resolves with { ok, statusCode, latencyMs, error }
+ */
+function probe(target) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    let url;
+    try {
+      url = new URL(target.path, target.url);
+    } catch (err) {
+      return resolve({ ok: false, latencyMs: null, error: `Invalid target: ${target.url}` });
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'GET',
+      timeout: HEALTH.timeoutSeconds * 1000,
+      rejectUnauthorized: false,
+      headers: { 'user-agent': 'vpn-proxy-health' }
+    }, res => {
+      res.resume();  // Only the status matters
+      resolve({
+        ok: res.statusCode < 500,
+        statusCode: res.statusCode,
+        latencyMs: Date.now() - started,
+        error: res.statusCode < 500 ? null : `HTTP ${res.statusCode}`
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Timeout')));
+    req.on('error', err => resolve({ ok: false, latencyMs: null, error: err.code || err.message }));
+    req.end();
+  });
+}
+
+/**
+ * Record a probe result, logging and remembering status transitions
+ */
+function record(target, result) {
+  const now = new Date().toISOString();
+  const previous = checks.get(target.key);
+  const status = result.ok ? 'up' : 'down';
+  const from = previous && previous.url === target.url ? previous.status : 'unknown';
+
+  const state = {
+    key: target.key,
+    site: target.site,
+    deviceId: target.deviceId,
+    type: target.type,
+    url: target.url,
+    status,
+    statusCode: result.statusCode ?? null,
+    latencyMs: result.latencyMs,
+    error: result.error,
+    lastCheck: now,
+    lastChange: from === status ? previous.lastChange : now
+  };
+  checks.set(target.key, state);
+
+  if (from !== status) {
+    history.push({ key: target.key, site: target.site, deviceId: target.deviceId, type: target.type,
+      from, to: status, at: now, error: result.error });
+    if (history.length > HEALTH.historySize) history.splice(0, history.length - HEALTH.historySize);
+
+    if (status === 'down') {
+      logger.warn('Upstream down', { target: target.key, url: target.url, error: result.error });
+    } else if (from !== 'unknown') {
+      logger.info('Upstream back up', { target: target.key, url: target.url, latencyMs: result.latencyMs });
+    }
+  }
+}
+
+/**
+ * Probe every target once
+ */
+async function checkAll(sites) {
+  if (running) return;  // A slow round must not overlap the next one
+  running = true;
+  try {
+    const targets = listTargets(sites);
+    const keys = new Set(targets.map(target => target.key));
+    [...checks.keys()].forEach(key => {
+      if (!keys.has(key)) checks.delete(key);
+    });
+    await Promise.all(targets.map(async target => record(target, await probe(target))));
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the background monitor
+ * @param {Object} sites - Live site configuration
+ */
+function startHealthMonitor(sites) {
+  if (!HEALTH.enabled || timer) return;
+  checkAll(sites);
+  timer = setInterval(() => checkAll(sites), HEALTH.intervalSeconds * 1000);
+  timer.unref();
+  logger.info('Health monitor active', { intervalSeconds: HEALTH.intervalSeconds });
+}
+
+function stopHealthMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function publicState(state) {
+  if (!state) return { status: 'unknown' };
+  const { status, statusCode, latencyMs, error, lastCheck, lastChange } = state;
+  return { status, statusCode, latencyMs, error, lastCheck, lastChange };
+}
+
+/**
+ * Health of a site's NeoCore (target and wsTarget)
+ */
+function getNeocoreHealth(siteName) {
+  const api = checks.get(`${siteName}/neocore`);
+  const ws = checks.get(`${siteName}/neocore-ws`);
+  return { ...publicState(api), ws: ws ? publicState(ws) : undefined };
+}
+
+function getDeviceHealth(siteName, deviceId) {
+  return publicState(checks.get(`${siteName}/devices/${deviceId}`));
+}
+
+/**
+ * Combined status of a set of states: up, down, degraded (mixed) or unknown
+ */
+function combineStatus(statuses) {
+  const known = statuses.filter(status => status !== 'unknown');
+  if (known.length === 0) return 'unknown';
+  if (known.every(status => status === 'up')) return 'up';
+  if (known.every(status => status === 'down')) return 'down';
+  return 'degraded';
+}
+
+/**
+ * Recent status transitions, newest first
+ *
+ * @param {Object} [filter]
+ * @param {Function} [filter.visible] - (entry) => boolean, e.g. access control
+ * @param {string} [filter.site]
+ * @param {string} [filter.deviceId]
+ * @param {number} [filter.limit]
+ */
+function getHistory({ visible = () => true, site, deviceId, limit = 100 } = {}) {
+  return history
+    .filter(entry => visible(entry)
+      && (!site || entry.site === site)
+      && (!deviceId || entry.deviceId === deviceId))
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  startHealthMonitor,
+  stopHealthMonitor,
+  checkAll,
+  getNeocoreHealth,
+  getDeviceHealth,
+  combineStatus,
+  getHistory
+};
@@ -0,0 +1,296 @@
+/**
+ * HTML Rewriter - Tokenizer-based rewriting of URL-bearing markup
+ *
+ * Only genuine URLs are touched:
+ * - URL attributes (href, src, action, poster, xlink:href, ...) incl. unquoted values
+ * - srcset / imagesrcset candidate lists
+ * - <meta http-equiv="refresh" content="5; url=...">
+ * - <base href> (later relative URLs resolve against it)
+ * - style="" attributes and <style> blocks (via cssRewriter)
+ * Optional markup (the device shim) can be injected at the start of the document head.
+ * Script bodies are handed to an optional script rewriter and never scanned for
+ * attribute-looking text. Comments, doctypes and non-JS <script type=...> are left alone.
+ *
+ * Streaming: write() returns what can be emitted now; an incomplete tag, comment
+ * or raw-text element is carried over to the next write().
+ */
+
+const { rewriteCss } = require('./cssRewriter');
+
+const URL_ATTRIBUTES = [
+  'href', 'src', 'action', 'formaction', 'poster', 'background', 'cite', 'longdesc',
+  'usemap', 'manifest', 'icon', 'codebase', 'xlink:href', 'data-src'
+];
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp'];
+
+const JS_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/ecmascript', 'application/ecmascript'];
+
+// Quote characters written as character references (style="background:url(&quot;a.png&quot;)")
+const QUOTE_REFERENCES = /&(?:quot|#0*34|#x0*22|apos|#0*39|#x0*27);/gi;
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Rewrite each candidate URL of a srcset value ("a.png 1x, b.png 2x")
+ */
+function rewriteSrcset(value, rewriteUrl) {
+  return value.replace(/(^|,)(\s*)([^\s,]+)/g, (match, comma, space, url) => {
+    return `${comma}${space}${rewriteUrl(url)}`;
+  });
+}
+
+/**
+ * Rewrite the URL part of a refresh value ("5; url=/next.html")
+ * Shared with the Refresh response header.
+ */
+function rewriteRefresh(value, rewriteUrl) {
+  return value.replace(/^(\s*\d*(?:\.\d*)?\s*[;,]\s*(?:url\s*=\s*)?)(['"]?)([^'"]*)\2(\s*)$/i,
+    (match, lead, quote, url, trail) => (url ? `${lead}${quote}${rewriteUrl(url)}${quote}${trail}` : match));
+}
+
+/**
+ * Index of the '>' closing a tag that starts at `start`, honouring quoted attribute values
+ */
+function findTagEnd(html, start) {
+  let quote = null;
+  let lastSignificant = '';
+  for (let i = start + 1; i < html.length; i++) {
+    const c = html[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if ((c === '"' || c === "'") && lastSignificant === '=') {
+      quote = c;
+    } else if (c === '>') {
+      return i;
+    }
+    if (!/\s/.test(c)) lastSignificant = c;
+  }
+  return -1;
+}
+
+function decodeQuotes(value) {
+  return value.replace(QUOTE_REFERENCES, reference => (/quot|34|22/i.test(reference) ? '"' : "'"));
+}
+
+function quoteValue(value, quote) {
+  if (quote === '"') return `"${value.replace(/"/g, '&quot;')}"`;
+  if (quote === "'") return `'${value.replace(/'/g, '&#39;')}'`;
+  return /[\s"'=<>`]/.test(value) ? `"${value.replace(/"/g, '&quot;')}"` : value;
+}
+
+class HtmlRewriter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.rewriteUrl - (url) => url
+   * @param {Function} [options.setBase] - Called with the <base href> value (before it is rewritten)
+   * @param {Function} [options.rewriteScript] - (js) => js for inline scripts
+   * @param {string} [options.inject] - Markup inserted right after <head> (or before <body> if there is no head)
+   */
+  constructor(options) {
+    this.options = options;
+    this.pending = '';
+    this.injected = !options.inject;
+    this.rawTag = null;         // Inside <script>/<style>/... until its end tag
+    this.rawKind = null;        // 'script' | 'style' | null (left untouched)
+  }
+
+  write(chunk) {
+    this.pending += chunk;
+    return this.process(false);
+  }
+
+  end() {
+    const out = this.process(true);
+    return out + this.pending;
+  }
+
+  process(final) {
+    const html = this.pending;
+    let out = '';
+    let i = 0;
+
+    while (i < html.length) {
+      if (this.rawTag) {
+        const close = this.findRawEnd(html, i);
+        if (close < 0) {
+          if (!final) break;
+          out += this.transformRaw(html.slice(i));
+          i = html.length;
+          break;
+        }
+        out += this.transformRaw(html.slice(i, close));
+        this.rawTag = null;
+        this.rawKind = null;
+        i = close;
+        continue;
+      }
+
+      const lt = html.indexOf('<', i);
+      if (lt < 0) {
+        out += html.slice(i);
+        i = html.length;
+        break;
+      }
+      out += html.slice(i, lt);
+      i = lt;
+
+      if (lt + 1 >= html.length) {
+        if (!final) break;
+        out += '<';
+        i = html.length;
+        break;
+      }
+
+      // Comment
+      if (html.startsWith('<!--', lt)) {
+        const close = html.indexOf('-->', lt + 4);
+        if (close < 0) {
+          if (!final) break;
+          out += html.slice(lt);
+          i = html.length;
+          break;
+        }
+        out += html.slice(lt, close + 3);
+        i = close + 3;
+        continue;
+      }
+
+      // Doctype, CDATA, processing instruction
+      if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+        const close = html.indexOf('>', lt);
+        if (close < 0) {
+          if (!final) break;
+          out += html.slice(lt);
+          i = html.length;
+          break;
+        }
+        out += html.slice(lt, close + 1);
+        i = close + 1;
+        continue;
+      }
+
+      // Start or end tag
+      if (/[A-Za-z]/.test(html[lt + 1]) || (html[lt + 1] === '/' && /[A-Za-z]/.test(html[lt + 2] || 'a'))) {
+        const close = findTagEnd(html, lt);
+        if (close < 0) {
+          if (!final) break;
+          out += html.slice(lt);
+          i = html.length;
+          break;
+        }
+        out += this.rewriteTag(html.slice(lt, close + 1));
+        i = close + 1;
+        continue;
+      }
+
+      // A lone '<' in text
+      out += '<';
+      i = lt + 1;
+    }
+
+    this.pending = html.slice(i);
+    return out;
+  }
+
+  /**
+   * Position of the end tag closing the current raw-text element (-1 if not seen yet)
+   */
+  findRawEnd(html, from) {
+    const pattern = new RegExp(`</${this.rawTag}(?=[\\s/>])`, 'ig');
+    pattern.lastIndex = from;
+    const match = pattern.exec(html);
+    return match ? match.index : -1;
+  }
+
+  transformRaw(text) {
+    if (this.rawKind === 'style') return rewriteCss(text, this.options.rewriteUrl);
+    if (this.rawKind === 'script' && this.options.rewriteScript) return this.options.rewriteScript(text);
+    return text;
+  }
+
+  rewriteTag(tag) {
+    const nameMatch = /^<(\/?)([A-Za-z][^\s\/>]*)/.exec(tag);
+    if (!nameMatch || nameMatch[1]) return tag;  // End tags carry no URLs
+
+    const name = nameMatch[2].toLowerCase();
+    if (!this.injected && name === 'body') {
+      this.injected = true;
+      return this.options.inject + this.rewriteTag(tag);
+    }
+
+    const attrText = tag.slice(nameMatch[0].length);
+    const attributes = [];
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(attrText))) {
+      const [text, attrName, equals, doubleQuoted, singleQuoted, unquoted] = match;
+      const value = doubleQuoted ?? singleQuoted ?? unquoted;
+      attributes.push({
+        index: match.index,
+        text,
+        name: attrName.toLowerCase(),
+        rawName: attrName,
+        equals,
+        value,
+        quote: doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : ''
+      });
+    }
+
+    const attr = attrName => attributes.find(a => a.name === attrName);
+    const isRefresh = name === 'meta' && (attr('http-equiv')?.value || '').toLowerCase() === 'refresh';
+
+    if (name === 'base' && attr('href')?.value && this.options.setBase) {
+      this.options.setBase(attr('href').value);
+    }
+
+    let result = '';
+    let last = 0;
+    attributes.forEach(a => {
+      if (a.value === undefined) return;
+      const decoded = decodeQuotes(a.value);
+      let value = decoded;
+
+      if (URL_ATTRIBUTES.includes(a.name) || (a.name === 'data' && name === 'object')) {
+        value = this.options.rewriteUrl(decoded);
+      } else if (SRCSET_ATTRIBUTES.includes(a.name)) {
+        value = rewriteSrcset(decoded, this.options.rewriteUrl);
+      } else if (a.name === 'style') {
+        value = rewriteCss(decoded, this.options.rewriteUrl);
+      } else if (a.name === 'content' && isRefresh) {
+        value = rewriteRefresh(decoded, this.options.rewriteUrl);
+      }
+
+      if (value === decoded) return;
+      result += attrText.slice(last, a.index) + `${a.rawName}${a.equals}${quoteValue(value, a.quote)}`;
+      last = a.index + a.text.length;
+    });
+    result = nameMatch[0] + result + attrText.slice(last);
+
+    if (!this.injected && name === 'head') {
+      this.injected = true;
+      result += this.options.inject;
+    }
+
+    const selfClosing = /\/\s*>$/.test(tag);
+    if (RAW_TEXT_ELEMENTS.includes(name) && !selfClosing) {
+      this.rawTag = name;
+      const type = (attr('type')?.value || '').trim().toLowerCase();
+      this.rawKind = name === 'style' ? 'style' : (name === 'script' && JS_TYPES.includes(type) ? 'script' : null);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Rewrite a complete HTML document
+ */
+function rewriteHtml(html, options) {
+  const rewriter = new HtmlRewriter(options);
+  return rewriter.write(html) + rewriter.end();
+}
+
+module.exports = { HtmlRewriter, rewriteHtml, rewriteSrcset, rewriteRefresh };
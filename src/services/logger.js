@@ -0,0 +1,104 @@
+/**
+ * Logger - Levelled, structured logging with per-request IDs
+ *
+ *   LOG_LEVEL   debug | info | warn | error (default: info, or debug when DEBUG is set)
+ *   LOG_FORMAT  json (one object per line, default) | text (human-readable)
+ *
+ * Every HTTP request and WebSocket upgrade gets an ID (an incoming X-Request-Id is kept
+ * if it looks sane). It is returned to the client and forwarded upstream as X-Request-Id,
+ * and `req.log` stamps it on every line logged for that request.
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : (process.env.DEBUG ? 'debug' : 'info');
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function serializeError(err) {
+  return { message: err.message, code: err.code, stack: LOG_LEVEL === 'debug' ? err.stack : undefined };
+}
+
+function format(level, msg, fields) {
+  const time = new Date().toISOString();
+  if (LOG_FORMAT === 'json') {
+    return JSON.stringify({ time, level, msg, ...fields });
+  }
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Create a logger with fields bound to every line
+ */
+function createLogger(bindings = {}) {
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+    const merged = { ...bindings, ...fields };
+    if (merged.err instanceof Error) merged.err = serializeError(merged.err);
+    const line = format(level, msg, merged) + '\n';
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    isDebug: () => LEVELS[LOG_LEVEL] <= LEVELS.debug,
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Assign a request ID (kept from X-Request-Id if valid) and a request-scoped logger
+ * The ID is written back into the request headers, so every proxy forwards it upstream,
+ * and onto the response, so the browser can report it.
+ */
+function assignRequestId(req) {
+  const incoming = req.headers[REQUEST_ID_HEADER];
+  const id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = id;
+  req.headers[REQUEST_ID_HEADER] = id;
+  req.log = logger.child({ requestId: id });
+  return id;
+}
+
+/**
+ * Express middleware: request ID + one access log line per finished request
+ */
+function requestLogger(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.setHeader('X-Request-Id', assignRequestId(req));
+
+  res.once('finish', () => {
+    req.log.info('request', {
+      method: req.method,
+      url: req.originalUrl || req.url,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.ip,
+      user: req.user?.username
+    });
+  });
+  next();
+}
+
+/**
+ * http-proxy-middleware logProvider - its "[HPM] ..." lines go through this logger
+ * (HPM formats each message into a single string; its info chatter is demoted to debug)
+ */
+function proxyLogProvider() {
+  const hpm = logger.child({ component: 'http-proxy-middleware' });
+  return { log: hpm.debug, debug: hpm.debug, info: hpm.debug, warn: hpm.warn, error: hpm.error };
+}
+
+module.exports = { logger, createLogger, assignRequestId, requestLogger, proxyLogProvider };
@@ -0,0 +1,216 @@
+/**
+ * Metrics - Prometheus text-format metrics for proxied traffic
+ *
+ * Hand-rolled (counters, gauges, histograms with labels) to keep the dependency list short.
+ * Every series is labelled by site, service ('neocore' | 'devices') and device ('' for neocore).
+ *
+ * Proxies report through a small set of hooks:
+ *   observeProxy(labels)         middleware: request count, status code, bytes in/out
+ *   upstreamStarted(req)         onProxyReq: start of the upstream latency timer
+ *   upstreamResponded(req)       onProxyRes: upstream latency (time to response headers)
+ *   upstreamFailed(req, err)     onError: error count by code
+ *   rewriteObserved(req, secs)   time spent in the body rewriter
+ *   websocketOpened/Closed       open WebSocket gauge
+ *   rateLimited(labels, reason)  requests and upgrades refused by the rate limiter
+ *   cacheResult(labels, result)  response cache lookups (hit, stale, revalidated, miss)
+ */
+
+const crypto = require('crypto');
+const METRICS = require('../config/metrics');
+const { isAdmin } = require('./accessControl');
+
+// name → { type, help, buckets?, series: Map(labelKey → { labels, value | counts/sum/count }) }
+const registry = new Map();
+
+function define(name, type, help, buckets = null) {
+  registry.set(name, { type, help, buckets, series: new Map() });
+}
+
+define('vpn_proxy_requests_total', 'counter', 'Proxied requests by site, service, device and status code');
+define('vpn_proxy_upstream_duration_seconds', 'histogram', 'Time until the upstream response headers arrived', METRICS.upstreamBuckets);
+define('vpn_proxy_received_bytes_total', 'counter', 'Request body bytes received from clients');
+define('vpn_proxy_sent_bytes_total', 'counter', 'Response body bytes sent to clients');
+define('vpn_proxy_rewrite_duration_seconds', 'histogram', 'Time spent rewriting response bodies', METRICS.rewriteBuckets);
+define('vpn_proxy_websocket_connections', 'gauge', 'Open proxied WebSocket connections');
+define('vpn_proxy_upstream_errors_total', 'counter', 'Upstream errors by error code');
+define('vpn_proxy_cache_requests_total', 'counter', 'Response cache lookups by result');
+define('vpn_proxy_rate_limited_total', 'counter', 'Requests and WebSocket upgrades refused by the rate limiter, by reason');
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+}
+
+function seriesFor(name, labels) {
+  const metric = registry.get(name);
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === 'histogram'
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function inc(name, labels, amount = 1) {
+  seriesFor(name, labels).value += amount;
+}
+
+function observe(name, labels, value) {
+  const metric = registry.get(name);
+  const series = seriesFor(name, labels);
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) series.counts[i]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+function baseLabels(req) {
+  const { site = '', service = '', device = '' } = req.metricsLabels || {};
+  return { site, service, device };
+}
+
+/**
+ * Middleware counting a proxied request once its response has finished
+ *
+ * @param {Object} labels - { site, service, device }
+ */
+function observeProxy(labels) {
+  const normalized = { site: labels.site || '', service: labels.service || '', device: labels.device || '' };
+  return (req, res, next) => {
+    req.metricsLabels = normalized;
+    let sent = 0;
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, callback) {
+      if (chunk) sent += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      if (chunk && typeof chunk !== 'function') {
+        sent += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+      }
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    res.once('finish', () => {
+      inc('vpn_proxy_requests_total', { ...normalized, status: String(res.statusCode) });
+      inc('vpn_proxy_sent_bytes_total', normalized, sent);
+      inc('vpn_proxy_received_bytes_total', normalized, req.metricsReceivedBytes || 0);
+    });
+    next();
+  };
+}
+
+/**
+ * Start the upstream timer and count the request body as it is piped upstream
+ * Called from onProxyReq, i.e. right before http-proxy pipes the request.
+ */
+function upstreamStarted(req) {
+  req.metricsUpstreamStart = process.hrtime.bigint();
+  req.metricsReceivedBytes = 0;
+  req.on('data', chunk => {
+    req.metricsReceivedBytes += chunk.length;
+  });
+}
+
+function upstreamResponded(req) {
+  if (!req.metricsUpstreamStart) return;
+  const seconds = Number(process.hrtime.bigint() - req.metricsUpstreamStart) / 1e9;
+  observe('vpn_proxy_upstream_duration_seconds', baseLabels(req), seconds);
+}
+
+function upstreamFailed(req, err) {
+  inc('vpn_proxy_upstream_errors_total', { ...baseLabels(req), code: err?.code || 'UNKNOWN' });
+}
+
+function rewriteObserved(req, seconds) {
+  observe('vpn_proxy_rewrite_duration_seconds', baseLabels(req), seconds);
+}
+
+function websocketOpened(labels) {
+  inc('vpn_proxy_websocket_connections', { site: labels.site || '', service: labels.service || '', device: labels.device || '' });
+}
+
+function websocketClosed(labels) {
+  inc('vpn_proxy_websocket_connections', { site: labels.site || '', service: labels.service || '', device: labels.device || '' }, -1);
+}
+
+function rateLimited(labels, reason) {
+  inc('vpn_proxy_rate_limited_total', { site: labels.site || '', service: labels.service || '', device: labels.device || '', reason });
+}
+
+function cacheResult(labels, result) {
+  inc('vpn_proxy_cache_requests_total', { site: labels.site || '', service: labels.service || '', device: labels.device || '', result });
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Render all metrics in Prometheus text exposition format (0.0.4)
+ */
+function renderMetrics() {
+  const lines = [];
+  registry.forEach((metric, name) => {
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+function tokenMatches(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(METRICS.token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Register GET /metrics
+ * METRICS_TOKEN (bearer) for scrapers, otherwise a global admin session.
+ */
+function registerMetricsRoute(app) {
+  app.get('/metrics', (req, res) => {
+    const allowed = METRICS.token ? tokenMatches(req.headers.authorization) : isAdmin(req.user);
+    if (!allowed) {
+      return res.status(METRICS.token || !req.user ? 401 : 403).json({ error: 'Metrics access denied' });
+    }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  });
+}
+
+module.exports = {
+  observeProxy,
+  upstreamStarted,
+  upstreamResponded,
+  upstreamFailed,
+  rewriteObserved,
+  websocketOpened,
+  websocketClosed,
+  rateLimited,
+  cacheResult,
+  renderMetrics,
+  registerMetricsRoute
+};
@@ -5,32 +5,57 @@
  */
 
 const { createProxyMiddleware } = require("http-proxy-middleware");
+const httpProxy = require("http-proxy");
+const { authorize } = require("./accessControl");
+const { stripCredentials } = require("./authService");
+const { pipeResponse } = require("./responseRewriter");
+const { createBodyRewriter, rewriteResponseHeaders, hostOf } = require("./contentRewriter");
+const { circuitGuard, recordSuccess, recordFailure } = require("./circuitBreaker");
+const metrics = require("./metrics");
+const { logger, proxyLogProvider } = require("./logger");
+const { auditProxy, auditWebSocket } = require("./auditLog");
+const { registerUpgrade, trackWebSocket } = require("./shutdown");
+const { rateLimiter, resolveLimits } = require("./rateLimiter");
+const { responseCache, serveRevalidated, resolveCacheOptions } = require("./responseCache");
+
+// Normal client/upstream disconnects - not worth an error line
+const QUIET_ERRORS = ['ECONNRESET', 'EPIPE', 'ERR_STREAM_PREMATURE_CLOSE'];
 
 /**
  * Request tracking utility
+ * Start and success are debug lines (the access log already records every request).
  */
 function trackRequest(site, service, req, status = 'start') {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.url;
-  const userAgent = req.headers['user-agent'] || 'unknown';
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  
+  const fields = { site: site.name, service, method: req.method, url: req.url };
+
   if (status === 'start') {
     // For devices, virtual IP is in deviceConfig, not site
-    const ipInfo = service.startsWith('devices') 
-      ? `Service: ${service}` 
-      : `VPN IP: ${site.vpnIp}`;
-    console.log(`📥 [${timestamp}] ${method} ${url} | Site: ${site.name} | ${ipInfo} | Client: ${ip}`);
+    req.log.debug('Proxying request', {
+      ...fields,
+      vpnIp: service.startsWith('devices') ? undefined : site.vpnIp,
+      ip: req.ip || req.connection.remoteAddress
+    });
   } else if (status === 'success') {
-    console.log(`✅ [${timestamp}] ${method} ${url} | Site: ${site.name} | Service: ${service} | Status: Success`);
+    req.log.debug('Proxy request completed', fields);
   } else if (status === 'error') {
-    console.log(`❌ [${timestamp}] ${method} ${url} | Site: ${site.name} | Service: ${service} | Status: Error`);
+    req.log.warn('Proxy request failed', fields);
   }
 }
 
+/**
+ * Run middlewares in order (metrics, audit, authorization, cache, rate limit, circuit breaker, proxy)
+ * Each one continues by calling next(); the last one's next() is the route's next().
+ */
+function chain(...handlers) {
+  return (req, res, next) => {
+    const run = i => (i < handlers.length ? handlers[i](req, res, () => run(i + 1)) : next());
+    run(0);
+  };
+}
+
 /**
  * Create proxy for neocore (direct VPN access)
+ * Viewers are limited to read-only methods.
  */
 function createNeocoreProxy(site) {
   if (!site.neocore || !site.neocore.enabled) return null;
@@ -45,11 +70,14 @@ function createNeocoreProxy(site) {
     secure: false,
     timeout: 30000,
     proxyTimeout: 30000,
+    logProvider: proxyLogProvider,
+    // onProxyRes streams the body itself (see responseRewriter)
+    selfHandleResponse: true,
     // Suppress WebSocket ECONNRESET errors (normal when clients disconnect)
     wsErrorHandler: (err, req, socket, head) => {
       // Only log non-ECONNRESET errors
       if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
-        console.error(`⚠️  WebSocket error (${site.name}/neocore):`, err.message);
+        logger.warn('WebSocket error', { site: site.name, service: 'neocore', err });
       }
     },
 
@@ -58,21 +86,19 @@ function createNeocoreProxy(site) {
     },
 
     onProxyReq: (proxyReq, req, res) => {
+      stripCredentials(proxyReq);
+      metrics.upstreamStarted(req);
       trackRequest(site, 'neocore', req, 'start');
-      if (process.env.DEBUG) {
-        console.log(`   → Target: ${site.neocore.target}`);
-        console.log(`   → VPN IP: ${site.vpnIp}`);
-        console.log(`   → Rewritten path: ${proxyReq.path}`);
-      }
+      req.log.debug('Upstream request', { target: site.neocore.target, vpnIp: site.vpnIp, path: proxyReq.path });
     },
 
     onError: (err, req, res) => {
+      recordFailure(site.name, err);
+      metrics.upstreamFailed(req, err);
       // Suppress ECONNRESET errors (normal client disconnects)
       if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
         trackRequest(site, 'neocore', req, 'error');
-        console.error(`❌ Neocore proxy error (${site.name}):`, err.message);
-        console.error(`   Target: ${site.neocore.target}`);
-        console.error(`   VPN IP: ${site.vpnIp}`);
+        req.log.error('Neocore proxy error', { site: site.name, target: site.neocore.target, vpnIp: site.vpnIp, err });
       }
       if (!res.headersSent && !res.writableEnded) {
         try {
@@ -89,73 +115,52 @@ function createNeocoreProxy(site) {
     },
 
     onProxyRes: (proxyRes, req, res) => {
+      recordSuccess(site.name);
+      metrics.upstreamResponded(req);
+      if (serveRevalidated(proxyRes, req, res)) return;
+
       // Remove CORS restrictions
       proxyRes.headers["access-control-allow-origin"] = "*";
       proxyRes.headers["access-control-allow-methods"] = "GET, POST, PUT, DELETE, OPTIONS";
       proxyRes.headers["access-control-allow-headers"] = "*";
 
-      const contentType = proxyRes.headers["content-type"] || "";
-      const isTextContent = 
-        contentType.includes("text/html") ||
-        contentType.includes("text/css") ||
-        contentType.includes("javascript") ||
-        contentType.includes("application/json") ||
-        contentType.includes("text/plain") ||
-        contentType.includes("application/javascript") ||
-        contentType.includes("text/javascript");
-
-      if (!isTextContent) {
-        proxyRes.pipe(res);
-        return;
-      }
+      const rewriteOptions = {
+        serviceType: 'neocore',
+        prefix: `/vpn/${site.name}/neocore`,
+        documentPath: proxyRes.req.path,
+        upstreamHosts: [hostOf(site.neocore.target), hostOf(site.neocore.wsTarget), site.vpnIp],
+        host: req.headers.host
+      };
 
-      let body = "";
-      proxyRes.on("data", chunk => {
-        body += chunk.toString();
-      });
+      // Redirects and cookies must stay under the site prefix
+      rewriteResponseHeaders(proxyRes.headers, rewriteOptions);
 
-      proxyRes.on("end", () => {
-        try {
-          // Only rewrite HTML to point to local assets, skip JS/CSS (served separately)
-          if (contentType.includes("text/html")) {
-            body = rewriteContent(body, site.name, req, 'neocore');
-          }
-          
-          if (!res.headersSent && !res.writableEnded) {
-            res.setHeader("content-type", contentType);
-            res.setHeader("content-length", Buffer.byteLength(body));
-            res.end(body);
-          }
-        } catch (err) {
-          console.error(`❌ Error rewriting content (${site.name}/neocore):`, err.message);
-          if (!res.headersSent && !res.writableEnded) {
-            try {
-              res.status(500).json({ error: "Content processing error" });
-            } catch (e) {}
-          }
-        }
-      });
+      // Only HTML is rewritten to point to local assets; everything else (JS/CSS served
+      // separately, JSON, binaries) is streamed through untouched
+      const rewriter = createBodyRewriter(proxyRes.headers["content-type"], rewriteOptions);
 
-      proxyRes.on("error", (err) => {
-        // Suppress ECONNRESET errors
-        if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
-          trackRequest(site, 'neocore', req, 'error');
-          console.error(`❌ Proxy response error (${site.name}/neocore):`, err.message);
-        }
-        if (!res.headersSent && !res.writableEnded) {
-          try {
-            res.status(502).json({ error: "Proxy response error" });
-          } catch (e) {}
+      pipeResponse(proxyRes, req, res, {
+        rewriter,
+        onFinish: (err, { rewriteSeconds }) => {
+          if (rewriteSeconds !== null) metrics.rewriteObserved(req, rewriteSeconds);
+          if (err && !QUIET_ERRORS.includes(err.code)) {
+            trackRequest(site, 'neocore', req, 'error');
+            req.log.error('Proxy response error', { site: site.name, service: 'neocore', err });
+          } else if (!err) {
+            trackRequest(site, 'neocore', req, 'success');
+          }
         }
       });
-
-      proxyRes.on("end", () => {
-        trackRequest(site, 'neocore', req, 'success');
-      });
     }
   });
 
-  return proxy;
+  const breaker = circuitGuard(site.name, { site: site.name, service: 'neocore' });
+  const observed = metrics.observeProxy({ site: site.name, service: 'neocore' });
+  // Authorization before the breaker, so a rejected request never takes the circuit's probe slot
+  const audited = auditProxy({ site: site.name, service: 'neocore' });
+  const cached = responseCache(site.name, resolveCacheOptions(site), { site: site.name, service: 'neocore' });
+  const limited = rateLimiter(site.name, resolveLimits(site), { site: site.name, service: 'neocore' });
+  return chain(observed, audited, authorize(site.name, null, { readOnly: true }), cached, limited, breaker, proxy);
 }
 
 /**
@@ -165,26 +170,32 @@ function createNeocoreProxy(site) {
  * @param {Object} site - Site configuration
  * @param {string} deviceId - Device identifier (e.g., "device1")
  * @param {Object} deviceConfig - Device configuration with virtualIp and target
+ * Viewers of the device (or its site) are limited to read-only methods.
  * @returns {Object|null} Proxy middleware or null if invalid
  */
 function createDeviceProxy(site, deviceId, deviceConfig) {
   if (!deviceConfig || !deviceConfig.target) return null;
 
+  const breakerKey = `${site.name}/devices/${deviceId}`;
+
   const proxy = createProxyMiddleware({
     target: deviceConfig.target,  // Virtual IP (e.g., 172.16.2.100) - DNAT'd to actual device
     changeOrigin: true,
-    // IMPORTANT: keep HTTP-only unless we explicitly support device websockets.
-    // This prevents http-proxy-middleware from registering global upgrade listeners
-    // that can conflict with neocore Socket.IO upgrades.
+    // IMPORTANT: keep HTTP-only. Device WebSockets go through createDeviceWsProxy and the
+    // central upgrade dispatcher in routeManager; letting http-proxy-middleware register its
+    // own upgrade listener would conflict with neocore Socket.IO upgrades.
     ws: false,
     xfwd: true,
     secure: false,
     timeout: 30000,
     proxyTimeout: 30000,
+    logProvider: proxyLogProvider,
+    // onProxyRes streams the body itself (see responseRewriter)
+    selfHandleResponse: true,
     // Suppress WebSocket ECONNRESET errors
     wsErrorHandler: (err, req, socket, head) => {
       if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
-        console.error(`⚠️  WebSocket error (${site.name}/devices/${deviceId}):`, err.message);
+        logger.warn('WebSocket error', { site: site.name, deviceId, err });
       }
     },
 
@@ -193,13 +204,14 @@ function createDeviceProxy(site, deviceId, deviceConfig) {
     },
 
     onError: (err, req, res) => {
+      recordFailure(breakerKey, err);
+      metrics.upstreamFailed(req, err);
       // Suppress ECONNRESET errors
       if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
         trackRequest(site, `devices/${deviceId}`, req, 'error');
-        console.error(`❌ Device proxy error (${site.name}/devices/${deviceId}):`, err.message);
-        console.error(`   Target: ${deviceConfig.target} (Virtual IP)`);
-        console.error(`   VPN IP: ${site.vpnIp}`);
-        console.error(`   Virtual IP: ${deviceConfig.virtualIp || 'N/A'}`);
+        req.log.error('Device proxy error', {
+          site: site.name, deviceId, target: deviceConfig.target, vpnIp: site.vpnIp, virtualIp: deviceConfig.virtualIp, err
+        });
       }
       if (!res.headersSent && !res.writableEnded) {
         try {
@@ -218,83 +230,114 @@ function createDeviceProxy(site, deviceId, deviceConfig) {
     },
 
     onProxyReq: (proxyReq, req, res) => {
+      stripCredentials(proxyReq);
+      metrics.upstreamStarted(req);
       trackRequest(site, `devices/${deviceId}`, req, 'start');
       
-      if (process.env.DEBUG) {
-        console.log(`   → Target: ${deviceConfig.target} (Virtual IP)`);
-        console.log(`   → VPN IP: ${site.vpnIp}`);
-        console.log(`   → Virtual IP: ${deviceConfig.virtualIp || 'N/A'}`);
-        console.log(`   → Device ID: ${deviceId}`);
-        console.log(`   → Rewritten path: ${proxyReq.path}`);
-      }
+      req.log.debug('Upstream request', {
+        target: deviceConfig.target, vpnIp: site.vpnIp, virtualIp: deviceConfig.virtualIp, deviceId, path: proxyReq.path
+      });
     },
 
     onProxyRes: (proxyRes, req, res) => {
+      recordSuccess(breakerKey);
+      metrics.upstreamResponded(req);
+      if (serveRevalidated(proxyRes, req, res)) return;
+
       proxyRes.headers["access-control-allow-origin"] = "*";
       proxyRes.headers["access-control-allow-methods"] = "GET, POST, PUT, DELETE, OPTIONS";
       proxyRes.headers["access-control-allow-headers"] = "*";
 
-      const contentType = proxyRes.headers["content-type"] || "";
-      const isTextContent = 
-        contentType.includes("text/html") ||
-        contentType.includes("text/css") ||
-        contentType.includes("javascript") ||
-        contentType.includes("application/json") ||
-        contentType.includes("text/plain");
-
-      if (!isTextContent) {
-        proxyRes.pipe(res);
-        return;
-      }
+      const rewriteOptions = {
+        serviceType: 'devices',
+        prefix: `/vpn/${site.name}/devices/${deviceId}`,
+        documentPath: proxyRes.req.path,
+        upstreamHosts: [hostOf(deviceConfig.target), deviceConfig.virtualIp, deviceConfig.actualIp],
+        host: req.headers.host
+      };
 
-      let body = "";
-      proxyRes.on("data", chunk => {
-        body += chunk.toString();
-      });
+      // Redirects stay inside the device prefix; cookies are scoped to this device only
+      rewriteResponseHeaders(proxyRes.headers, rewriteOptions);
 
-      proxyRes.on("end", () => {
-        try {
-          const originalLength = body.length;
-          body = rewriteContent(body, site.name, req, 'devices', deviceId);
-          const newLength = body.length;
-          
-          if (process.env.DEBUG || originalLength !== newLength) {
-            console.log(`   📝 Device content rewritten: ${originalLength} → ${newLength} bytes`);
-          }
-          
-          if (!res.headersSent && !res.writableEnded) {
-            res.setHeader("content-type", contentType);
-            res.setHeader("content-length", Buffer.byteLength(body));
-            res.end(body);
+      // HTML, CSS and JavaScript carry URLs that need the device prefix; JSON, plain text
+      // and binaries are streamed through untouched
+      const rewriter = createBodyRewriter(proxyRes.headers["content-type"], rewriteOptions);
+
+      pipeResponse(proxyRes, req, res, {
+        rewriter,
+        onFinish: (err, { rewriteSeconds }) => {
+          if (rewriteSeconds !== null) metrics.rewriteObserved(req, rewriteSeconds);
+          if (err && !QUIET_ERRORS.includes(err.code)) {
+            trackRequest(site, `devices/${deviceId}`, req, 'error');
+            req.log.error('Proxy response error', { site: site.name, deviceId, err });
+          } else if (!err) {
             trackRequest(site, `devices/${deviceId}`, req, 'success');
           }
-        } catch (err) {
-          trackRequest(site, `devices/${deviceId}`, req, 'error');
-          console.error(`❌ Error rewriting content (${site.name}/devices/${deviceId}):`, err.message);
-          console.error(`   Stack:`, err.stack);
-          if (!res.headersSent && !res.writableEnded) {
-            try {
-              res.status(500).json({ error: "Content processing error", message: err.message });
-            } catch (e) {}
-          }
         }
       });
+    }
+  });
 
-      proxyRes.on("error", (err) => {
-        // Suppress ECONNRESET errors
-        if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
-          trackRequest(site, `devices/${deviceId}`, req, 'error');
-          console.error(`❌ Proxy response error (${site.name}/devices/${deviceId}):`, err.message);
-        }
-        if (!res.headersSent && !res.writableEnded) {
-          try {
-            res.status(502).json({ error: "Proxy response error" });
-          } catch (e) {}
-        }
-      });
+  const breaker = circuitGuard(breakerKey, { site: site.name, deviceId, service: 'devices' });
+  const observed = metrics.observeProxy({ site: site.name, service: 'devices', device: deviceId });
+  const audited = auditProxy({ site: site.name, service: 'devices', device: deviceId });
+  const cached = responseCache(breakerKey, resolveCacheOptions(site, deviceId), { site: site.name, service: 'devices', device: deviceId });
+  const limited = rateLimiter(breakerKey, resolveLimits(site, deviceId), { site: site.name, deviceId, service: 'devices' });
+  return chain(observed, audited, authorize(site.name, deviceId, { readOnly: true }), cached, limited, breaker, proxy);
+}
+
+/**
+ * Create WebSocket proxy for a specific device
+ * Used by the central upgrade dispatcher (routeManager.handleUpgrade), never as a listener itself.
+ *
+ * @param {Object} site - Site configuration
+ * @param {string} deviceId - Device identifier
+ * @param {Object} deviceConfig - Device configuration with target
+ * @returns {Object|null} http-proxy server or null if invalid
+ */
+function createDeviceWsProxy(site, deviceId, deviceConfig) {
+  if (!deviceConfig || !deviceConfig.target) return null;
+
+  const proxy = httpProxy.createProxyServer({
+    target: deviceConfig.target,
+    ws: true,
+    changeOrigin: true,
+    secure: false,
+    xfwd: true,
+    timeout: 0,       // Live value streams stay open indefinitely
+    proxyTimeout: 0
+  });
+
+  proxy.on('error', (err, req, socket) => {
+    const suppressErrors = ['ECONNRESET', 'EPIPE', 'ERR_STREAM_WRITE_AFTER_END'];
+    if (!suppressErrors.includes(err.code)) {
+      (req?.log || logger).error('Device WebSocket error', { site: site.name, deviceId, target: deviceConfig.target, err });
+    }
+    if (socket && !socket.destroyed) {
+      try {
+        socket.destroy();
+      } catch (e) {}
     }
   });
 
+  const labels = { site: site.name, service: 'devices', device: deviceId };
+  proxy.on('proxyReqWs', (proxyReq, req, socket) => {
+    stripCredentials(proxyReq);
+    auditWebSocket(proxyReq, req, labels);
+    registerUpgrade(proxyReq, socket);
+  });
+  proxy.on('open', (proxySocket) => {
+    logger.debug('Device WebSocket connected', { site: site.name, deviceId });
+    metrics.websocketOpened(labels);
+    proxySocket.once('close', () => metrics.websocketClosed(labels));
+    trackWebSocket(proxySocket);
+    proxySocket.on('error', () => {});  // Reported via the proxy 'error' event / close
+  });
+
+  proxy.on('close', () => {
+    logger.debug('Device WebSocket closed', { site: site.name, deviceId });
+  });
+
   return proxy;
 }
 
@@ -305,177 +348,14 @@ function createDeviceProxy(site, deviceId, deviceConfig) {
 function createDevicesProxy(site) {
   // This is kept for backward compatibility but should not be used
   // New code should use createDeviceProxy with deviceList
-  console.warn(`⚠️  createDevicesProxy is deprecated. Use createDeviceProxy with deviceList instead.`);
+  logger.warn('createDevicesProxy is deprecated. Use createDeviceProxy with deviceList instead.');
   return null;
 }
 
-/**
- * Rewrite HTML content to point to local assets and correct API paths
- * For devices: Rewrites all relative paths to include site and device prefix
- * For neocore: Rewrites main.js/css and API paths
- * 
- * @param {string} body - HTML content to rewrite
- * @param {string} siteName - Site name (e.g., "site1")
- * @param {Object} req - Express request object
- * @param {string} serviceType - Service type: 'neocore' or 'devices'
- * @param {string} deviceId - Device ID (required for devices, e.g., "device1")
- */
-function rewriteContent(body, siteName, req, serviceType = 'neocore', deviceId = null) {
-  // Use full path including service type and device ID
-  const sitePrefix = serviceType === 'neocore' 
-    ? `/vpn/${siteName}/neocore`
-    : deviceId 
-      ? `/vpn/${siteName}/devices/${deviceId}`
-      : `/vpn/${siteName}/devices`;  // Fallback for legacy support
-    
-  // Track rewriting for debugging
-  if (process.env.DEBUG) {
-    console.log(`   🔄 Rewriting HTML content for ${siteName}/${serviceType}`);
-  }
-  
-  if (serviceType === 'devices') {
-    // DEVICE-SPECIFIC REWRITING - Comprehensive path rewriting for device HTML
-    // Rewrite all relative paths to include /vpn/site/devices/deviceId prefix
-    
-    const deviceInfo = deviceId ? `device ${deviceId}` : 'devices';
-    console.log(`   🔄 Rewriting device HTML for ${siteName}/${deviceInfo} (prefix: ${sitePrefix})`);
-    
-    // Helper function to check if path should be skipped
-    const shouldSkip = (path) => {
-      return path.startsWith('/vpn/') || 
-             path.startsWith('http://') || 
-             path.startsWith('https://') || 
-             path.startsWith('//') ||
-             path.startsWith('data:') ||
-             path.startsWith('javascript:') ||
-             path.startsWith('mailto:') ||
-             path.startsWith('#') ||
-             path.trim() === '';
-    };
-    
-    // Helper function to make path absolute
-    const makeAbsolute = (path) => {
-      return path.startsWith('/') ? path : `/${path}`;
-    };
-    
-    body = body
-      // 1. Rewrite href attributes (links, CSS, etc.) - more comprehensive pattern
-      .replace(/(href)\s*=\s*(["'])([^"']+)\2/gi,
-        (match, attr, quote, path) => {
-          if (shouldSkip(path)) {
-            return match;
-          }
-          const absolutePath = makeAbsolute(path);
-          const rewritten = `${attr}=${quote}${sitePrefix}${absolutePath}${quote}`;
-          if (process.env.DEBUG) {
-            console.log(`      href: ${path} → ${sitePrefix}${absolutePath}`);
-          }
-          return rewritten;
-        })
-      
-      // 2. Rewrite src attributes (images, scripts, iframes) - more comprehensive pattern
-      .replace(/(src)\s*=\s*(["'])([^"']+)\2/gi,
-        (match, attr, quote, path) => {
-          if (shouldSkip(path)) {
-            return match;
-          }
-          const absolutePath = makeAbsolute(path);
-          const rewritten = `${attr}=${quote}${sitePrefix}${absolutePath}${quote}`;
-          if (process.env.DEBUG) {
-            console.log(`      src: ${path} → ${sitePrefix}${absolutePath}`);
-          }
-          return rewritten;
-        })
-      
-      // 3. Rewrite form action attributes
-      .replace(/(action)\s*=\s*(["'])([^"']+)\2/gi,
-        (match, attr, quote, path) => {
-          if (shouldSkip(path)) {
-            return match;
-          }
-          const absolutePath = makeAbsolute(path);
-          const rewritten = `${attr}=${quote}${sitePrefix}${absolutePath}${quote}`;
-          if (process.env.DEBUG) {
-            console.log(`      action: ${path} → ${sitePrefix}${absolutePath}`);
-          }
-          return rewritten;
-        })
-      
-      // 4. Rewrite background-image in style attributes
-      .replace(/(style\s*=\s*["'][^"']*url\s*\(\s*)(["']?)([^"')]+)(\s*\))/gi,
-        (match, prefix, quote, path, suffix) => {
-          if (shouldSkip(path)) {
-            return match;
-          }
-          const absolutePath = makeAbsolute(path);
-          return `${prefix}${quote}${sitePrefix}${absolutePath}${quote}${suffix}`;
-        })
-      
-      // 5. Rewrite WebSocket connections in JavaScript
-      .replace(/(ws|wss):\/\/[^/]+(\/[^"'\s)]+)/g, 
-        (match, protocol, path) => {
-          return `${protocol}://${req.headers.host}${sitePrefix}${path}`;
-        })
-      
-      // 6. Rewrite JavaScript fetch/XMLHttpRequest URLs (improved pattern)
-      .replace(/(fetch|\.open)\s*\(\s*(["'])([^"']+)\2/gi,
-        (match, method, quote, url) => {
-          if (shouldSkip(url)) {
-            return match;
-          }
-          const absoluteUrl = makeAbsolute(url);
-          return `${method}(${quote}${sitePrefix}${absoluteUrl}${quote}`;
-        })
-      
-      // 7. Rewrite window.location assignments
-      .replace(/(window\.location\s*=\s*)(["'])([^"']+)\2/gi,
-        (match, prefix, quote, url) => {
-          if (shouldSkip(url)) {
-            return match;
-          }
-          const absoluteUrl = makeAbsolute(url);
-          return `${prefix}${quote}${sitePrefix}${absoluteUrl}${quote}`;
-        });
-    
-    console.log(`   ✅ Device HTML rewriting complete for ${siteName}`);
-    
-  } else {
-    // NEOCORE-SPECIFIC REWRITING - Simplified for React app
-    body = body
-      // Rewrite main.js and main.css to local assets endpoint
-      .replace(/(src|href)=(["'])(\/static\/js\/main\.[^"']+\.js)\2/gi, 
-        (match, attr, quote, path) => {
-          const fileName = path.split('/').pop();
-          return `${attr}=${quote}/${fileName}${quote}`;
-        })
-      .replace(/(src|href)=(["'])(\/static\/css\/main\.[^"']+\.css)\2/gi, 
-        (match, attr, quote, path) => {
-          const fileName = path.split('/').pop();
-          return `${attr}=${quote}/${fileName}${quote}`;
-        })
-      
-      // API endpoints - point to correct site
-      .replace(/(src|href|action)=(["'])(\/api\/[^"']+)\2/gi, `$1=$2${sitePrefix}$3$2`)
-      
-      // Other static assets (images, fonts, etc.) - point to correct site
-      .replace(/(src|href)=(["'])(\/(?!vpn\/|http|https|\/\/|main\.)[^"']+)\2/gi, 
-        (match, attr, quote, path) => {
-          if (path.startsWith('/vpn/') || path.startsWith('http://') || 
-              path.startsWith('https://') || path.startsWith('//')) {
-            return match;
-          }
-          return `${attr}=${quote}${sitePrefix}${path}${quote}`;
-        })
-      
-      // WebSocket connections
-      .replace(/(ws|wss):\/\/[^/]+(\/[^"'\s)]+)/g, `$1://${req.headers.host}${sitePrefix}$2`);
-  }
-  
-  return body;
-}
-
 module.exports = {
+  chain,
   createNeocoreProxy,
   createDeviceProxy,
+  createDeviceWsProxy,
   createDevicesProxy  // Deprecated, kept for backward compatibility
 };
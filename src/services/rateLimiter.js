@@ -0,0 +1,233 @@
+/**
+ * Rate Limiter - Per-site and per-device request rate and concurrency limits
+ *
+ * Keys match the circuit breaker: "site1" (NeoCore: pages, API, Socket.IO) and
+ * "site1/devices/device1". Each key has
+ *
+ *   requests per second   token bucket per client; excess → 429 + Retry-After
+ *   concurrent requests   upstream requests in flight; excess waits in a FIFO queue
+ *                         (429 when the queue is full or the wait times out)
+ *   long-polls            Socket.IO polling requests in flight; excess → 429. They are held
+ *                         upstream for the whole poll interval, so they do not take
+ *                         concurrent request slots (a few open tabs would starve the API)
+ *   WebSocket sessions    open sessions; excess upgrades are refused with 429
+ *
+ * Limits are resolved when a site's proxies are built (see resolveLimits), so admin API
+ * changes and hot reloads apply them; counters survive the rebuild.
+ */
+
+const RATE_LIMIT = require('../config/rateLimit');
+const metrics = require('./metrics');
+
+// key → { limits, clients: Map(client → { tokens, updatedAt }), active, queue, longPolls, websockets, rejected }
+const limiters = new Map();
+
+/**
+ * Effective limits: defaults ← site.limits ← device.limits
+ */
+function resolveLimits(site, deviceId = null) {
+  const device = deviceId ? site.devices?.deviceList?.[deviceId] : null;
+  return { ...RATE_LIMIT.defaults, ...site.limits, ...device?.limits };
+}
+
+function getLimiter(key, limits) {
+  let limiter = limiters.get(key);
+  if (!limiter) {
+    limiter = {
+      limits, clients: new Map(), active: 0, queue: [], longPolls: 0, websockets: 0,
+      rejected: { rate: 0, 'queue-full': 0, 'queue-timeout': 0, 'long-polls': 0, websockets: 0 }
+    };
+    limiters.set(key, limiter);
+  } else {
+    limiter.limits = limits;
+    dequeue(limiter);   // A raised maxConcurrent frees slots right away
+  }
+  return limiter;
+}
+
+/**
+ * Signed-in user, or the client IP when authentication is off
+ */
+function clientKey(req) {
+  if (req.user && req.user.provider !== 'none') return `user:${req.user.username}`;
+  return `ip:${req.ip || req.socket?.remoteAddress}`;
+}
+
+/**
+ * Take one token from the client's bucket
+ * @returns {number} 0 when allowed, otherwise seconds until the next token
+ */
+function takeToken(limiter, client) {
+  const { requestsPerSecond, burst } = limiter.limits;
+  if (!requestsPerSecond) return 0;
+
+  const now = Date.now();
+  const capacity = Math.max(burst, 1);
+  let bucket = limiter.clients.get(client);
+  if (!bucket) {
+    bucket = { tokens: capacity, updatedAt: now };
+    limiter.clients.set(client, bucket);
+  }
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * requestsPerSecond);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return (1 - bucket.tokens) / requestsPerSecond;
+}
+
+function hasSlot(limiter) {
+  return !limiter.limits.maxConcurrent || limiter.active < limiter.limits.maxConcurrent;
+}
+
+/**
+ * Hold a concurrency slot until the response is done
+ */
+function start(limiter, res, next) {
+  limiter.active++;
+  res.once('close', () => {
+    limiter.active--;
+    dequeue(limiter);
+  });
+  next();
+}
+
+function dequeue(limiter) {
+  while (limiter.queue.length > 0 && hasSlot(limiter)) {
+    const entry = limiter.queue.shift();
+    clearTimeout(entry.timer);
+    entry.run();
+  }
+}
+
+function countRejection(limiter, details, reason) {
+  limiter.rejected[reason]++;
+  metrics.rateLimited({ site: details.site, service: details.service, device: details.deviceId }, reason);
+}
+
+function reject(req, res, limiter, details, reason, retryAfter, message) {
+  countRejection(limiter, details, reason);
+  req.log.debug('Request rate limited', { ...details, reason, client: clientKey(req), retryAfter });
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many requests', message, ...details, retryAfter });
+}
+
+/**
+ * Express middleware enforcing the request rate and concurrency limits of one key
+ * Mount it after authorization (refused requests use no tokens) and before the circuit
+ * breaker (a queued request does not hold the probe slot).
+ *
+ * @param {string} key - Limiter key
+ * @param {Object} limits - From resolveLimits
+ * @param {Object} details - Extra fields for the 429 body (site, deviceId, service)
+ * @param {Object} [options]
+ * @param {boolean} [options.longPoll] - Socket.IO polling: limited by maxLongPolls instead
+ *   of concurrency slots
+ */
+function rateLimiter(key, limits, details = {}, { longPoll = false } = {}) {
+  const limiter = getLimiter(key, limits);
+
+  return (req, res, next) => {
+    if (!RATE_LIMIT.enabled) return next();
+
+    const wait = takeToken(limiter, clientKey(req));
+    if (wait > 0) {
+      return reject(req, res, limiter, details, 'rate', Math.ceil(wait),
+        `More than ${limiter.limits.requestsPerSecond} requests per second`);
+    }
+
+    if (longPoll) {
+      const { maxLongPolls } = limiter.limits;
+      if (maxLongPolls && limiter.longPolls >= maxLongPolls) {
+        return reject(req, res, limiter, details, 'long-polls', RATE_LIMIT.websocketRetryAfterSeconds,
+          `${maxLongPolls} Socket.IO polling requests in flight`);
+      }
+      limiter.longPolls++;
+      res.once('close', () => limiter.longPolls--);
+      return next();
+    }
+
+    if (hasSlot(limiter)) return start(limiter, res, next);
+
+    const { maxQueued, queueTimeoutSeconds } = limiter.limits;
+    const retryAfter = Math.max(queueTimeoutSeconds, 1);
+    if (limiter.queue.length >= maxQueued) {
+      return reject(req, res, limiter, details, 'queue-full', retryAfter,
+        `${limiter.limits.maxConcurrent} upstream requests in flight and ${limiter.queue.length} waiting`);
+    }
+
+    const entry = { run: () => start(limiter, res, next) };
+    const leave = () => {
+      const index = limiter.queue.indexOf(entry);
+      if (index !== -1) limiter.queue.splice(index, 1);
+      return index !== -1;
+    };
+    entry.timer = setTimeout(() => {
+      if (leave()) {
+        reject(req, res, limiter, details, 'queue-timeout', retryAfter,
+          `No upstream slot free within ${queueTimeoutSeconds}s`);
+      }
+    }, queueTimeoutSeconds * 1000);
+    res.once('close', () => {   // Client gave up while waiting
+      if (leave()) clearTimeout(entry.timer);
+    });
+    limiter.queue.push(entry);
+  };
+}
+
+/**
+ * Admit a WebSocket upgrade (request rate and open session limits)
+ * The session counts until the client socket closes.
+ *
+ * @param {string} key - Limiter key
+ * @param {Object} limits - From resolveLimits
+ * @param {Object} req - Upgrade request
+ * @param {Object} socket - Client socket
+ * @param {Object} details - Labels (site, deviceId, service)
+ * @returns {Object|null} null when admitted, otherwise { retryAfter, reason }
+ */
+function admitWebSocket(key, limits, req, socket, details = {}) {
+  if (!RATE_LIMIT.enabled) return null;
+  const limiter = getLimiter(key, limits);
+
+  const wait = takeToken(limiter, clientKey(req));
+  const full = limiter.limits.maxWebSockets && limiter.websockets >= limiter.limits.maxWebSockets;
+  if (wait > 0 || full) {
+    const reason = wait > 0 ? 'rate' : 'websockets';
+    countRejection(limiter, details, reason);
+    return { reason, retryAfter: wait > 0 ? Math.ceil(wait) : RATE_LIMIT.websocketRetryAfterSeconds };
+  }
+
+  limiter.websockets++;
+  socket.once('close', () => limiter.websockets--);
+  return null;
+}
+
+/**
+ * Public state for /health (undefined before the key's proxies exist)
+ */
+function getLimiterState(key) {
+  const limiter = limiters.get(key);
+  if (!limiter) return undefined;
+  return {
+    active: limiter.active,
+    queued: limiter.queue.length,
+    longPolls: limiter.longPolls,
+    websockets: limiter.websockets,
+    clients: limiter.clients.size,
+    rejected: { ...limiter.rejected },
+    limits: limiter.limits
+  };
+}
+
+// Forget buckets of clients that went quiet (they would be full again anyway)
+setInterval(() => {
+  const idleBefore = Date.now() - RATE_LIMIT.clientIdleSeconds * 1000;
+  limiters.forEach(limiter => limiter.clients.forEach((bucket, client) => {
+    if (bucket.updatedAt < idleBefore) limiter.clients.delete(client);
+  }));
+}, 60 * 1000).unref();
+
+module.exports = { resolveLimits, rateLimiter, admitWebSocket, getLimiterState };
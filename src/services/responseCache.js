@@ -0,0 +1,403 @@
+/**
+ * Response Cache - Per-site, per-device cache for proxied GET responses
+ *
+ *   fresh entry   answered from the cache (conditional requests get 304)
+ *   stale entry   revalidated upstream with its ETag / Last-Modified; a 304 refreshes it
+ *   miss          proxied; a cacheable 200 is stored exactly as sent to the client
+ *
+ * Cacheable: 200 responses to GET without Set-Cookie, `no-store`/`private`, or a Vary on
+ * anything but Accept-Encoding. Requests carrying credentials of the NeoCore or device
+ * (Basic/Digest Authorization, upstream cookies) bypass the cache both ways: the key has
+ * no principal, so their responses could otherwise reach other users of the same path. Freshness comes from s-maxage / max-age / Expires, otherwise
+ * from the static extension TTLs (see config/cache). `no-cache` responses are stored and
+ * revalidated on every use.
+ *
+ * Bodies are stored after rewriting, so entries are keyed by scope ("site1" or
+ * "site1/devices/device1"), Host, Accept-Encoding and URL.
+ *
+ * Recently used entries stay in memory; evicted ones overflow to CACHE.dir and are moved
+ * back on their next hit. The disk index lives in memory, so the directory starts empty.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CACHE = require('../config/cache');
+const metrics = require('./metrics');
+const { hasUpstreamCredentials } = require('./authService');
+const { logger } = require('./logger');
+
+// cacheKey → { key, scope, headers, body, etag, lastModified, storedAt, expiresAt, size }
+// Map order is least recently used first
+const memory = new Map();
+// cacheKey → same without body, plus { file, written }
+const disk = new Map();
+
+let memoryBytes = 0;
+let diskBytes = 0;
+let diskPrepared = false;
+let fileSequence = 0;
+
+// stale = revalidated upstream; revalidated = of those, confirmed by a 304
+const counters = { hit: 0, stale: 0, revalidated: 0, miss: 0, stored: 0 };
+
+/**
+ * Effective cache options: defaults ← site.cache ← device.cache
+ */
+function resolveCacheOptions(site, deviceId = null) {
+  const device = deviceId ? site.devices?.deviceList?.[deviceId] : null;
+  return {
+    enabled: CACHE.enabled && (device?.cache?.enabled ?? site.cache?.enabled ?? true),
+    staticTtl: { ...CACHE.staticTtl, ...site.cache?.staticTtl, ...device?.cache?.staticTtl }
+  };
+}
+
+function parseCacheControl(value) {
+  const directives = {};
+  String(value || '').split(',').forEach(part => {
+    const [name, arg] = part.trim().toLowerCase().split('=');
+    if (name) directives[name] = arg === undefined ? true : arg.replace(/"/g, '');
+  });
+  return directives;
+}
+
+/**
+ * Seconds a response stays fresh, or null when it must not be stored
+ */
+function freshnessSeconds(req, headers, options) {
+  const directives = parseCacheControl(headers['cache-control']);
+  if (directives['no-store'] || directives.private) return null;
+  if (directives['no-cache']) return 0;
+
+  const maxAge = parseInt(directives['s-maxage'] ?? directives['max-age'], 10);
+  if (!Number.isNaN(maxAge)) return Math.max(maxAge, 0);
+
+  if (headers.expires !== undefined) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(Math.round((expires - date) / 1000), 0);
+  }
+
+  const extension = path.extname(req.originalUrl.split('?')[0]).slice(1).toLowerCase();
+  return options.staticTtl[extension] || null;
+}
+
+function cacheKey(scope, req) {
+  const encoding = String(req.headers['accept-encoding'] || '').replace(/\s+/g, '').toLowerCase();
+  return [scope, req.headers.host || '', encoding, req.originalUrl].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+// Every write gets its own file, so removing an older copy never races a newer one
+function entryFile(key) {
+  return path.join(CACHE.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.${++fileSequence}`);
+}
+
+// Leftovers from a previous run are unreachable (the index was in memory)
+function prepareDisk() {
+  if (diskPrepared) return;
+  diskPrepared = true;
+  fs.mkdirSync(CACHE.dir, { recursive: true });
+  fs.readdirSync(CACHE.dir)
+    .filter(name => /^[0-9a-f]{40}\.\d+$/.test(name))
+    .forEach(name => fs.rmSync(path.join(CACHE.dir, name), { force: true }));
+}
+
+function dropFromDisk(key) {
+  const record = disk.get(key);
+  if (!record) return;
+  disk.delete(key);
+  diskBytes -= record.size;
+  record.written.then(() => fs.promises.rm(record.file, { force: true })).catch(() => {});
+}
+
+function overflowToDisk(entry) {
+  if (CACHE.diskBytes <= 0 || entry.size > CACHE.diskBytes) return;
+  try {
+    prepareDisk();
+  } catch (err) {
+    logger.warn('Response cache directory unavailable', { dir: CACHE.dir, err });
+    return;
+  }
+
+  const { body, ...meta } = entry;
+  const record = { ...meta, file: entryFile(entry.key) };
+  record.written = fs.promises.writeFile(record.file, body).catch(err => {
+    logger.warn('Response cache write failed', { file: record.file, err });
+    if (disk.get(entry.key) === record) dropFromDisk(entry.key);
+  });
+  disk.set(entry.key, record);
+  diskBytes += entry.size;
+
+  while (diskBytes > CACHE.diskBytes && disk.size > 0) {
+    dropFromDisk(disk.keys().next().value);
+  }
+}
+
+function remove(key) {
+  const entry = memory.get(key);
+  if (entry) {
+    memory.delete(key);
+    memoryBytes -= entry.size;
+  }
+  dropFromDisk(key);
+}
+
+function put(entry) {
+  remove(entry.key);
+  if (entry.size > CACHE.maxEntryBytes) return;
+  memory.set(entry.key, entry);
+  memoryBytes += entry.size;
+
+  while (memoryBytes > CACHE.memoryBytes && memory.size > 0) {
+    const [key, oldest] = memory.entries().next().value;
+    memory.delete(key);
+    memoryBytes -= oldest.size;
+    overflowToDisk(oldest);
+  }
+}
+
+/**
+ * Find an entry (fresh or stale), moving a disk entry back into memory
+ */
+async function lookup(key) {
+  const entry = memory.get(key);
+  if (entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    return entry;
+  }
+
+  const record = disk.get(key);
+  if (!record) return null;
+  await record.written;
+  let body;
+  try {
+    body = await fs.promises.readFile(record.file);
+  } catch (err) {
+    if (disk.get(key) === record) dropFromDisk(key);
+    return null;
+  }
+  if (disk.get(key) !== record) return null;   // Purged or replaced while reading
+
+  const { file, written, ...meta } = record;
+  const promoted = { ...meta, body };
+  put(promoted);
+  return promoted;
+}
+
+// ---------------------------------------------------------------------------
+// Request handling
+// ---------------------------------------------------------------------------
+
+function etagMatches(entry, ifNoneMatch) {
+  if (!entry.etag) return false;
+  const weak = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || weak(tag) === weak(entry.etag));
+}
+
+function notModified(entry, conditionals) {
+  if (conditionals['if-none-match']) return etagMatches(entry, conditionals['if-none-match']);
+  const since = Date.parse(conditionals['if-modified-since']);
+  return !!entry.lastModified && !Number.isNaN(since) && Date.parse(entry.lastModified) <= since;
+}
+
+/**
+ * Answer a request from an entry (304 when the client's copy is still current)
+ */
+function serveEntry(entry, req, res, result, conditionals = req.headers) {
+  req.cacheServed = true;
+  Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('Age', String(Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000))));
+  res.setHeader('X-Cache', result);
+
+  if (notModified(entry, conditionals)) {
+    res.removeHeader('content-length');
+    res.statusCode = 304;
+    return res.end();
+  }
+  res.statusCode = 200;
+  res.setHeader('Content-Length', String(entry.body.length));
+  res.end(req.method === 'HEAD' ? undefined : entry.body);
+}
+
+/**
+ * Collect the body written to the client (after rewriting and re-encoding)
+ */
+function captureResponse(req, res, onComplete) {
+  const chunks = [];
+  let size = 0;
+  const collect = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function' || size > CACHE.maxEntryBytes) return;
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    size += buffer.length;
+    if (size <= CACHE.maxEntryBytes) chunks.push(buffer);
+  };
+
+  const { write, end } = res;
+  res.write = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+  res.end = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    return end.call(this, chunk, encoding, callback);
+  };
+  res.once('finish', () => {
+    if (!req.cacheServed && size <= CACHE.maxEntryBytes) onComplete(Buffer.concat(chunks));
+  });
+}
+
+function storeResponse(key, scope, req, res, body, options) {
+  if (res.statusCode !== 200) return;
+  const headers = res.getHeaders();
+  if (headers['set-cookie'] || headers['content-range']) return;
+  const vary = String(headers.vary || '').toLowerCase().split(',').map(name => name.trim()).filter(Boolean);
+  if (vary.some(name => name !== 'accept-encoding')) return;
+
+  const ttl = freshnessSeconds(req, headers, options);
+  const etag = headers.etag;
+  const lastModified = headers['last-modified'];
+  if (ttl === null || (ttl === 0 && !etag && !lastModified)) return;
+
+  const stored = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!CACHE.skipHeaders.includes(name)) stored[name] = value;
+  });
+  const now = Date.now();
+  put({
+    key, scope, headers: stored, body, etag, lastModified,
+    storedAt: now,
+    expiresAt: now + ttl * 1000,
+    size: body.length + JSON.stringify(stored).length
+  });
+  counters.stored++;
+}
+
+/**
+ * Express middleware serving and filling the cache of one NeoCore or device
+ * Mount it after authorization (only users allowed to see an entry get it) and before
+ * the rate limiter and circuit breaker (hits never go upstream).
+ *
+ * @param {string} scope - "site1" or "site1/devices/device1"
+ * @param {Object} options - From resolveCacheOptions
+ * @param {Object} labels - Metrics labels (site, service, device)
+ */
+function responseCache(scope, options, labels) {
+  const count = result => {
+    counters[result]++;
+    metrics.cacheResult(labels, result);
+  };
+
+  return (req, res, next) => {
+    if (!options.enabled || (req.method !== 'GET' && req.method !== 'HEAD') || req.headers.range) return next();
+    if (hasUpstreamCredentials(req)) return next();
+
+    const key = cacheKey(scope, req);
+    const respond = entry => {
+      const requested = parseCacheControl(req.headers['cache-control']);
+      const reload = requested['no-cache'] || /no-cache/i.test(req.headers.pragma || '');
+      if (entry && !reload && entry.expiresAt > Date.now()) {
+        count('hit');
+        return serveEntry(entry, req, res, 'HIT');
+      }
+
+      if (entry && (entry.etag || entry.lastModified)) {
+        // Ask upstream whether our copy is still current; the client's own validators are
+        // checked against the entry once upstream answers (see serveRevalidated)
+        count('stale');
+        req.cacheRevalidation = {
+          entry, options,
+          confirmed: () => count('revalidated'),
+          conditionals: { 'if-none-match': req.headers['if-none-match'], 'if-modified-since': req.headers['if-modified-since'] }
+        };
+        delete req.headers['if-none-match'];
+        delete req.headers['if-modified-since'];
+        if (entry.etag) req.headers['if-none-match'] = entry.etag;
+        if (entry.lastModified) req.headers['if-modified-since'] = entry.lastModified;
+      } else {
+        count('miss');
+      }
+
+      if (req.method === 'GET') captureResponse(req, res, body => storeResponse(key, scope, req, res, body, options));
+      next();
+    };
+
+    lookup(key)
+      .catch(err => {
+        req.log.warn('Response cache lookup failed', { scope, err });
+        return null;
+      })
+      .then(entry => {
+        try {
+          respond(entry);
+        } catch (err) {
+          next(err);
+        }
+      });
+  };
+}
+
+/**
+ * Upstream confirmed a revalidated entry (call first thing in onProxyRes)
+ * @returns {boolean} true when the response was answered from the cache
+ */
+function serveRevalidated(proxyRes, req, res) {
+  const revalidation = req.cacheRevalidation;
+  if (!revalidation || proxyRes.statusCode !== 304) return false;
+  proxyRes.resume();
+
+  const { entry, options, conditionals, confirmed } = revalidation;
+  const headers = { ...entry.headers };
+  ['cache-control', 'expires', 'etag', 'last-modified', 'date'].forEach(name => {
+    if (proxyRes.headers[name] !== undefined) headers[name] = proxyRes.headers[name];
+  });
+  const ttl = freshnessSeconds(req, headers, options);
+  const now = Date.now();
+  const refreshed = { ...entry, headers, etag: headers.etag, lastModified: headers['last-modified'], storedAt: now, expiresAt: now + (ttl || 0) * 1000 };
+  if (ttl === null) {
+    remove(entry.key);
+  } else {
+    put(refreshed);
+  }
+
+  confirmed();
+  serveEntry(refreshed, req, res, 'REVALIDATED', conditionals);
+  return true;
+}
+
+/**
+ * Drop the entries of a site (NeoCore and all devices) or of one device
+ * @returns {number} Entries removed
+ */
+function purgeCache(siteName, deviceId = null) {
+  const scope = deviceId ? `${siteName}/devices/${deviceId}` : siteName;
+  const matches = entry => entry.scope === scope || (!deviceId && entry.scope.startsWith(`${siteName}/`));
+  const keys = [...memory.values(), ...disk.values()].filter(matches).map(entry => entry.key);
+  keys.forEach(remove);
+  return keys.length;
+}
+
+/**
+ * Sizes and counters for /admin/cache
+ */
+function cacheStats() {
+  const scopes = {};
+  [...memory.values(), ...disk.values()].forEach(entry => {
+    const scope = scopes[entry.scope] || (scopes[entry.scope] = { entries: 0, bytes: 0 });
+    scope.entries++;
+    scope.bytes += entry.size;
+  });
+  return {
+    enabled: CACHE.enabled,
+    memory: { entries: memory.size, bytes: memoryBytes, maxBytes: CACHE.memoryBytes },
+    disk: { entries: disk.size, bytes: diskBytes, maxBytes: CACHE.diskBytes },
+    counters: { ...counters },
+    scopes
+  };
+}
+
+module.exports = { resolveCacheOptions, responseCache, serveRevalidated, purgeCache, cacheStats };
@@ -0,0 +1,183 @@
+/**
+ * Response Rewriter - Streaming, compression-aware body rewriting for proxied responses
+ *
+ * upstream body → decode content-encoding → streaming text rewriter → re-encode for the client
+ *
+ * Bodies that need no rewriting (JSON, images, fonts, ...) are piped through untouched,
+ * compressed or not, without ever being buffered.
+ */
+
+const zlib = require('zlib');
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+// Hop-by-hop headers are per connection and never forwarded
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te', 'trailer'];
+
+// Stateless rewriters only touch URLs, which never span a line break or a closing '>',
+// so text is flushed up to the last such boundary and the remainder is carried over.
+const MAX_CARRY = 1024 * 1024;
+
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+
+const ENCODERS = {
+  br: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } }),
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate()
+};
+
+/**
+ * Pick the best encoding the client accepts (br > gzip > deflate), or null for identity
+ * `candidates` narrows the choice to the encodings the caller can produce, in preference order.
+ */
+function negotiateEncoding(acceptEncoding, candidates = ['br', 'gzip', 'deflate']) {
+  const accepted = {};
+  (acceptEncoding || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) return;
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted[name] = q ? parseFloat(q.slice(2)) : 1;
+  });
+  return candidates.find(name => (accepted[name] ?? accepted['*'] ?? 0) > 0) || null;
+}
+
+/**
+ * Node text encoding for a content-type charset
+ * Non-UTF-8 bodies are handled as latin1, which round-trips every byte unchanged.
+ */
+function charsetOf(contentType) {
+  const match = /charset\s*=\s*"?([^";\s]+)/i.exec(contentType || '');
+  const charset = match ? match[1].toLowerCase() : 'utf-8';
+  return charset === 'utf-8' || charset === 'utf8' ? 'utf8' : 'latin1';
+}
+
+/**
+ * Adapt a stateless (text) => text function to the streaming rewriter interface
+ * Text is handed over in boundary-aligned segments.
+ */
+function segmentRewriter(rewrite) {
+  let carry = '';
+  return {
+    write(chunk) {
+      const text = carry + chunk;
+      const boundary = Math.max(text.lastIndexOf('\n'), text.lastIndexOf('>')) + 1;
+      const cut = boundary > 0 ? boundary : (text.length > MAX_CARRY ? text.length : 0);
+      carry = text.slice(cut);
+      return cut > 0 ? rewrite(text.slice(0, cut)) : '';
+    },
+    end() {
+      const text = carry;
+      carry = '';
+      return text ? rewrite(text) : '';
+    }
+  };
+}
+
+/**
+ * Transform stream feeding decoded text through a streaming rewriter
+ * StringDecoder keeps multibyte characters split across chunks intact.
+ */
+class TextRewriteStream extends Transform {
+  constructor(rewriter, encoding) {
+    super();
+    this.rewriter = rewriter;
+    this.encoding = encoding;
+    this.decoder = new StringDecoder(encoding);
+    this.elapsedNs = 0n;   // Time spent inside the rewriter (metrics)
+  }
+
+  timed(fn) {
+    const started = process.hrtime.bigint();
+    try {
+      return fn();
+    } finally {
+      this.elapsedNs += process.hrtime.bigint() - started;
+    }
+  }
+
+  _transform(chunk, _enc, callback) {
+    try {
+      const text = this.timed(() => this.rewriter.write(this.decoder.write(chunk)));
+      if (text) this.push(Buffer.from(text, this.encoding));
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      const text = this.timed(() => this.rewriter.write(this.decoder.end()) + this.rewriter.end());
+      if (text) this.push(Buffer.from(text, this.encoding));
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+}
+
+/**
+ * Copy status and headers from the upstream response
+ */
+function copyHead(proxyRes, res, skip = []) {
+  res.statusCode = proxyRes.statusCode;
+  if (proxyRes.statusMessage) res.statusMessage = proxyRes.statusMessage;
+  Object.entries(proxyRes.headers).forEach(([name, value]) => {
+    if (HOP_BY_HOP.includes(name) || skip.includes(name) || value === undefined) return;
+    try {
+      res.setHeader(name, value);
+    } catch (e) {}  // Invalid upstream header values are dropped
+  });
+}
+
+/**
+ * Send an upstream response to the client, rewriting the body if requested
+ * Requires the proxy to run with selfHandleResponse: true.
+ *
+ * @param {Object} proxyRes - Upstream response
+ * @param {Object} req - Client request
+ * @param {Object} res - Client response
+ * @param {Object} options
+ * @param {Object|null} options.rewriter - Streaming rewriter ({ write(text), end() }), or null to pass the body through
+ * @param {Function} [options.onFinish] - (err, stats) called once the body was sent or failed;
+ *   stats.rewriteSeconds is the time spent rewriting (null when the body was passed through)
+ */
+function pipeResponse(proxyRes, req, res, { rewriter = null, onFinish = () => {} } = {}) {
+  const upstreamEncoding = (proxyRes.headers['content-encoding'] || 'identity').trim().toLowerCase();
+  const hasBody = req.method !== 'HEAD' && proxyRes.statusCode !== 204 && proxyRes.statusCode !== 304;
+  const canDecode = upstreamEncoding === 'identity' || !!DECODERS[upstreamEncoding];
+
+  if (!rewriter || !hasBody || !canDecode) {
+    copyHead(proxyRes, res);
+    pipeline(proxyRes, res, err => onFinish(err, { rewriteSeconds: null }));
+    return;
+  }
+
+  const clientEncoding = negotiateEncoding(req.headers['accept-encoding']);
+  copyHead(proxyRes, res, ['content-length', 'content-encoding']);
+  if (clientEncoding) res.setHeader('content-encoding', clientEncoding);
+  const vary = res.getHeader('vary');
+  if (!vary) {
+    res.setHeader('vary', 'Accept-Encoding');
+  } else if (!/accept-encoding|\*/i.test(String(vary))) {
+    res.setHeader('vary', `${vary}, Accept-Encoding`);
+  }
+
+  const stages = [proxyRes];
+  if (upstreamEncoding !== 'identity') stages.push(DECODERS[upstreamEncoding]());
+  const rewriteStream = new TextRewriteStream(rewriter, charsetOf(proxyRes.headers['content-type']));
+  stages.push(rewriteStream);
+  if (clientEncoding) stages.push(ENCODERS[clientEncoding]());
+
+  pipeline(...stages, res, err => {
+    if (err && !res.writableEnded) res.destroy(err);
+    onFinish(err, { rewriteSeconds: Number(rewriteStream.elapsedNs) / 1e9 });
+  });
+}
+
+module.exports = { pipeResponse, segmentRewriter, negotiateEncoding };
@@ -5,15 +5,28 @@
 
 const { createProxyMiddleware } = require("http-proxy-middleware");
 const httpProxy = require("http-proxy");
-const { createDeviceProxy } = require("./proxyFactory");
-const { serveAsset, serveHTML } = require("./assetsService");
-const fs = require('fs');
-const path = require('path');
+const { chain, createDeviceProxy, createDeviceWsProxy } = require("./proxyFactory");
+const { serveAsset, findAssetByName, serveHTML, frontendVersionOf } = require("./assetsService");
+const { requireAuth, authenticateUpgrade, stripCredentials } = require("./authService");
+const { authorize, getSiteRole, getDeviceRole, canOperate } = require("./accessControl");
+const { rewriteResponseHeaders, siteApiCookies, hostOf } = require("./contentRewriter");
+const { circuitGuard, recordSuccess, recordFailure, isCircuitOpen, retryAfterSeconds, resetCircuit } = require("./circuitBreaker");
+const metrics = require("./metrics");
+const { auditProxy, auditWebSocket, websocketRefused } = require("./auditLog");
+const { isDraining, registerUpgrade, trackWebSocket } = require("./shutdown");
+const { rateLimiter, admitWebSocket, resolveLimits } = require("./rateLimiter");
+const { purgeCache } = require("./responseCache");
+const { getRequestSite, getRequestSessionId, stripSessionParam } = require("./sessionManager");
+const ROUTING = require("../config/routing");
+const { logger, assignRequestId, proxyLogProvider } = require("./logger");
 
 /**
  * Detect site from URL, referer header, or cookies
+ * @param {Object} [options]
+ * @param {boolean} [options.useCookie] - false to ignore the (shared by all tabs) vpn-site cookie;
+ *   never used in strict mode, where it would send one tab's requests to another tab's site
  */
-function detectSite(req, allSites) {
+function detectSite(req, allSites, { useCookie = !ROUTING.strictSiteResolution } = {}) {
   // Try URL path first (most reliable)
   const urlMatch = req.url.match(/^\/vpn\/([^\/]+)\//);
   if (urlMatch) {
@@ -35,7 +48,7 @@ function detectSite(req, allSites) {
   }
   
   // Try cookie (if session-based approach was used)
-  if (req.headers.cookie) {
+  if (useCookie && req.headers.cookie) {
     const cookieMatch = req.headers.cookie.match(/vpn-site=([^;]+)/);
     if (cookieMatch) {
       return allSites[cookieMatch[1]];
@@ -45,6 +58,56 @@ function detectSite(req, allSites) {
   return null;
 }
 
+/**
+ * Site of a root-level /api or /socket.io request
+ * The page's session token (sessionShim) wins over everything else; if the URL, referer or
+ * origin names a different site, the request is a conflict (answered with 409).
+ * Without a valid token: URL, referer, origin, then (legacy mode only) the vpn-site cookie.
+ *
+ * @returns {{ site: Object|null, conflict?: { session: string, requested: string } }}
+ */
+function resolveRootSite(req, allSites) {
+  const sessionSite = getRequestSite(req);
+  if (!sessionSite) return { site: detectSite(req, allSites) };
+
+  const requested = detectSite(req, allSites, { useCookie: false });
+  if (requested && requested.name !== sessionSite) {
+    return { site: null, conflict: { session: sessionSite, requested: requested.name } };
+  }
+  return { site: allSites[sessionSite] || null };
+}
+
+/**
+ * Log a root-level request whose site could not be determined, with the hints that were tried
+ */
+function logUnresolvedSite(req, kind) {
+  const cookieMatch = (req.headers.cookie || '').match(/vpn-site=([^;,\s]+)/);
+  req.log.warn('Site could not be determined', {
+    kind,
+    url: stripSessionParam(req.originalUrl || req.url),
+    user: req.user?.username,
+    tried: {
+      session: getRequestSessionId(req) ? 'unknown or expired' : 'none',
+      referer: req.headers.referer || null,
+      origin: req.headers.origin || null,
+      // Not consulted in strict mode
+      cookie: !ROUTING.strictSiteResolution && cookieMatch ? cookieMatch[1] : undefined
+    },
+    strict: ROUTING.strictSiteResolution
+  });
+}
+
+/**
+ * 421 for a root-level HTTP request whose site could not be determined (strict mode)
+ */
+function rejectUnresolvedSite(req, res, kind) {
+  logUnresolvedSite(req, kind);
+  res.status(421).json({
+    error: 'Site could not be determined',
+    hint: 'Open the page through /vpn/{site}/neocore (reload it if it was open before a restart)'
+  });
+}
+
 /**
  * Detect device from referer header
  * Returns: { site, deviceId } or null
@@ -69,13 +132,15 @@ function detectDeviceFromReferer(referer, allSites) {
 
 /**
  * Create proxy middleware with common configuration
+ * Location/Refresh/Set-Cookie headers are rewritten into `prefix` (the public path of the proxy);
+ * Set-Cookie also gets a copy for the root /api the NeoCore frontend calls.
  */
-function createProxy(target, pathRewrite, siteName) {
+function createProxy(target, pathRewrite, siteName, prefix) {
   return createProxyMiddleware({
     target,
     changeOrigin: true,
     // IMPORTANT: Do NOT enable ws here.
-    // WebSocket upgrades are handled centrally in registerNeocoreRoutes() via server.on('upgrade')
+    // WebSocket upgrades are handled centrally by handleUpgrade() via server.on('upgrade')
     // to avoid double-handling and "Invalid frame header".
     ws: false,
     xfwd: true,
@@ -84,14 +149,17 @@ function createProxy(target, pathRewrite, siteName) {
     proxyTimeout: 30000,
     pathRewrite,
     logLevel: 'warn', // Reduce noise
+    logProvider: proxyLogProvider,
     wsErrorHandler: (err, req, socket) => {
       // Suppress common WebSocket errors (normal disconnects and stream conflicts)
       const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
       if (!suppressErrors.includes(err.code)) {
-        console.error(`⚠️  WebSocket error (${siteName}):`, err.message);
+        logger.warn('WebSocket error', { site: siteName, err });
       }
     },
     onError: (err, req, res) => {
+      recordFailure(siteName, err);
+      metrics.upstreamFailed(req, err);
       if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE' && !res.headersSent && !res.writableEnded) {
         try {
           res.status(502).json({ error: "Proxy error", message: err.message });
@@ -99,128 +167,655 @@ function createProxy(target, pathRewrite, siteName) {
       }
     },
     onProxyReq: (proxyReq, req, res) => {
-      // Log proxy requests for debugging
-      if (process.env.DEBUG) {
-        console.log(`   → Proxying ${req.method} ${req.url} to ${target}`);
+      stripCredentials(proxyReq);
+      // Cookies the API set for the root /api (see rewriteResponseHeaders) go back under their own names
+      const cookie = siteApiCookies(proxyReq.getHeader('cookie'), siteName);
+      if (cookie) {
+        proxyReq.setHeader('cookie', cookie);
+      } else {
+        proxyReq.removeHeader('cookie');
       }
+      metrics.upstreamStarted(req);
+      req.log.debug('Proxying request', { method: req.method, url: req.url, target });
+    },
+    onProxyRes: (proxyRes, req, res) => {
+      recordSuccess(siteName);
+      metrics.upstreamResponded(req);
+      rewriteResponseHeaders(proxyRes.headers, {
+        serviceType: 'neocore',
+        prefix,
+        documentPath: proxyRes.req.path,
+        upstreamHosts: [hostOf(target)],
+        apiSite: siteName
+      });
     }
   });
 }
 
+// Packets a viewer may send in a Socket.IO polling POST: Engine.IO close (1), pong (3) and
+// noop (6), Socket.IO namespace connect/disconnect (40/41). Events and acks carry commands.
+const VIEWER_POLL_PACKET = /^(?:[136]|4[01])/;
+const MAX_VIEWER_POLL_BYTES = 16 * 1024;
+
 /**
- * Serve static asset file
+ * Read-only policy for Socket.IO long-polling
+ * Viewers receive updates with GET polls, but the client also answers pings and joins the
+ * namespace by POST. A viewer's POST is therefore read and let through only when every packet
+ * in it is one of those; anything else gets the read-only 403 of the API. The checked body is
+ * sent upstream from req.pollBody (see the polling proxy's onProxyReq).
  */
-function serveStaticFile(filePath, res, contentType) {
-  if (fs.existsSync(filePath)) {
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.sendFile(filePath);
-    return true;
-  }
-  return false;
+function pollingGuard(siteName) {
+  const readOnly = authorize(siteName, null, { readOnly: true });
+  return (req, res, next) => {
+    const role = getSiteRole(req.user, siteName);
+    if (req.method !== 'POST' || !role || canOperate(role)) return readOnly(req, res, next);
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_VIEWER_POLL_BYTES) chunks.push(chunk);
+    });
+    req.on('error', () => res.destroy());
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const packets = body.toString('utf8').split('\x1e');
+      if (size > MAX_VIEWER_POLL_BYTES || !packets.every(packet => VIEWER_POLL_PACKET.test(packet))) {
+        return readOnly(req, res, next);
+      }
+      req.pollBody = body;
+      next();
+    });
+  };
 }
 
+// Live proxy instances, looked up per request so a site can be rebuilt at runtime
+// without re-registering Express routes (see refreshSite)
+const socketProxies = new Map();   // siteName → Socket.IO polling proxy
+const apiProxies = new Map();      // siteName → NeoCore API proxy
+const wsProxies = new Map();       // siteName → http-proxy server for Socket.IO upgrades
+const deviceProxies = new Map();   // "siteName/deviceId" → device proxy
+const deviceWsProxies = new Map(); // "siteName/deviceId" → http-proxy server for device WebSockets
+
+let registeredSites = {};
+
 /**
- * Register Neocore routes (HTML, assets, API, Socket.io)
+ * Build NeoCore proxies for a site (Socket.IO polling, API, WebSocket upgrades)
  */
-function registerNeocoreRoutes(app, allSites, server) {
-  // Create socket.io proxies for each site FIRST (before other routes)
-  const socketProxies = new Map();
-  const apiProxies = new Map();
+function buildNeocoreProxies(site) {
+  if (!site.neocore?.enabled) return;
+
+  // Use wsTarget for WebSocket if available, otherwise use target
+  const wsTarget = site.neocore.wsTarget || site.neocore.target;
+  
+  // Socket.io proxy - site-specific (use wsTarget for WebSocket)
+  const socketProxy = createProxyMiddleware({
+    target: wsTarget,
+    changeOrigin: true,
+    // IMPORTANT: we handle ALL Socket.IO WebSocket upgrades ourselves via server.on('upgrade')
+    // Keep this middleware HTTP-only (polling) to avoid double-upgrade handling and "Invalid frame header"
+    ws: false,
+    xfwd: true,
+    secure: false,
+    timeout: 0, // No timeout
+    proxyTimeout: 0, // No proxy timeout
+    pathRewrite: { [`^/vpn/${site.name}/neocore/socket.io`]: '/socket.io' },
+    logLevel: 'warn',
+    logProvider: proxyLogProvider,
+    wsErrorHandler: (err, req, socket) => {
+      const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
+      if (!suppressErrors.includes(err.code)) {
+        logger.warn('WebSocket error', { site: site.name, err });
+      }
+    },
+    onError: (err, req, res) => {
+      recordFailure(site.name, err);
+      metrics.upstreamFailed(req, err);
+      if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE' && !res.headersSent && !res.writableEnded) {
+        try {
+          res.status(502).json({ error: "Proxy error", message: err.message });
+        } catch (e) {}
+      }
+    },
+    onProxyReq: (proxyReq, req) => {
+      stripCredentials(proxyReq);
+      metrics.upstreamStarted(req);
+      // A viewer's POST was already read by pollingGuard; the ended request stream ends proxyReq
+      if (req.pollBody) {
+        req.metricsReceivedBytes = req.pollBody.length;
+        proxyReq.write(req.pollBody);
+      }
+    },
+    onProxyRes: (proxyRes, req) => {
+      recordSuccess(site.name);
+      metrics.upstreamResponded(req);
+    }
+  });
+  // Fail fast while the site is unreachable (see circuitBreaker)
+  const breaker = circuitGuard(site.name, { site: site.name, service: 'neocore' });
+  const observed = metrics.observeProxy({ site: site.name, service: 'neocore' });
+  // Polling, API and WebSocket upgrades share the site's limits (one link to the NeoCore);
+  // polls wait upstream for events, so they are counted apart from the API's concurrency slots
+  const limited = rateLimiter(site.name, resolveLimits(site), { site: site.name, service: 'neocore' });
+  const pollLimited = rateLimiter(site.name, resolveLimits(site), { site: site.name, service: 'neocore' }, { longPoll: true });
+  // Audited before authorization, so refused requests are recorded with their 403
+  const audited = auditProxy({ site: site.name, service: 'neocore' });
+  socketProxies.set(site.name, chain(observed, audited, pollingGuard(site.name), pollLimited, breaker, socketProxy));
+  
+  // API proxy - site-specific (use regular target); viewers are read-only
+  const apiProxy = createProxy(
+    site.neocore.target,
+    { [`^/vpn/${site.name}/neocore/api`]: '/api' },
+    site.name,
+    `/vpn/${site.name}/neocore`
+  );
+  const apiGuard = authorize(site.name, null, { readOnly: true });
+  apiProxies.set(site.name, chain(observed, audited, apiGuard, limited, breaker, apiProxy));
+  
+  logger.info('Registered NeoCore proxies', {
+    site: site.name,
+    socketIo: `/vpn/${site.name}/neocore/socket.io → ${wsTarget}/socket.io`,
+    api: `/vpn/${site.name}/neocore/api → ${site.neocore.target}/api`
+  });
+
+  // Reusable WebSocket proxy instance for this site (used by the central upgrade handler)
+  const proxy = httpProxy.createProxyServer({
+    target: wsTarget,
+    ws: true,
+    changeOrigin: true,
+    secure: false,
+    timeout: 0, // No timeout - keep connection alive
+    proxyTimeout: 0, // No proxy timeout
+    xfwd: true, // Forward X-Forwarded-* headers
+    // Don't rewrite path - keep /socket.io as is
+    // Ensure WebSocket frames are forwarded immediately without buffering
+    buffer: false, // Disable buffering for WebSocket
+  });
+  
+  logger.debug('WebSocket proxy target', { site: site.name, target: wsTarget });
+  
+  // Handle proxy errors (including backend connection failures)
+  proxy.on('error', (err, req, socket) => {
+    const wsTarget = site.neocore.wsTarget || site.neocore.target;
+    const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
+    const log = req?.log || logger;
+    if (!suppressErrors.includes(err.code)) {
+      // Usually means the backend is not reachable or not responding
+      log.error('WebSocket proxy error', { site: site.name, target: wsTarget, err });
+    } else if (err.code === 'ECONNREFUSED') {
+      // This is important - backend is not accepting connections
+      log.error('Backend connection refused - check that the NeoCore backend is running', { site: site.name, target: wsTarget });
+    }
+    if (socket && !socket.destroyed) {
+      try {
+        socket.destroy();
+      } catch (e) {}
+    }
+  });
+  
+  // Handle WebSocket proxy request (before connecting to backend)
+  proxy.on('proxyReqWs', (proxyReq, req, socket) => {
+    auditWebSocket(proxyReq, req, { site: site.name, service: 'neocore' });
+    registerUpgrade(proxyReq, socket);
+    // Use wsTarget if available (direct backend), otherwise use target (nginx)
+    const wsTarget = site.neocore.wsTarget || site.neocore.target;
+    const targetUrl = new URL(wsTarget);
+    
+    // Host header: Include port if not standard (80/443)
+    const port = targetUrl.port || (targetUrl.protocol === 'https:' ? '443' : '80');
+    const hostHeader = (port === '80' || port === '443') ? targetUrl.hostname : `${targetUrl.hostname}:${port}`;
+    
+    proxyReq.setHeader('Host', hostHeader); // Critical: Socket.IO needs correct Host header
+    proxyReq.setHeader('X-Forwarded-Proto', targetUrl.protocol === 'https:' ? 'wss' : 'ws');
+    proxyReq.setHeader('X-Forwarded-For', req.socket.remoteAddress || req.headers['x-forwarded-for'] || '');
+    proxyReq.setHeader('X-Real-IP', req.socket.remoteAddress || '');
+    
+    // Preserve original headers that Socket.IO might need
+    if (req.headers.origin) {
+      proxyReq.setHeader('Origin', req.headers.origin);
+    }
+    if (req.headers.cookie) {
+      proxyReq.setHeader('Cookie', req.headers.cookie);
+    }
+    stripCredentials(proxyReq);
+    
+    // Set Connection and Upgrade headers explicitly for WebSocket
+    proxyReq.setHeader('Connection', 'Upgrade');
+    proxyReq.setHeader('Upgrade', 'websocket');
+    
+    req.log.debug('Connecting to WebSocket backend', { site: site.name, url: `${wsTarget}${req.url}`, host: hostHeader });
+  });
+  
+  // Handle WebSocket upgrade success (connection to backend established)
+  proxy.on('open', (proxySocket) => {
+    const wsTarget = site.neocore.wsTarget || site.neocore.target;
+    logger.debug('WebSocket connection established to backend', { site: site.name, target: wsTarget });
+    
+    metrics.websocketOpened({ site: site.name, service: 'neocore' });
+    proxySocket.once('close', () => metrics.websocketClosed({ site: site.name, service: 'neocore' }));
+    trackWebSocket(proxySocket);
+
+    // Ensure socket is in flowing mode (not paused) for immediate data forwarding
+    // DO NOT add 'data' event handlers - let http-proxy handle WebSocket frames automatically
+    proxySocket.resume();
+    
+    // Only track errors and close events - don't interfere with data flow
+    proxySocket.on('error', (err) => {
+      const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED'];
+      if (!suppressErrors.includes(err.code)) {
+        logger.warn('Proxy socket error', { site: site.name, err });
+      }
+    });
+    
+    proxySocket.on('close', () => {
+      logger.debug('Proxy socket closed', { site: site.name });
+    });
+  });
+  
+  // Handle WebSocket close
+  proxy.on('close', (res, socket, head) => {
+    logger.debug('WebSocket connection closed', { site: site.name });
+  });
   
-  Object.values(allSites).forEach(site => {
-    if (site.neocore?.enabled) {
-      // Use wsTarget for WebSocket if available, otherwise use target
-      const wsTarget = site.neocore.wsTarget || site.neocore.target;
-      
-      // Socket.io proxy - site-specific (use wsTarget for WebSocket)
-      const socketProxy = createProxyMiddleware({
-        target: wsTarget,
-        changeOrigin: true,
-        // IMPORTANT: we handle ALL Socket.IO WebSocket upgrades ourselves via server.on('upgrade')
-        // Keep this middleware HTTP-only (polling) to avoid double-upgrade handling and "Invalid frame header"
-        ws: false,
-        xfwd: true,
-        secure: false,
-        timeout: 0, // No timeout
-        proxyTimeout: 0, // No proxy timeout
-        pathRewrite: { [`^/vpn/${site.name}/neocore/socket.io`]: '/socket.io' },
-        logLevel: 'warn',
-        wsErrorHandler: (err, req, socket) => {
-          const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
-          if (!suppressErrors.includes(err.code)) {
-            console.error(`⚠️  WebSocket error (${site.name}):`, err.message);
-          }
-        },
-        onError: (err, req, res) => {
-          if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE' && !res.headersSent && !res.writableEnded) {
-            try {
-              res.status(502).json({ error: "Proxy error", message: err.message });
-            } catch (e) {}
-          }
-        }
+  // Handle WebSocket proxy response (backend responded)
+  proxy.on('proxyRes', (proxyRes, req, res) => {
+    req.log.debug('WebSocket backend response', { site: site.name, status: proxyRes.statusCode });
+  });
+  
+  // Handle WebSocket upgrade response
+  proxy.on('upgrade', (res, socket, head) => {
+    if (res.statusCode !== 101) {
+      logger.warn('Unexpected WebSocket upgrade status (expected 101)', { site: site.name, status: res.statusCode });
+    } else {
+      logger.debug('WebSocket upgrade successful', {
+        site: site.name, connection: res.headers?.connection, upgrade: res.headers?.upgrade
       });
-      socketProxies.set(site.name, socketProxy);
-      
-      // API proxy - site-specific (use regular target)
-      const apiProxy = createProxy(
-        site.neocore.target,
-        { [`^/vpn/${site.name}/neocore/api`]: '/api' },
-        site.name
-      );
-      apiProxies.set(site.name, apiProxy);
-      
-      console.log(`✅ Registered proxies for ${site.name}:`);
-      console.log(`   🔌 /vpn/${site.name}/neocore/socket.io → ${wsTarget}/socket.io`);
-      console.log(`   🌐 /vpn/${site.name}/neocore/api → ${site.neocore.target}/api`);
     }
   });
+  
+  // Handle WebSocket error during upgrade
+  proxy.on('error', (err, req, socket) => {
+    const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
+    if (!suppressErrors.includes(err.code)) {
+      (req?.log || logger).error('WebSocket proxy error during upgrade', { site: site.name, err });
+    }
+  });
+  
+  wsProxies.set(site.name, proxy);
+}
 
+/**
+ * Build the proxy for a single device
+ */
+function buildDeviceProxy(site, deviceId) {
+  const deviceConfig = site.devices.deviceList[deviceId];
+  const proxy = createDeviceProxy(site, deviceId, deviceConfig);
+  if (proxy) {
+    // Route: /vpn/{site}/devices/{deviceId}/*
+    deviceProxies.set(`${site.name}/${deviceId}`, proxy);
+    deviceWsProxies.set(`${site.name}/${deviceId}`, createDeviceWsProxy(site, deviceId, deviceConfig));
+    logger.info('Registered device', {
+      route: `/vpn/${site.name}/devices/${deviceId}`, target: deviceConfig.target, name: deviceConfig.name || deviceId
+    });
+  } else {
+    logger.error('Failed to create proxy for device', { site: site.name, deviceId });
+  }
+}
+
+/**
+ * Build proxies for all devices of a site
+ */
+function buildDeviceProxies(site) {
+  if (site.devices?.enabled && site.devices.deviceList) {
+    Object.keys(site.devices.deviceList).forEach(deviceId => buildDeviceProxy(site, deviceId));
+  } else if (site.devices?.enabled && !site.devices.deviceList) {
+    logger.warn('Site has devices enabled but no deviceList configured', { site: site.name });
+  }
+}
+
+/**
+ * Drop the proxies of one device
+ */
+function teardownDeviceProxies(key) {
+  deviceProxies.delete(key);
+  const wsProxy = deviceWsProxies.get(key);
+  if (wsProxy) {
+    wsProxy.close();
+    deviceWsProxies.delete(key);
+  }
+}
+
+/**
+ * Drop all proxies of a site
+ * Open WebSockets are already piped to the backend and stay connected.
+ */
+function teardownSiteProxies(siteName) {
+  socketProxies.delete(siteName);
+  apiProxies.delete(siteName);
+  const wsProxy = wsProxies.get(siteName);
+  if (wsProxy) {
+    wsProxy.close();
+    wsProxies.delete(siteName);
+  }
+  for (const key of [...deviceProxies.keys()]) {
+    if (key.startsWith(`${siteName}/`)) teardownDeviceProxies(key);
+  }
+}
+
+/**
+ * Rebuild (or remove) every proxy of one site after its configuration changed
+ */
+function refreshSite(siteName) {
+  teardownSiteProxies(siteName);
+  resetCircuit(siteName);
+  purgeCache(siteName);
+  const site = registeredSites[siteName];
+  if (site) {
+    buildNeocoreProxies(site);
+    buildDeviceProxies(site);
+    logger.info('Site proxies rebuilt', { site: siteName });
+  } else {
+    logger.info('Site proxies removed', { site: siteName });
+  }
+}
+
+/**
+ * Rebuild (or remove) the proxy of one device
+ */
+function refreshDevice(siteName, deviceId) {
+  teardownDeviceProxies(`${siteName}/${deviceId}`);
+  resetCircuit(`${siteName}/devices/${deviceId}`);
+  purgeCache(siteName, deviceId);
+  const site = registeredSites[siteName];
+  if (site?.devices?.enabled && site.devices.deviceList?.[deviceId]) {
+    buildDeviceProxy(site, deviceId);
+  } else {
+    logger.info('Device proxy removed', { site: siteName, deviceId });
+  }
+}
+
+/**
+ * Reject a WebSocket upgrade with a plain HTTP response
+ */
+function rejectUpgrade(socket, status, reason, headers = {}) {
+  const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\n${extra}Connection: close\r\n\r\n`);
+}
+
+/**
+ * NeoCore Socket.IO upgrades (root-level /socket.io and /vpn/{site}/neocore/socket.io)
+ */
+function handleSocketIoUpgrade(req, socket, head) {
+  const url = req.url || '';
+
+  // Determine site: session token, URL prefix, referer / origin, cookie
+  const resolved = resolveRootSite(req, registeredSites);
+  if (resolved.conflict) {
+    req.log.warn('Socket.IO upgrade: session token is bound to another site', { url, ...resolved.conflict });
+    rejectUpgrade(socket, 409, 'Conflict');
+    return;
+  }
+  let targetSite = resolved.site;
+  if (!targetSite?.neocore?.enabled) {
+    logUnresolvedSite(req, 'socket.io upgrade');
+    // Legacy (non-strict) fallback: the first site the user may access
+    targetSite = ROUTING.strictSiteResolution
+      ? null
+      : Object.values(registeredSites).find(s => s.neocore?.enabled && getSiteRole(req.user, s.name));
+  }
+
+  req.log.debug('Socket.IO upgrade', { url, site: targetSite?.name || null });
+
+  if (!targetSite?.neocore?.enabled) {
+    rejectUpgrade(socket, 421, 'Misdirected Request');
+    return;
+  }
+
+  const role = getSiteRole(req.user, targetSite.name);
+  if (!role) {
+    req.log.warn('WebSocket access denied', { user: req.user.username, site: targetSite.name });
+    websocketRefused(req, { site: targetSite.name, service: 'neocore' }, 403);
+    rejectUpgrade(socket, 403, 'Forbidden');
+    return;
+  }
+  // A WebSocket carries commands as well as updates, so viewers (read-only) get none;
+  // the Socket.IO client stays on long-polling
+  if (!canOperate(role)) {
+    req.log.warn('Read-only WebSocket access denied', { user: req.user.username, role, site: targetSite.name });
+    websocketRefused(req, { site: targetSite.name, service: 'neocore' }, 403);
+    rejectUpgrade(socket, 403, 'Forbidden');
+    return;
+  }
+
+  if (isCircuitOpen(targetSite.name)) {
+    websocketRefused(req, { site: targetSite.name, service: 'neocore' }, 503);
+    rejectUpgrade(socket, 503, 'Service Unavailable', { 'Retry-After': retryAfterSeconds(targetSite.name) });
+    return;
+  }
+
+  const limited = admitWebSocket(targetSite.name, resolveLimits(targetSite), req, socket, { site: targetSite.name, service: 'neocore' });
+  if (limited) {
+    req.log.warn('WebSocket rate limited', { site: targetSite.name, ...limited });
+    websocketRefused(req, { site: targetSite.name, service: 'neocore' }, 429);
+    rejectUpgrade(socket, 429, 'Too Many Requests', { 'Retry-After': limited.retryAfter });
+    return;
+  }
+
+  // Ensure backend sees a pure Socket.IO path: /socket.io/... (without the session token)
+  req.url = stripSessionParam(url);
+  if (req.url.startsWith(`/vpn/${targetSite.name}/neocore`)) {
+    req.url = req.url.replace(new RegExp(`^/vpn/${targetSite.name}/neocore`), '');
+  }
+
+  const proxy = wsProxies.get(targetSite.name);
+  if (!proxy) {
+    req.log.error('wsProxy not found for site', { site: targetSite.name });
+    socket.destroy();
+    return;
+  }
+
+  try {
+    proxy.ws(req, socket, head);
+  } catch (err) {
+    req.log.error('wsProxy.ws failed', { site: targetSite.name, err });
+    if (!socket.destroyed) socket.destroy();
+  }
+}
+
+/**
+ * Device WebSocket upgrades (live values from inverter dashboards, PLC HMIs, ...)
+ */
+function handleDeviceUpgrade(req, socket, head, site, deviceId) {
+  const prefix = `/vpn/${site.name}/devices/${deviceId}`;
+  const labels = { site: site.name, service: 'devices', device: deviceId };
+  req.log.debug('Device WebSocket upgrade', { url: req.url, site: site.name, deviceId });
+
+  const role = getDeviceRole(req.user, site.name, deviceId);
+  if (!role) {
+    req.log.warn('WebSocket access denied', { user: req.user.username, site: site.name, deviceId });
+    websocketRefused(req, labels, 403);
+    rejectUpgrade(socket, 403, 'Forbidden');
+    return;
+  }
+  // Read-only viewers cannot open a two-way session to the device
+  if (!canOperate(role)) {
+    req.log.warn('Read-only WebSocket access denied', { user: req.user.username, role, site: site.name, deviceId });
+    websocketRefused(req, labels, 403);
+    rejectUpgrade(socket, 403, 'Forbidden');
+    return;
+  }
+
+  const breakerKey = `${site.name}/devices/${deviceId}`;
+  if (isCircuitOpen(breakerKey)) {
+    websocketRefused(req, labels, 503);
+    rejectUpgrade(socket, 503, 'Service Unavailable', { 'Retry-After': retryAfterSeconds(breakerKey) });
+    return;
+  }
+
+  const proxy = deviceWsProxies.get(`${site.name}/${deviceId}`);
+  if (!proxy) {
+    req.log.error('Device wsProxy not found', { site: site.name, deviceId });
+    rejectUpgrade(socket, 404, 'Not Found');
+    return;
+  }
+
+  const limited = admitWebSocket(breakerKey, resolveLimits(site, deviceId), req, socket, { site: site.name, deviceId, service: 'devices' });
+  if (limited) {
+    req.log.warn('WebSocket rate limited', { site: site.name, deviceId, ...limited });
+    websocketRefused(req, labels, 429);
+    rejectUpgrade(socket, 429, 'Too Many Requests', { 'Retry-After': limited.retryAfter });
+    return;
+  }
+
+  // Device sees its own paths: /vpn/{site}/devices/{deviceId}/ws → /ws
+  if (req.url.startsWith(prefix)) {
+    req.url = req.url.slice(prefix.length) || '/';
+    if (!req.url.startsWith('/')) req.url = `/${req.url}`;
+  }
+
+  try {
+    proxy.ws(req, socket, head);
+  } catch (err) {
+    req.log.error('Device wsProxy.ws failed', { site: site.name, deviceId, err });
+    if (!socket.destroyed) socket.destroy();
+  }
+}
+
+/**
+ * Central WebSocket upgrade dispatcher
+ * This is the ONLY 'upgrade' listener - every HTTP proxy is created with ws: false -
+ * which guarantees single handling per connection and avoids "Invalid frame header".
+ *
+ * 1. /vpn/{site}/devices/{deviceId}/*   → device WebSocket
+ * 2. /socket.io, /vpn/{site}/neocore/socket.io → NeoCore Socket.IO
+ * 3. any other root-level path          → device matched from the referer
+ *
+ * Errors (e.g. the session store failing: unreadable file, SQLITE_BUSY) answer 503 and close
+ * the socket instead of escaping the 'upgrade' listener as an uncaught exception.
+ */
+function handleUpgrade(req, socket, head) {
+  assignRequestId(req);
+  req.originalUrl = req.url || '';  // As requested - handlers rewrite req.url for the upstream
+  try {
+    dispatchUpgrade(req, socket, head);
+  } catch (err) {
+    req.log.error('WebSocket upgrade failed', { url: req.originalUrl, err });
+    if (socket.destroyed) return;
+    socket.once('finish', () => socket.destroy());
+    rejectUpgrade(socket, 503, 'Service Unavailable');
+  }
+}
+
+function dispatchUpgrade(req, socket, head) {
+  const url = req.url || '';
+
+  if (isDraining()) {
+    rejectUpgrade(socket, 503, 'Service Unavailable');
+    return;
+  }
+
+  if (!authenticateUpgrade(req)) {
+    req.log.warn('Rejected unauthenticated WebSocket upgrade', { url });
+    rejectUpgrade(socket, 401, 'Unauthorized');
+    return;
+  }
+
+  const deviceMatch = url.match(/^\/vpn\/([^\/]+)\/devices\/([^\/\?]+)(\/|\?|$)/);
+  if (deviceMatch) {
+    const site = registeredSites[deviceMatch[1]];
+    if (!site?.devices?.enabled || !site.devices.deviceList?.[deviceMatch[2]]) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+    return handleDeviceUpgrade(req, socket, head, site, deviceMatch[2]);
+  }
+
+  if (url.includes('/socket.io')) {
+    return handleSocketIoUpgrade(req, socket, head);
+  }
+
+  if (!url.startsWith('/vpn/')) {
+    const deviceInfo = detectDeviceFromReferer(req.headers.referer, registeredSites);
+    if (deviceInfo) {
+      return handleDeviceUpgrade(req, socket, head, deviceInfo.site, deviceInfo.deviceId);
+    }
+  }
+
+  req.log.warn('No WebSocket route', { url, referer: req.headers.referer });
+  rejectUpgrade(socket, 404, 'Not Found');
+}
+
+/**
+ * Register Neocore routes (HTML, assets, API, Socket.io)
+ */
+function registerNeocoreRoutes(app, allSites) {
   // URL rewrite interceptors (for HTTP requests - socket.io polling, API calls)
   app.use((req, res, next) => {
     // Only intercept API requests without site prefix
     // IMPORTANT: Do NOT rewrite /socket.io here. Express mounts strip prefixes (e.g. '/socket.io' -> '/'),
     // and doing it in two places causes subtle path/query bugs that break Engine.IO.
     if (req.url.startsWith('/api') && !req.url.startsWith('/vpn/')) {
-      const site = detectSite(req, allSites);
+      const { site, conflict } = resolveRootSite(req, allSites);
+      if (conflict) {
+        return res.status(409).json({ error: 'Session token belongs to a different site', ...conflict });
+      }
       if (site?.neocore?.enabled) {
         const prefix = `/vpn/${site.name}/neocore`;
-        req.url = `${prefix}${req.url}`;
-        console.log(`🔄 API rewrite: ${req.url} → ${site.name} (from ${req.headers.referer || 'direct'})`);
+        req.url = `${prefix}${stripSessionParam(req.url)}`;
+        req.originalUrl = stripSessionParam(req.originalUrl);  // http-proxy-middleware forwards originalUrl
+        req.log.debug('API rewrite', { url: req.url, site: site.name, referer: req.headers.referer });
+      } else if (ROUTING.strictSiteResolution) {
+        return rejectUnresolvedSite(req, res, 'api');
       } else {
-        console.warn(`⚠️  Could not detect site for ${req.url} (referer: ${req.headers.referer || 'none'})`);
+        logUnresolvedSite(req, 'api');
       }
     }
     next();
   });
 
   // Register site-specific socket.io routes (MUST be before root-level route)
-  Object.values(allSites).forEach(site => {
-    if (site.neocore?.enabled) {
-      app.use(`/vpn/${site.name}/neocore/socket.io`, socketProxies.get(site.name));
-      app.use(`/vpn/${site.name}/neocore/api`, apiProxies.get(site.name));
-    }
+  // Their proxy chains audit, then authorize, so refused requests reach the audit log
+  app.use('/vpn/:siteName/neocore/socket.io', (req, res, next) => {
+    const proxy = socketProxies.get(req.params.siteName);
+    return proxy ? proxy(req, res, next) : next();
+  });
+  app.use('/vpn/:siteName/neocore/api', (req, res, next) => {
+    const proxy = apiProxies.get(req.params.siteName);
+    return proxy ? proxy(req, res, next) : next();
   });
 
+  // Any role on the site may open its NeoCore (HTML, assets)
+  app.use('/vpn/:siteName/neocore', authorize(req => req.params.siteName));
+
   // Root-level socket.io route (fallback - handles /socket.io/ requests)
   app.use('/socket.io', (req, res, next) => {
-    const site = detectSite(req, allSites);
+    const { site, conflict } = resolveRootSite(req, allSites);
+    if (conflict) {
+      return res.status(409).json({ error: 'Session token belongs to a different site', ...conflict });
+    }
+    req.url = stripSessionParam(req.url);
+    req.originalUrl = stripSessionParam(req.originalUrl);  // http-proxy-middleware forwards originalUrl
     if (site?.neocore?.enabled) {
       // NOTE: when mounted at '/socket.io', Express strips that prefix.
       // If the browser hits '/socket.io/?EIO=4...', then req.url here is '/?EIO=4...'
       // We must preserve the full path+query (including leading '/').
       req.url = `/vpn/${site.name}/neocore/socket.io${req.url}`;
-      console.log(`🔄 Root socket.io rewrite: ${req.url} → ${site.name}`);
+      req.log.debug('Root socket.io rewrite', { url: req.url, site: site.name });
+      // The site's chain checks (and audits) access
       const proxy = socketProxies.get(site.name);
       if (proxy) {
         return proxy(req, res, next);
       }
     }
-    // Fallback to first site (not ideal, but better than failing)
-    const firstSite = Object.values(allSites).find(s => s.neocore?.enabled);
+    if (ROUTING.strictSiteResolution) {
+      return rejectUnresolvedSite(req, res, 'socket.io');
+    }
+    // Legacy (non-strict) fallback to the first site (may show another site's live data)
+    logUnresolvedSite(req, 'socket.io');
+    const firstSite = Object.values(allSites).find(s => s.neocore?.enabled && getSiteRole(req.user, s.name));
     if (firstSite) {
       req.url = `/vpn/${firstSite.name}/neocore/socket.io${req.url}`;
-      console.log(`🔄 Root socket.io rewrite (fallback): ${req.url} → ${firstSite.name}`);
+      req.log.debug('Root socket.io rewrite (fallback)', { url: req.url, site: firstSite.name });
       const proxy = socketProxies.get(firstSite.name);
       if (proxy) {
         return proxy(req, res, next);
@@ -229,271 +824,68 @@ function registerNeocoreRoutes(app, allSites, server) {
     res.status(404).json({ error: 'Socket.io endpoint not found - no site detected' });
   });
 
-  // WebSocket upgrade handler - Manually handle upgrades for /socket.io without site prefix
-  // Create reusable proxy instances per site to avoid conflicts
-  if (server && socketProxies.size > 0) {
-    // Create reusable proxy instances for each site
-    const wsProxies = new Map();
-    Object.values(allSites).forEach(site => {
-      if (site.neocore?.enabled) {
-        // Use wsTarget if available (direct backend connection), otherwise use target (nginx)
-        const wsTarget = site.neocore.wsTarget || site.neocore.target;
-        const proxy = httpProxy.createProxyServer({
-          target: wsTarget,
-          ws: true,
-          changeOrigin: true,
-          secure: false,
-          timeout: 0, // No timeout - keep connection alive
-          proxyTimeout: 0, // No proxy timeout
-          xfwd: true, // Forward X-Forwarded-* headers
-          // Don't rewrite path - keep /socket.io as is
-          // Ensure WebSocket frames are forwarded immediately without buffering
-          buffer: false, // Disable buffering for WebSocket
-        });
-        
-        console.log(`   🔌 WebSocket proxy target for ${site.name}: ${wsTarget}`);
-        
-        // Handle proxy errors (including backend connection failures)
-        proxy.on('error', (err, req, socket) => {
-          const wsTarget = site.neocore.wsTarget || site.neocore.target;
-          const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
-          if (!suppressErrors.includes(err.code)) {
-            console.error(`   ❌ WebSocket proxy error (${site.name}):`, err.message);
-            console.error(`   Code: ${err.code}, Target: ${wsTarget}`);
-            console.error(`   This usually means the backend is not reachable or not responding`);
-          } else if (err.code === 'ECONNREFUSED') {
-            // This is important - backend is not accepting connections
-            console.error(`   ⚠️  Backend connection refused (${site.name}): ${wsTarget}`);
-            console.error(`   Check if NeoCore backend is running and accessible`);
-          }
-          if (socket && !socket.destroyed) {
-            try {
-              socket.destroy();
-            } catch (e) {}
-          }
-        });
-        
-        // Handle WebSocket proxy request (before connecting to backend)
-        proxy.on('proxyReqWs', (proxyReq, req, socket) => {
-          // Use wsTarget if available (direct backend), otherwise use target (nginx)
-          const wsTarget = site.neocore.wsTarget || site.neocore.target;
-          const targetUrl = new URL(wsTarget);
-          
-          // Host header: Include port if not standard (80/443)
-          const port = targetUrl.port || (targetUrl.protocol === 'https:' ? '443' : '80');
-          const hostHeader = (port === '80' || port === '443') ? targetUrl.hostname : `${targetUrl.hostname}:${port}`;
-          
-          proxyReq.setHeader('Host', hostHeader); // Critical: Socket.IO needs correct Host header
-          proxyReq.setHeader('X-Forwarded-Proto', targetUrl.protocol === 'https:' ? 'wss' : 'ws');
-          proxyReq.setHeader('X-Forwarded-For', req.socket.remoteAddress || req.headers['x-forwarded-for'] || '');
-          proxyReq.setHeader('X-Real-IP', req.socket.remoteAddress || '');
-          
-          // Preserve original headers that Socket.IO might need
-          if (req.headers.origin) {
-            proxyReq.setHeader('Origin', req.headers.origin);
-          }
-          if (req.headers.cookie) {
-            proxyReq.setHeader('Cookie', req.headers.cookie);
-          }
-          
-          // Set Connection and Upgrade headers explicitly for WebSocket
-          proxyReq.setHeader('Connection', 'Upgrade');
-          proxyReq.setHeader('Upgrade', 'websocket');
-          
-          console.log(`   🔗 Connecting to backend: ${wsTarget}${req.url}`);
-          console.log(`   Host header: ${hostHeader} (port: ${port})`);
-        });
-        
-        // Handle WebSocket upgrade success (connection to backend established)
-        proxy.on('open', (proxySocket) => {
-          const wsTarget = site.neocore.wsTarget || site.neocore.target;
-          console.log(`   ✅ WebSocket connection established to backend (${site.name})`);
-          console.log(`   📡 Real-time data should now flow`);
-          console.log(`   🔗 Connected to: ${wsTarget}`);
-          
-          // Ensure socket is in flowing mode (not paused) for immediate data forwarding
-          // DO NOT add 'data' event handlers - let http-proxy handle WebSocket frames automatically
-          proxySocket.resume();
-          
-          // Only track errors and close events - don't interfere with data flow
-          proxySocket.on('error', (err) => {
-            const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED'];
-            if (!suppressErrors.includes(err.code)) {
-              console.error(`   ❌ Proxy socket error (${site.name}):`, err.message);
-            }
-          });
-          
-          proxySocket.on('close', () => {
-            console.log(`   🔌 Proxy socket closed (${site.name})`);
-          });
-        });
-        
-        // Handle WebSocket close
-        proxy.on('close', (res, socket, head) => {
-          console.log(`   🔌 WebSocket connection closed (${site.name})`);
-        });
-        
-        // Handle WebSocket proxy response (backend responded)
-        proxy.on('proxyRes', (proxyRes, req, res) => {
-          console.log(`   📥 Backend response: ${proxyRes.statusCode} (${site.name})`);
-        });
-        
-        // Handle WebSocket upgrade response
-        proxy.on('upgrade', (res, socket, head) => {
-          console.log(`   ⬆️  WebSocket upgrade response received (${site.name})`);
-          console.log(`   Status: ${res.statusCode}`);
-          if (res.statusCode !== 101) {
-            console.error(`   ⚠️  Unexpected status code: ${res.statusCode} (expected 101)`);
-          } else {
-            console.log(`   ✅ Upgrade successful - WebSocket protocol established`);
-            // Ensure upgrade response headers are properly set
-            if (res.headers) {
-              console.log(`   📋 Upgrade headers: Connection=${res.headers.connection}, Upgrade=${res.headers.upgrade}`);
-            }
-          }
-        });
-        
-        // Handle WebSocket error during upgrade
-        proxy.on('error', (err, req, socket) => {
-          const suppressErrors = ['ECONNRESET', 'EPIPE', 'ECONNREFUSED', 'ERR_STREAM_WRITE_AFTER_END'];
-          if (!suppressErrors.includes(err.code)) {
-            console.error(`   ❌ WebSocket proxy error during upgrade (${site.name}):`, err.message);
-            console.error(`   Code: ${err.code}`);
-          }
-        });
-        
-        wsProxies.set(site.name, proxy);
-      }
-    });
-    
-    // Handle WebSocket upgrades for root-level /socket.io requests
-    // We handle ALL socket.io websocket upgrades here (both root + site-prefixed),
-    // to guarantee single handling and avoid frame corruption.
-    server.on('upgrade', (req, socket, head) => {
-      const url = req.url || '';
-      if (!url.includes('/socket.io')) return;
-
-      // Determine site
-      let targetSite = null;
-
-      // 1) If site is already in URL (prefixed)
-      const urlMatch = url.match(/^\/vpn\/([^\/]+)\/neocore\/socket\.io(\/|\?|$)/);
-      if (urlMatch) {
-        targetSite = allSites[urlMatch[1]];
-      }
-
-      // 2) Cookie / referer / origin
-      if (!targetSite?.neocore?.enabled) {
-        const cookieHeader = req.headers.cookie || '';
-        const cookieMatch = cookieHeader.match(/vpn-site=([^;,\s]+)/);
-        if (cookieMatch) targetSite = allSites[cookieMatch[1].trim()];
-      }
-      if (!targetSite?.neocore?.enabled) targetSite = detectSite(req, allSites);
-      if (!targetSite?.neocore?.enabled) targetSite = Object.values(allSites).find(s => s.neocore?.enabled);
-
-      console.log(`🔌 WebSocket upgrade: ${url}`);
-      console.log(`   Site: ${targetSite?.name || 'NONE'}`);
-
-      if (!targetSite?.neocore?.enabled) {
-        console.error(`   ❌ No site detected, closing connection`);
-        socket.destroy();
-        return;
-      }
-
-      // Ensure backend sees a pure Socket.IO path: /socket.io/...
-      if (url.startsWith(`/vpn/${targetSite.name}/neocore`)) {
-        req.url = url.replace(new RegExp(`^/vpn/${targetSite.name}/neocore`), '');
-      }
-
-      const proxy = wsProxies.get(targetSite.name);
-      if (!proxy) {
-        console.error(`   ❌ wsProxy not found for site: ${targetSite.name}`);
-        socket.destroy();
-        return;
-      }
-
-      try {
-        proxy.ws(req, socket, head);
-      } catch (err) {
-        console.error(`   ❌ wsProxy.ws failed (${targetSite.name}): ${err.message}`);
-        if (!socket.destroyed) socket.destroy();
-      }
-    });
-    
-    console.log(`✅ WebSocket upgrade handler registered (single handler; per-site proxies reused)`);
-  }
-
   // HTML route
   app.get('/vpn/:siteName/neocore', (req, res) => {
     const site = allSites[req.params.siteName];
     if (!site?.neocore?.enabled) {
       return res.status(404).json({ error: 'Site not found' });
     }
-    serveHTML(req, res, req.params.siteName);
+    serveHTML(req, res, site);
   });
 
-  // Root-level assets
-  app.get(/^\/(main\.[^\/]+\.(js|css))$/, serveAsset);
-  app.get('/static/:type/:fileName', (req, res) => {
-    const assetPath = path.join(__dirname, '../build/static', req.params.type, req.params.fileName);
-    const contentType = req.params.type === 'js' ? 'application/javascript' : 'text/css';
-    if (!serveStaticFile(assetPath, res, contentType)) {
+  // Root-level assets (legacy entrypoint URLs and /static/* for pages without a base tag),
+  // from the build of the site the page belongs to
+  app.get(/^\/(main\.[^\/]+\.(js|css))$/, (req, res) => {
+    const version = frontendVersionOf(detectSite(req, allSites));
+    const assetPath = findAssetByName(req.params[0], version);
+    if (!assetPath || !serveAsset(req, res, assetPath, version)) {
+      res.status(404).json({ error: 'Asset not found' });
+    }
+  });
+  app.get('/static/*', (req, res) => {
+    if (!serveAsset(req, res, req.path, frontendVersionOf(detectSite(req, allSites)))) {
       res.status(404).json({ error: 'Asset not found' });
     }
   });
 
-  // Root-level images/icons (detect site from referer)
+  // Root-level images/icons (detect site from referer); only from sites the caller may access
   app.get(/^\/([^\/]+\.(png|jpg|jpeg|svg|ico|gif|webp))$/, (req, res) => {
-    // Extract filename from URL path (remove leading slash)
-    const fileName = req.path.substring(1);
-    const site = detectSite(req, allSites) || Object.values(allSites).find(s => s.neocore?.enabled);
-    
+    let site = detectSite(req, allSites);
     if (!site) {
-      return res.status(404).json({ error: 'Site not found' });
+      if (ROUTING.strictSiteResolution) return rejectUnresolvedSite(req, res, 'image');
+      logUnresolvedSite(req, 'image');
+      site = Object.values(allSites).find(s => s.neocore?.enabled && getSiteRole(req.user, s.name));
     }
     
-    const assetPath = path.join(__dirname, '../build', fileName);
-    const ext = path.extname(fileName).toLowerCase();
-    const contentTypes = {
-      '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
-      '.svg': 'image/svg+xml', '.ico': 'image/x-icon', '.gif': 'image/gif', '.webp': 'image/webp'
-    };
-    const contentType = contentTypes[ext] || 'application/octet-stream';
+    if (!site || !getSiteRole(req.user, site.name)) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
     
-    if (!serveStaticFile(assetPath, res, contentType)) {
+    if (!serveAsset(req, res, req.path, frontendVersionOf(site))) {
       res.status(404).json({ error: 'Image not found' });
-    } else if (process.env.DEBUG) {
-      console.log(`📷 Served root image: /${fileName} → ${site.name} (from ${req.headers.referer || 'direct'})`);
+    } else {
+      req.log.debug('Served root image', { file: req.path, site: site.name, referer: req.headers.referer });
     }
   });
 
-  // Site-prefixed static assets
-  app.get('/vpn/:siteName/neocore/static/:type/:fileName', (req, res) => {
+  // Site-prefixed static assets (chunks, media and source maps at any depth)
+  app.get('/vpn/:siteName/neocore/static/*', (req, res) => {
     const site = allSites[req.params.siteName];
     if (!site?.neocore?.enabled) {
       return res.status(404).json({ error: 'Site not found' });
     }
-    const assetPath = path.join(__dirname, '../build/static', req.params.type, req.params.fileName);
-    const contentType = req.params.type === 'js' ? 'application/javascript' : 'text/css';
-    if (!serveStaticFile(assetPath, res, contentType)) {
+    if (!serveAsset(req, res, `/static/${req.params[0]}`, frontendVersionOf(site))) {
       res.status(404).json({ error: 'Asset not found' });
     }
   });
 
-  // Root-level images/icons
+  // Top-level public files (favicon, logos, manifest.json, ...)
   app.get('/vpn/:siteName/neocore/:assetFile', (req, res) => {
     const site = allSites[req.params.siteName];
     if (!site?.neocore?.enabled || req.params.assetFile.startsWith('api') || req.params.assetFile === 'static') {
       return res.status(404).json({ error: 'Not found' });
     }
-    const assetPath = path.join(__dirname, '../build', req.params.assetFile);
-    const ext = path.extname(req.params.assetFile).toLowerCase();
-    const contentTypes = {
-      '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
-      '.svg': 'image/svg+xml', '.ico': 'image/x-icon', '.gif': 'image/gif', '.webp': 'image/webp'
-    };
-    const contentType = contentTypes[ext] || 'application/octet-stream';
-    if (!serveStaticFile(assetPath, res, contentType)) {
+    if (!serveAsset(req, res, `/${req.params.assetFile}`, frontendVersionOf(site))) {
       res.status(404).json({ error: 'Asset not found' });
     }
   });
@@ -504,7 +896,7 @@ function registerNeocoreRoutes(app, allSites, server) {
     if (!site?.neocore?.enabled || req.url.includes('/api') || req.url.includes('/socket.io')) {
       return res.status(404).json({ error: 'Not found' });
     }
-    serveHTML(req, res, req.params.siteName);
+    serveHTML(req, res, site);
   });
 }
 
@@ -538,44 +930,50 @@ function registerDevicesRoutes(app, allSites) {
       const { site, deviceId } = deviceInfo;
       const originalUrl = req.url;
       req.url = `/vpn/${site.name}/devices/${deviceId}${url}`;
-      console.log(`🔄 Device asset: ${originalUrl} → ${req.url} (${site.name}/${deviceId})`);
+      req.log.debug('Device asset rewrite', { from: originalUrl, to: req.url, site: site.name, deviceId });
     }
     
     next();
   });
 
-  // Register individual device routes for each site
-  Object.values(allSites).forEach(site => {
-    if (site.devices?.enabled && site.devices.deviceList) {
-      // Register route for each device in deviceList
-      Object.entries(site.devices.deviceList).forEach(([deviceId, deviceConfig]) => {
-        const proxy = createDeviceProxy(site, deviceId, deviceConfig);
-        if (proxy) {
-          // Route: /vpn/{site}/devices/{deviceId}/*
-          app.use(`/vpn/${site.name}/devices/${deviceId}`, proxy);
-          console.log(`✅ Registered device: /vpn/${site.name}/devices/${deviceId} → ${deviceConfig.target} (${deviceConfig.name || deviceId})`);
-        } else {
-          console.error(`❌ Failed to create proxy for device: ${site.name}/devices/${deviceId}`);
-        }
-      });
-    } else if (site.devices?.enabled && !site.devices.deviceList) {
-      console.warn(`⚠️  Site ${site.name} has devices enabled but no deviceList configured`);
-    }
+  // Login required for everything proxied. Mounted after the asset rewrite above so that
+  // root-level device assets (now under /vpn/) are covered, and before the /api and
+  // /socket.io rewrites in registerNeocoreRoutes so those are covered in their original form.
+  app.use(['/vpn', '/api', '/socket.io'], requireAuth);
+
+  // Device routes: /vpn/{site}/devices/{deviceId}/*
+  app.use('/vpn/:siteName/devices/:deviceId', (req, res, next) => {
+    const proxy = deviceProxies.get(`${req.params.siteName}/${req.params.deviceId}`);
+    return proxy ? proxy(req, res, next) : next();
   });
   
-  console.log(`✅ Universal device asset handler active - handles ANY device from ANY site`);
+  logger.info('Universal device asset handler active - handles ANY device from ANY site');
 }
 
 /**
  * Register all routes
  * IMPORTANT: Device routes MUST be registered BEFORE neocore routes
+ *
+ * @param {Object[]} servers - HTTP and HTTPS servers whose WebSocket upgrades are dispatched here
  */
-function registerAllRoutes(app, sites, server) {
+function registerAllRoutes(app, sites, servers = []) {
+  registeredSites = sites;
+  Object.values(sites).forEach(site => {
+    buildDeviceProxies(site);
+    buildNeocoreProxies(site);
+  });
+
   // Register devices routes FIRST to avoid conflicts
   registerDevicesRoutes(app, sites);
   
   // Then register neocore routes
-  registerNeocoreRoutes(app, sites, server);
+  registerNeocoreRoutes(app, sites);
+
+  // Single upgrade handler for NeoCore Socket.IO and device WebSockets, on every listener
+  servers.forEach(server => server.on('upgrade', handleUpgrade));
+  if (servers.length > 0) {
+    logger.info('WebSocket upgrade dispatcher registered (Socket.IO + device WebSockets)', { listeners: servers.length });
+  }
 }
 
-module.exports = { registerAllRoutes };
+module.exports = { registerAllRoutes, refreshSite, refreshDevice, handleUpgrade };
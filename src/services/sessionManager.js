@@ -1,33 +1,84 @@
 /**
  * Session Manager
  * Manages session IDs and maps them to sites
+ *
+ * Every served NeoCore page gets its own session (see sessionShim): the browser tab sends
+ * the token on root-level /api and /socket.io requests (X-VPN-Session header, or the
+ * vpnSession query parameter for WebSockets), which binds them to that tab's site.
+ *
+ * Sessions are kept in the configured store (config/sessions: memory, file or SQLite)
+ * and expire after an idle period (sliding) or a maximum age.
  */
 
 const crypto = require('crypto');
+const SESSIONS = require('../config/sessions');
+const { createSessionStore } = require('./sessionStore');
+const { logger } = require('./logger');
 
-// Session storage: sessionId -> { siteName, createdAt, lastAccess }
-const sessions = new Map();
-// Reverse: siteName -> Set of sessionIds (for cleanup)
-const siteSessions = new Map();
+const SESSION_HEADER = 'x-vpn-session';
+const SESSION_PARAM = 'vpnSession';
+
+// { id, siteName, username, createdAt, lastAccess } records (memory, file or SQLite)
+let store = null;
+
+/**
+ * Open the configured store (index.js calls this at startup so a bad SESSION_STORE
+ * fails there; otherwise the first session use opens it)
+ * Throws when the store cannot be opened.
+ */
+function getStore() {
+  if (!store) {
+    store = createSessionStore(SESSIONS);
+    process.on('exit', () => {
+      try {
+        store.close();
+      } catch (err) {
+        logger.error('Session store close failed', { store: SESSIONS.store, err });
+      }
+    });
+    logger.info('Session store opened', { store: SESSIONS.store });
+  }
+  return store;
+}
+
+function expiresAt(session) {
+  return Math.min(session.lastAccess + SESSIONS.idleTtlSeconds * 1000, session.createdAt + SESSIONS.maxAgeSeconds * 1000);
+}
+
+function shortId(sessionId) {
+  return `${sessionId.substring(0, 8)}...`;
+}
+
+/**
+ * Look up a live session and slide its expiry (expired sessions are removed)
+ */
+function useSession(sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') return null;
+  const session = getStore().get(sessionId);
+  if (!session) return null;
+
+  const now = Date.now();
+  if (now >= expiresAt(session)) {
+    getStore().delete(sessionId);
+    return null;
+  }
+  if (now - session.lastAccess >= SESSIONS.touchIntervalSeconds * 1000) {
+    getStore().touch(sessionId, now);
+  }
+  return session;
+}
 
 /**
  * Create session for a site
+ * @param {string} siteName
+ * @param {string} [username] - Owner; other users cannot use the token
  */
-function createSession(siteName) {
+function createSession(siteName, username = null) {
   const sessionId = crypto.randomBytes(16).toString('hex');
-  sessions.set(sessionId, {
-    siteName,
-    createdAt: Date.now(),
-    lastAccess: Date.now()
-  });
-  
-  // Track sessions per site
-  if (!siteSessions.has(siteName)) {
-    siteSessions.set(siteName, new Set());
-  }
-  siteSessions.get(siteName).add(sessionId);
-  
-  console.log(`✅ Session created: ${sessionId.substring(0, 8)}... → ${siteName}`);
+  const now = Date.now();
+  getStore().set({ id: sessionId, siteName, username, createdAt: now, lastAccess: now });
+
+  logger.debug('Session created', { session: shortId(sessionId), site: siteName });
   return sessionId;
 }
 
@@ -35,54 +86,106 @@ function createSession(siteName) {
  * Get site from session ID
  */
 function getSiteFromSession(sessionId) {
-  if (!sessionId) return null;
-  
-  const session = sessions.get(sessionId);
-  if (session) {
-    session.lastAccess = Date.now();
-    return session.siteName;
-  }
-  return null;
+  return useSession(sessionId)?.siteName || null;
+}
+
+/**
+ * Site of a request's session token, or null if it has none (or one that is unknown,
+ * expired or belongs to someone else)
+ */
+function getRequestSite(req) {
+  const session = useSession(getRequestSessionId(req));
+  if (!session || session.username !== (req.user?.username || null)) return null;
+  return session.siteName;
+}
+
+function getRequestSessionId(req) {
+  const header = req.headers[SESSION_HEADER];
+  if (header) return header;
+  const query = (req.url || '').split('?')[1];
+  return query ? new URLSearchParams(query).get(SESSION_PARAM) : null;
+}
+
+/**
+ * Remove the session token from a URL before it is forwarded upstream
+ */
+function stripSessionParam(url) {
+  const [pathname, query] = url.split('?');
+  if (!query) return url;
+  const params = new URLSearchParams(query);
+  if (!params.has(SESSION_PARAM)) return url;
+  params.delete(SESSION_PARAM);
+  const rest = params.toString();
+  return rest ? `${pathname}?${rest}` : pathname;
 }
 
 /**
  * Validate session exists
  */
 function isValidSession(sessionId) {
-  return sessions.has(sessionId);
+  return !!useSession(sessionId);
 }
 
 /**
- * Cleanup old sessions (optional - for memory management)
+ * Revoke every session of a site (open tabs must reload the page)
+ * @returns {number} Sessions removed
  */
-function cleanupOldSessions(maxAge = 24 * 60 * 60 * 1000) { // 24 hours
+function revokeSiteSessions(siteName) {
+  const revoked = getStore().deleteSite(siteName);
+  logger.info('Site sessions revoked', { site: siteName, count: revoked });
+  return revoked;
+}
+
+/**
+ * Active sessions, grouped by site (ids are shortened - they are bearer tokens)
+ * @param {string} [siteName] - Only this site
+ */
+function listSessions(siteName) {
   const now = Date.now();
-  let cleaned = 0;
-  
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now - session.lastAccess > maxAge) {
-      const siteName = session.siteName;
-      sessions.delete(sessionId);
-      if (siteSessions.has(siteName)) {
-        siteSessions.get(siteName).delete(sessionId);
-      }
-      cleaned++;
-    }
-  }
-  
+  const bySite = {};
+  getStore().list(siteName).forEach(session => {
+    if (now >= expiresAt(session)) return;
+    (bySite[session.siteName] = bySite[session.siteName] || []).push({
+      id: shortId(session.id),
+      username: session.username,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastAccess: new Date(session.lastAccess).toISOString(),
+      expiresAt: new Date(expiresAt(session)).toISOString()
+    });
+  });
+  return bySite;
+}
+
+/**
+ * Remove expired sessions
+ */
+function cleanupOldSessions() {
+  const now = Date.now();
+  const cleaned = getStore().purge(now - SESSIONS.idleTtlSeconds * 1000, now - SESSIONS.maxAgeSeconds * 1000);
   if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} old sessions`);
+    logger.info('Cleaned up old sessions', { count: cleaned });
   }
 }
 
-// Run cleanup every hour
 setInterval(() => {
-  cleanupOldSessions();
-}, 60 * 60 * 1000);
+  try {
+    cleanupOldSessions();
+  } catch (err) {
+    logger.error('Session cleanup failed', { store: SESSIONS.store, err });
+  }
+}, SESSIONS.cleanupIntervalSeconds * 1000).unref();
 
 module.exports = {
+  SESSION_HEADER,
+  SESSION_PARAM,
+  getStore,
   createSession,
   getSiteFromSession,
+  getRequestSite,
+  getRequestSessionId,
+  stripSessionParam,
   isValidSession,
+  revokeSiteSessions,
+  listSessions,
   cleanupOldSessions
 };
@@ -0,0 +1,88 @@
+/**
+ * Session Shim - Binds a NeoCore page's root-level /api and /socket.io traffic to its tab
+ *
+ * The NeoCore frontend talks to /api and /socket.io at the root, which carry no site. The
+ * shim tags those requests with the page's session token (see sessionManager): fetch and
+ * XMLHttpRequest get an X-VPN-Session header, WebSocket and EventSource URLs (which cannot
+ * carry headers) a vpnSession query parameter.
+ */
+
+const { SESSION_HEADER, SESSION_PARAM } = require('./sessionManager');
+
+/**
+ * Browser side of the shim - serialized with Function.prototype.toString, so it must be
+ * self-contained (no closures over this module) and stay ES5-compatible.
+ */
+function installSessionShim(config) {
+  if (window.__vpnSession) return;
+  window.__vpnSession = config;
+
+  // Same-origin root-level /api or /socket.io URL, or null
+  function rootUrl(input) {
+    var url;
+    try {
+      url = new URL(String(input), location.href);
+    } catch (e) {
+      return null;
+    }
+    if (url.host !== location.host) return null;
+    return /^\/(api|socket\.io)(\/|$)/.test(url.pathname) ? url : null;
+  }
+
+  if (window.fetch) {
+    var originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+      var isRequest = window.Request && input instanceof window.Request;
+      if (rootUrl(isRequest ? input.url : input)) {
+        init = init || {};
+        var headers = new window.Headers(init.headers || (isRequest ? input.headers : undefined));
+        headers.set(config.header, config.token);
+        init.headers = headers;
+      }
+      return originalFetch.call(this, input, init);
+    };
+  }
+
+  if (window.XMLHttpRequest) {
+    var originalOpen = window.XMLHttpRequest.prototype.open;
+    window.XMLHttpRequest.prototype.open = function (method, url) {
+      var result = originalOpen.apply(this, arguments);
+      if (rootUrl(url)) this.setRequestHeader(config.header, config.token);
+      return result;
+    };
+  }
+
+  function wrapConstructor(name, websocket, constants) {
+    var Original = window[name];
+    if (!Original) return;
+    var Wrapped = function (url, options) {
+      var root = rootUrl(url);
+      if (root) {
+        root.searchParams.set(config.param, config.token);
+        if (websocket) root.protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        url = root.href;
+      }
+      return arguments.length > 1 ? new Original(url, options) : new Original(url);
+    };
+    Wrapped.prototype = Original.prototype;
+    constants.forEach(function (key) { Wrapped[key] = Original[key]; });
+    window[name] = Wrapped;
+  }
+  wrapConstructor('WebSocket', true, ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED']);
+  wrapConstructor('EventSource', false, ['CONNECTING', 'OPEN', 'CLOSED']);
+}
+
+/**
+ * Inline <script> installing the shim for one page
+ *
+ * @param {Object} options
+ * @param {string} options.site - Site the page belongs to
+ * @param {string} options.token - Session token from createSession
+ * @returns {string} HTML
+ */
+function sessionShimScript({ site, token }) {
+  const config = JSON.stringify({ site, token, header: SESSION_HEADER, param: SESSION_PARAM }).replace(/</g, '\\u003c');
+  return `<script data-vpn-proxy="session-shim">(${installSessionShim.toString()})(${config});</script>`;
+}
+
+module.exports = { sessionShimScript };
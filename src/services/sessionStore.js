@@ -0,0 +1,286 @@
+/**
+ * Session Store - Storage backends for sessionManager
+ *
+ * Every store implements the same synchronous interface over session records
+ * { id, siteName, username, createdAt, lastAccess } (times in epoch ms):
+ *
+ *   get(id)                          → session | null
+ *   set(session)                     create or replace
+ *   touch(id, lastAccess)            sliding expiry
+ *   delete(id)
+ *   deleteSite(siteName)             → number of sessions removed
+ *   list(siteName?)                  → sessions (of one site, or all)
+ *   purge(idleBefore, createdBefore) → number of expired sessions removed
+ *   close()                          write out what is pending (process exit)
+ *
+ * Expiry policy lives in sessionManager; stores only filter by the cutoffs they are given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// File store: delay before creates/deletes and before lastAccess updates are written
+const FILE_WRITE_DELAY_MS = 100;
+const TOUCH_WRITE_DELAY_MS = 1000;
+// File store: how long the in-memory copy is used before the file is checked for changes
+const FILE_CHECK_INTERVAL_MS = 2000;
+
+function isExpired(session, idleBefore, createdBefore) {
+  return session.lastAccess < idleBefore || session.createdAt < createdBefore;
+}
+
+/**
+ * In-process Map (lost on restart)
+ */
+function createMemoryStore() {
+  const sessions = new Map();
+
+  return {
+    get: id => sessions.get(id) || null,
+    set: session => sessions.set(session.id, { ...session }),
+    touch(id, lastAccess) {
+      const session = sessions.get(id);
+      if (session) session.lastAccess = lastAccess;
+    },
+    delete: id => sessions.delete(id),
+    deleteSite(siteName) {
+      let removed = 0;
+      sessions.forEach((session, id) => {
+        if (session.siteName === siteName && sessions.delete(id)) removed++;
+      });
+      return removed;
+    },
+    list: siteName => [...sessions.values()].filter(session => !siteName || session.siteName === siteName),
+    purge(idleBefore, createdBefore) {
+      let removed = 0;
+      sessions.forEach((session, id) => {
+        if (isExpired(session, idleBefore, createdBefore) && sessions.delete(id)) removed++;
+      });
+      return removed;
+    },
+    close() {}
+  };
+}
+
+/**
+ * JSON file, cached in memory and re-read when another process changed it
+ * The file's mtime is checked at most every FILE_CHECK_INTERVAL_MS, or FILE_WRITE_DELAY_MS on
+ * a lookup miss so that a session just created by another process is found. A file that
+ * cannot be read is logged and the cached copy kept until the next check.
+ * Changes are applied in memory and written back asynchronously (temp file + atomic rename):
+ * creates and deletes within FILE_WRITE_DELAY_MS, lastAccess updates at most once a second.
+ * Unwritten changes survive a reload, so another process's writes are merged, not lost.
+ */
+function createFileStore(file) {
+  let sessions = new Map();
+  let loadedMtime = null;
+  let checkedAt = 0;
+  let flushTimer = null;
+  let flushDelay = null;
+  let pending = new Map();  // id → session not yet written, or null for a delete
+  let writing = null;       // the changes of the write in progress
+
+  const mtime = () => {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  // Pick up changes from other processes, keeping our unwritten changes on top
+  const reload = () => {
+    const current = mtime();
+    if (current === loadedMtime) return;
+    sessions = new Map(current === null
+      ? []
+      : JSON.parse(fs.readFileSync(file, 'utf8')).map(session => [session.id, session]));
+    loadedMtime = current;
+    [writing, pending].forEach(changes => changes && changes.forEach((session, id) => {
+      const stored = sessions.get(id);
+      if (!session) {
+        sessions.delete(id);
+      } else {
+        sessions.set(id, stored ? { ...session, lastAccess: Math.max(session.lastAccess, stored.lastAccess) } : session);
+      }
+    }));
+  };
+
+  const refresh = (interval = FILE_CHECK_INTERVAL_MS) => {
+    const now = Date.now();
+    if (now - checkedAt < interval) return;
+    checkedAt = now;
+    try {
+      reload();
+    } catch (err) {
+      logger.error('Session file could not be read', { file, err });
+    }
+  };
+
+  const flush = async () => {
+    flushTimer = null;
+    flushDelay = null;
+    if (writing || pending.size === 0) return;
+    writing = pending;
+    pending = new Map();
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      // Re-read first: another process may have written since our last look
+      reload();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify([...sessions.values()]));
+      await fs.promises.rename(tmpFile, file);
+      loadedMtime = mtime();
+    } catch (err) {
+      // Keep the changes for the next write (newer changes to the same session win)
+      writing.forEach((session, id) => {
+        if (!pending.has(id)) pending.set(id, session);
+      });
+      logger.error('Session file write failed', { file, err });
+    } finally {
+      writing = null;
+      if (pending.size > 0 && !flushTimer) schedule(TOUCH_WRITE_DELAY_MS);
+    }
+  };
+
+  const schedule = delay => {
+    if (flushTimer && flushDelay <= delay) return;
+    clearTimeout(flushTimer);
+    flushDelay = delay;
+    flushTimer = setTimeout(flush, delay);
+    flushTimer.unref();
+  };
+
+  const change = (id, session, delay = FILE_WRITE_DELAY_MS) => {
+    pending.set(id, session);
+    schedule(delay);
+  };
+
+  const removeWhere = predicate => {
+    refresh();
+    let removed = 0;
+    sessions.forEach((session, id) => {
+      if (!predicate(session)) return;
+      sessions.delete(id);
+      change(id, null);
+      removed++;
+    });
+    return removed;
+  };
+
+  return {
+    get(id) {
+      refresh();
+      // Another process writes a new session within FILE_WRITE_DELAY_MS
+      if (!sessions.has(id)) refresh(FILE_WRITE_DELAY_MS);
+      return sessions.get(id) || null;
+    },
+    set(session) {
+      refresh();
+      const record = { ...session };
+      sessions.set(session.id, record);
+      change(session.id, record);
+    },
+    touch(id, lastAccess) {
+      refresh();
+      const session = sessions.get(id);
+      if (!session) return;
+      session.lastAccess = lastAccess;
+      change(id, session, TOUCH_WRITE_DELAY_MS);
+    },
+    delete(id) {
+      refresh();
+      const deleted = sessions.delete(id);
+      change(id, null);
+      return deleted;
+    },
+    deleteSite: siteName => removeWhere(session => session.siteName === siteName),
+    list(siteName) {
+      refresh();
+      return [...sessions.values()].filter(session => !siteName || session.siteName === siteName);
+    },
+    purge: (idleBefore, createdBefore) => removeWhere(session => isExpired(session, idleBefore, createdBefore)),
+    // Synchronous, so it also works from an 'exit' handler
+    close() {
+      clearTimeout(flushTimer);
+      if (pending.size === 0) return;
+      reload();
+      pending.clear();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify([...sessions.values()]));
+      fs.renameSync(tmpFile, file);
+    }
+  };
+}
+
+/**
+ * SQLite database (better-sqlite3 is optional and only loaded when this store is selected)
+ */
+function createSqliteStore(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error(err.code === 'MODULE_NOT_FOUND'
+      ? 'SESSION_STORE=sqlite requires the optional better-sqlite3 package, which is not installed (npm install better-sqlite3)'
+      : `SESSION_STORE=sqlite: better-sqlite3 could not be loaded (${err.message})`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');  // Readers in other processes do not block writers
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      site TEXT NOT NULL,
+      username TEXT,
+      created_at INTEGER NOT NULL,
+      last_access INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_site ON sessions (site);
+  `);
+
+  const toSession = row => row && {
+    id: row.id, siteName: row.site, username: row.username, createdAt: row.created_at, lastAccess: row.last_access
+  };
+  const statements = {
+    get: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    set: db.prepare(`INSERT OR REPLACE INTO sessions (id, site, username, created_at, last_access)
+      VALUES (@id, @siteName, @username, @createdAt, @lastAccess)`),
+    touch: db.prepare('UPDATE sessions SET last_access = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM sessions WHERE id = ?'),
+    deleteSite: db.prepare('DELETE FROM sessions WHERE site = ?'),
+    listAll: db.prepare('SELECT * FROM sessions ORDER BY created_at'),
+    listSite: db.prepare('SELECT * FROM sessions WHERE site = ? ORDER BY created_at'),
+    purge: db.prepare('DELETE FROM sessions WHERE last_access < ? OR created_at < ?')
+  };
+
+  return {
+    get: id => toSession(statements.get.get(id)) || null,
+    set: session => statements.set.run(session),
+    touch: (id, lastAccess) => statements.touch.run(lastAccess, id),
+    delete: id => statements.delete.run(id),
+    deleteSite: siteName => statements.deleteSite.run(siteName).changes,
+    list: siteName => (siteName ? statements.listSite.all(siteName) : statements.listAll.all()).map(toSession),
+    purge: (idleBefore, createdBefore) => statements.purge.run(idleBefore, createdBefore).changes,
+    close: () => db.close()
+  };
+}
+
+/**
+ * Create the configured store
+ * @param {Object} config - config/sessions
+ */
+function createSessionStore(config) {
+  switch (config.store) {
+    case 'memory': return createMemoryStore();
+    case 'file': return createFileStore(config.file);
+    case 'sqlite': return createSqliteStore(config.sqliteFile);
+    default: throw new Error(`Unknown SESSION_STORE "${config.store}" (expected memory, file or sqlite)`);
+  }
+}
+
+module.exports = { createSessionStore };
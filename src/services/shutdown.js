@@ -0,0 +1,192 @@
+/**
+ * Shutdown - Connection draining on SIGTERM/SIGINT
+ *
+ * 1. Stop accepting connections (server.close); keep-alive clients are sent Connection: close
+ * 2. Report "draining" on /health and refuse new WebSocket upgrades
+ * 3. Send every open proxied WebSocket a close frame (1001), at a frame boundary so the
+ *    client never sees a truncated frame, and close its upstream
+ * 4. Exit once every connection is gone, or when the grace period runs out
+ *
+ * Proxied WebSockets are registered in two steps because http-proxy reports them separately:
+ * registerUpgrade(proxyReq, socket) from proxyReqWs (knows the client socket) and
+ * trackWebSocket(proxySocket) from 'open' (the upstream socket, already piped to the client).
+ */
+
+const SHUTDOWN = require('../config/shutdown');
+const { logger } = require('./logger');
+
+let draining = false;
+let inFlight = 0;
+
+// Upstream socket → client socket, between proxyReqWs and 'open'
+const pendingClients = new WeakMap();
+// Open proxied WebSockets: { client, upstream, frames, closing, closed }
+const websockets = new Set();
+
+/**
+ * Follows WebSocket frame boundaries in a byte stream (headers are parsed, payloads skipped)
+ */
+function createFrameTracker() {
+  let header = [];
+  let remaining = 0;
+
+  const headerSize = bytes => {
+    if (bytes.length < 2) return 2;
+    const length = bytes[1] & 0x7f;
+    return 2 + (length === 126 ? 2 : length === 127 ? 8 : 0) + (bytes[1] & 0x80 ? 4 : 0);
+  };
+
+  const payloadSize = bytes => {
+    const length = bytes[1] & 0x7f;
+    if (length === 126) return (bytes[2] << 8) | bytes[3];
+    if (length === 127) return Number(Buffer.from(bytes.slice(2, 10)).readBigUInt64BE());
+    return length;
+  };
+
+  return {
+    feed(chunk) {
+      let i = 0;
+      while (i < chunk.length) {
+        if (remaining > 0) {
+          const skipped = Math.min(remaining, chunk.length - i);
+          remaining -= skipped;
+          i += skipped;
+          continue;
+        }
+        header.push(chunk[i++]);
+        if (header.length === headerSize(header)) {
+          remaining = payloadSize(header);
+          header = [];
+        }
+      }
+    },
+    atBoundary: () => header.length === 0 && remaining === 0
+  };
+}
+
+function closeFrame(code, reason) {
+  const text = Buffer.from(reason).subarray(0, 123);
+  const payload = Buffer.alloc(2 + text.length);
+  payload.writeUInt16BE(code, 0);
+  text.copy(payload, 2);
+  return Buffer.concat([Buffer.from([0x88, payload.length]), payload]);
+}
+
+/**
+ * Remember the client socket of a WebSocket upgrade (call from proxyReqWs)
+ */
+function registerUpgrade(proxyReq, socket) {
+  proxyReq.once('socket', upstream => pendingClients.set(upstream, socket));
+}
+
+/**
+ * Track an established proxied WebSocket (call from the proxy 'open' event)
+ * Only observes the upstream → client bytes; http-proxy's pipe still does the forwarding.
+ */
+function trackWebSocket(proxySocket) {
+  const client = pendingClients.get(proxySocket);
+  if (!client) return;
+  pendingClients.delete(proxySocket);
+
+  const connection = { client, upstream: proxySocket, frames: createFrameTracker(), closing: false, closed: false };
+  websockets.add(connection);
+  proxySocket.on('data', chunk => {
+    connection.frames.feed(chunk);
+    if (connection.closing && connection.frames.atBoundary()) sendClose(connection);
+  });
+  const forget = () => websockets.delete(connection);
+  proxySocket.once('close', forget);
+  client.once('close', forget);
+
+  if (draining) closeWebSocket(connection);
+}
+
+function sendClose(connection) {
+  if (connection.closed) return;
+  connection.closed = true;
+  const { client, upstream } = connection;
+  upstream.unpipe(client);
+  client.unpipe(upstream);
+  client.resume();  // Discard the client's close reply so its FIN is seen
+  upstream.end();
+  if (!client.destroyed) client.end(closeFrame(SHUTDOWN.closeCode, SHUTDOWN.closeReason));
+}
+
+/**
+ * Close a WebSocket as soon as the client is not in the middle of a frame
+ */
+function closeWebSocket(connection) {
+  connection.closing = true;
+  if (connection.frames.atBoundary()) sendClose(connection);
+}
+
+/**
+ * Middleware counting in-flight requests; while draining, keep-alive connections are closed
+ * after their current response
+ */
+function drainMiddleware(req, res, next) {
+  inFlight++;
+  res.once('close', () => inFlight--);
+  if (draining) res.setHeader('Connection', 'close');
+  next();
+}
+
+function isDraining() {
+  return draining;
+}
+
+function getDrainState() {
+  return { draining, inFlight, websockets: websockets.size };
+}
+
+/**
+ * Drain and exit
+ *
+ * @param {Object[]} servers - http(s) servers to close
+ * @param {Object} [options]
+ * @param {Function} [options.onDrain] - Called once when draining starts (stop timers, ...)
+ */
+function gracefulShutdown(servers, { onDrain } = {}) {
+  if (draining) {
+    logger.warn('Second shutdown signal - exiting immediately');
+    process.exit(1);
+  }
+  draining = true;
+  logger.info('Shutting down - draining connections', {
+    graceSeconds: SHUTDOWN.graceSeconds, inFlight, websockets: websockets.size
+  });
+  if (onDrain) onDrain();
+
+  let open = servers.length;
+  const exit = reason => {
+    logger.info('Shutdown complete', { reason, inFlight, websockets: websockets.size });
+    process.exit(0);
+  };
+
+  servers.forEach(server => server.close(() => {
+    if (--open === 0) exit('drained');
+  }));
+  websockets.forEach(closeWebSocket);
+
+  // Keep-alive connections whose response was already under way when draining started
+  setInterval(() => servers.forEach(server => server.closeIdleConnections()), 1000).unref();
+
+  setTimeout(() => {
+    logger.warn('Grace period over - closing remaining connections', { inFlight, websockets: websockets.size });
+    websockets.forEach(({ client, upstream }) => {
+      client.destroy();
+      upstream.destroy();
+    });
+    servers.forEach(server => server.closeAllConnections());
+    exit('deadline');
+  }, SHUTDOWN.graceSeconds * 1000);
+}
+
+module.exports = {
+  registerUpgrade,
+  trackWebSocket,
+  drainMiddleware,
+  isDraining,
+  getDrainState,
+  gracefulShutdown
+};
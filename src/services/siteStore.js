@@ -0,0 +1,135 @@
+/**
+ * Site Store - Loads, persists and hot-reloads the site configuration
+ *
+ * SITES_FILE points to a JSON or YAML file (.json, .yaml, .yml). When it exists it
+ * replaces config/sites.js; admin API changes are written back to it in the same format.
+ * The file is watched: edits are validated and applied without a restart, and an
+ * invalid edit is rejected while the last good configuration stays active.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateSites } = require('./siteValidator');
+const { logger } = require('./logger');
+
+const SITES_FILE = path.resolve(process.env.SITES_FILE || path.join(__dirname, '../config/sites.json'));
+const RELOAD_DEBOUNCE_MS = 300;
+
+// Content of our own last write, so the watcher ignores it
+let lastWrittenContent = null;
+
+function isYaml(file) {
+  return /\.ya?ml$/i.test(file);
+}
+
+function parseSites(content, file) {
+  const sites = isYaml(file) ? yaml.load(content) : JSON.parse(content);
+  return sites || {};
+}
+
+function serializeSites(sites, file) {
+  return isYaml(file)
+    ? yaml.dump(sites, { noRefs: true, lineWidth: 120 })
+    : JSON.stringify(sites, null, 2) + '\n';
+}
+
+/**
+ * Load the site configuration (SITES_FILE if present, otherwise config/sites.js)
+ */
+function loadSites() {
+  if (fs.existsSync(SITES_FILE)) {
+    logger.info('Loading sites', { file: SITES_FILE });
+    return parseSites(fs.readFileSync(SITES_FILE, 'utf8'), SITES_FILE);
+  }
+  // Deep copy so runtime changes never mutate the module cache
+  return JSON.parse(JSON.stringify(require('../config/sites')));
+}
+
+/**
+ * Persist the site configuration to SITES_FILE
+ * Written to a temp file and renamed so a crash never leaves a half-written config.
+ * Throws when the file cannot be written (SITES_FILE is then unchanged).
+ */
+function saveSites(sites) {
+  const content = serializeSites(sites, SITES_FILE);
+  const tmpFile = `${SITES_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  try {
+    fs.renameSync(tmpFile, SITES_FILE);
+  } catch (err) {
+    fs.rmSync(tmpFile, { force: true });
+    throw err;
+  }
+  lastWrittenContent = content;
+  logger.info('Sites saved', { file: SITES_FILE });
+}
+
+/**
+ * Re-read SITES_FILE and apply it to the live configuration (mutated in place)
+ * @returns {string[]|null} Names of added/changed/removed sites, or null if rejected
+ */
+function reloadSites(sites) {
+  let next;
+  try {
+    next = parseSites(fs.readFileSync(SITES_FILE, 'utf8'), SITES_FILE);
+  } catch (err) {
+    logger.error('Config reload rejected - keeping the last good configuration', { file: SITES_FILE, err });
+    return null;
+  }
+
+  const errors = validateSites(next);
+  if (errors.length > 0) {
+    logger.error('Config reload rejected - keeping the last good configuration', { file: SITES_FILE, errors });
+    return null;
+  }
+
+  const names = new Set([...Object.keys(sites), ...Object.keys(next)]);
+  const changed = [...names].filter(name => JSON.stringify(sites[name]) !== JSON.stringify(next[name]));
+
+  changed.forEach(name => {
+    if (next[name]) {
+      sites[name] = next[name];
+    } else {
+      delete sites[name];
+    }
+  });
+
+  logger.info('Config reloaded', { file: SITES_FILE, changed });
+  return changed;
+}
+
+/**
+ * Watch SITES_FILE and apply edits live
+ * The directory is watched (not the file) so editors that save via rename are picked up.
+ *
+ * @param {Object} sites - Live site configuration
+ * @param {Function} onChange - Called with the names of changed sites
+ */
+function watchSites(sites, onChange) {
+  const dir = path.dirname(SITES_FILE);
+  const base = path.basename(SITES_FILE);
+  let timer = null;
+
+  if (!fs.existsSync(dir)) {
+    logger.warn('Config directory does not exist - hot reload disabled', { dir });
+    return null;
+  }
+
+  const watcher = fs.watch(dir, (event, filename) => {
+    if (filename && filename !== base) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (!fs.existsSync(SITES_FILE)) return;
+      if (fs.readFileSync(SITES_FILE, 'utf8') === lastWrittenContent) return;
+      const changed = reloadSites(sites);
+      if (changed && changed.length > 0) onChange(changed);
+    }, RELOAD_DEBOUNCE_MS);
+  });
+
+  watcher.on('error', err => logger.error('Config watcher error', { err }));
+  logger.info('Watching sites file for changes', { file: SITES_FILE });
+  return watcher;
+}
+
+module.exports = { SITES_FILE, loadSites, saveSites, reloadSites, watchSites };
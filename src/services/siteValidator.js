@@ -0,0 +1,208 @@
+/**
+ * Site Validator - Schema and address-plan checks for the site configuration
+ *
+ * Addressing model (see config/sites.js):
+ * - vpnIp and NeoCore targets:   10.9.0.0/24 (VPN transport)
+ * - device virtualIp and target: 172.16.0.0/12 (virtual routed networks), unique across all sites
+ */
+
+const RATE_LIMIT = require('../config/rateLimit');
+const { frontendVersions } = require('./assetsService');
+
+const VPN_NETWORK = { cidr: '10.9.0.0/24', base: ipToInt('10.9.0.0'), bits: 24 };
+const VIRTUAL_NETWORK = { cidr: '172.16.0.0/12', base: ipToInt('172.16.0.0'), bits: 12 };
+
+// Site names and device IDs become URL path segments
+const URL_SAFE = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Path segments the router uses itself; a device with one of these IDs would be shadowed
+const RESERVED_SEGMENTS = ['vpn', 'neocore', 'devices', 'api', 'socket.io', 'static', 'health', 'admin', 'auth'];
+
+/**
+ * Parse a dotted IPv4 address to an unsigned integer (null if invalid)
+ */
+function ipToInt(ip) {
+  if (typeof ip !== 'string') return null;
+  const parts = ip.split('.');
+  if (parts.length !== 4 || !parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255)) return null;
+  return parts.reduce((acc, p) => acc * 256 + Number(p), 0);
+}
+
+function inNetwork(ip, network) {
+  const value = ipToInt(ip);
+  if (value === null) return false;
+  const size = 2 ** (32 - network.bits);
+  return value >= network.base && value < network.base + size;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check an http(s) target URL, optionally requiring its host
+ */
+function checkTarget(errors, field, value, expectedHost) {
+  if (typeof value !== 'string' || !value) {
+    errors.push(`${field}: is required`);
+    return;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    errors.push(`${field}: "${value}" is not a valid URL`);
+    return;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    errors.push(`${field}: "${value}" must use http:// or https://`);
+  } else if (expectedHost && url.hostname !== expectedHost) {
+    errors.push(`${field}: host "${url.hostname}" does not match ${expectedHost}`);
+  }
+}
+
+/**
+ * Check a `limits` override (see config/rateLimit); requestsPerSecond may be fractional
+ */
+function checkLimits(errors, field, limits) {
+  if (limits === undefined) return;
+  if (!isPlainObject(limits)) {
+    errors.push(`${field}: must be an object`);
+    return;
+  }
+  Object.entries(limits).forEach(([name, value]) => {
+    if (!(name in RATE_LIMIT.defaults)) {
+      errors.push(`${field}.${name}: unknown limit (expected ${Object.keys(RATE_LIMIT.defaults).join(', ')})`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0
+      || (name !== 'requestsPerSecond' && !Number.isInteger(value))) {
+      errors.push(`${field}.${name}: "${value}" must be a non-negative ${name === 'requestsPerSecond' ? 'number' : 'integer'}`);
+    }
+  });
+}
+
+/**
+ * Check a `cache` override (see config/cache)
+ */
+function checkCache(errors, field, cache) {
+  if (cache === undefined) return;
+  if (!isPlainObject(cache)) {
+    errors.push(`${field}: must be an object`);
+    return;
+  }
+  Object.keys(cache).filter(name => !['enabled', 'staticTtl'].includes(name))
+    .forEach(name => errors.push(`${field}.${name}: unknown setting (expected enabled, staticTtl)`));
+  if (cache.enabled !== undefined && typeof cache.enabled !== 'boolean') {
+    errors.push(`${field}.enabled: must be true or false`);
+  }
+  if (cache.staticTtl === undefined) return;
+  if (!isPlainObject(cache.staticTtl)) {
+    errors.push(`${field}.staticTtl: must be an object of extension → seconds`);
+    return;
+  }
+  Object.entries(cache.staticTtl).forEach(([extension, seconds]) => {
+    if (!/^[a-z0-9]+$/.test(extension)) {
+      errors.push(`${field}.staticTtl.${extension}: extensions are lowercase without the dot (e.g. "js")`);
+    } else if (!Number.isInteger(seconds) || seconds < 0) {
+      errors.push(`${field}.staticTtl.${extension}: "${seconds}" must be a non-negative integer`);
+    }
+  });
+}
+
+/**
+ * Validate one site (address uniqueness is tracked across sites via `seen`)
+ */
+function validateSite(errors, key, site, seen) {
+  if (!isPlainObject(site)) {
+    errors.push(`${key}: must be an object`);
+    return;
+  }
+
+  if (!URL_SAFE.test(key)) {
+    errors.push(`${key}: site key must be URL-safe (letters, digits, "-" and "_")`);
+  }
+  if (site.name !== key) {
+    errors.push(`${key}.name: "${site.name}" must match its key "${key}"`);
+  }
+
+  if (!inNetwork(site.vpnIp, VPN_NETWORK)) {
+    errors.push(`${key}.vpnIp: "${site.vpnIp}" is not inside ${VPN_NETWORK.cidr}`);
+  } else if (seen.vpnIps.has(site.vpnIp)) {
+    errors.push(`${key}.vpnIp: "${site.vpnIp}" is already used by ${seen.vpnIps.get(site.vpnIp)}`);
+  } else {
+    seen.vpnIps.set(site.vpnIp, key);
+  }
+
+  checkLimits(errors, `${key}.limits`, site.limits);
+  checkCache(errors, `${key}.cache`, site.cache);
+
+  if (site.frontendVersion !== undefined && !frontendVersions().includes(site.frontendVersion)) {
+    errors.push(`${key}.frontendVersion: "${site.frontendVersion}" is not a deployed frontend build (available: ${frontendVersions().join(', ') || 'none'})`);
+  }
+
+  if (site.neocore !== undefined) {
+    if (!isPlainObject(site.neocore)) {
+      errors.push(`${key}.neocore: must be an object`);
+    } else if (site.neocore.enabled) {
+      checkTarget(errors, `${key}.neocore.target`, site.neocore.target, site.vpnIp);
+      if (site.neocore.wsTarget !== undefined) {
+        checkTarget(errors, `${key}.neocore.wsTarget`, site.neocore.wsTarget, site.vpnIp);
+      }
+    }
+  }
+
+  if (site.devices === undefined) return;
+  if (!isPlainObject(site.devices)) {
+    errors.push(`${key}.devices: must be an object`);
+    return;
+  }
+  if (!site.devices.enabled) return;
+  if (!isPlainObject(site.devices.deviceList)) {
+    errors.push(`${key}.devices.deviceList: is required when devices are enabled`);
+    return;
+  }
+
+  Object.entries(site.devices.deviceList).forEach(([deviceId, device]) => {
+    const field = `${key}.devices.deviceList.${deviceId}`;
+    if (!URL_SAFE.test(deviceId)) {
+      errors.push(`${field}: device ID must be URL-safe (letters, digits, "-" and "_")`);
+    } else if (RESERVED_SEGMENTS.includes(deviceId.toLowerCase())) {
+      errors.push(`${field}: device ID "${deviceId}" is a reserved route segment`);
+    }
+    if (!isPlainObject(device)) {
+      errors.push(`${field}: must be an object`);
+      return;
+    }
+
+    if (!inNetwork(device.virtualIp, VIRTUAL_NETWORK)) {
+      errors.push(`${field}.virtualIp: "${device.virtualIp}" is not inside ${VIRTUAL_NETWORK.cidr}`);
+    } else if (seen.virtualIps.has(device.virtualIp)) {
+      errors.push(`${field}.virtualIp: "${device.virtualIp}" is already used by ${seen.virtualIps.get(device.virtualIp)}`);
+    } else {
+      seen.virtualIps.set(device.virtualIp, `${key}/${deviceId}`);
+    }
+
+    checkTarget(errors, `${field}.target`, device.target, device.virtualIp);
+
+    if (device.actualIp !== undefined && ipToInt(device.actualIp) === null) {
+      errors.push(`${field}.actualIp: "${device.actualIp}" is not a valid IPv4 address`);
+    }
+
+    checkLimits(errors, `${field}.limits`, device.limits);
+    checkCache(errors, `${field}.cache`, device.cache);
+  });
+}
+
+/**
+ * Validate a full site configuration
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateSites(sites) {
+  if (!isPlainObject(sites)) return ['Site configuration must be an object keyed by site name'];
+
+  const errors = [];
+  const seen = { vpnIps: new Map(), virtualIps: new Map() };
+  Object.entries(sites).forEach(([key, site]) => validateSite(errors, key, site, seen));
+  return errors;
+}
+
+module.exports = { validateSites, RESERVED_SEGMENTS };
@@ -0,0 +1,159 @@
+/**
+ * TLS Server - Built-in HTTPS listeners with certificate hot reload
+ *
+ * Every listener in config/tls (or TLS_CONFIG_FILE) gets its own https.Server serving the
+ * same Express app; index.js hands them to the WebSocket upgrade dispatcher and to graceful
+ * shutdown like the plain HTTP server.
+ *
+ * Certificate, key and CA files are polled (fs.watchFile, so renewals that swap symlinks are
+ * seen too). A change installs the new files with server.setSecureContext: established
+ * connections keep their session, new handshakes get the new certificate. A half-written or
+ * mismatched pair is logged and the previous certificate stays in use.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const yaml = require('js-yaml');
+const TLS = require('../config/tls');
+const { logger } = require('./logger');
+
+// Cert and key are usually replaced one after the other
+const RELOAD_DEBOUNCE_MS = 500;
+
+// Effective settings (config/tls merged with TLS_CONFIG_FILE)
+let settings = TLS;
+// One entry per HTTPS listener: { server, listener, files, timer }
+const listeners = [];
+
+/**
+ * Read TLS_CONFIG_FILE (JSON or YAML) over the environment settings
+ */
+function loadTlsConfig() {
+  if (!TLS.configFile) return TLS;
+  const content = fs.readFileSync(TLS.configFile, 'utf8');
+  const file = (/\.ya?ml$/i.test(TLS.configFile) ? yaml.load(content) : JSON.parse(content)) || {};
+  return { ...TLS, ...file, hsts: { ...TLS.hsts, ...file.hsts } };
+}
+
+/**
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function checkListeners(config) {
+  if (!Array.isArray(config.listeners)) return ['listeners: must be an array'];
+
+  const errors = [];
+  config.listeners.forEach((listener, index) => {
+    const field = `listeners[${index}]`;
+    if (!Number.isInteger(listener?.port) || listener.port < 0 || listener.port > 65535) {
+      errors.push(`${field}.port: "${listener?.port}" must be a port number`);
+    }
+    ['cert', 'key', 'ca'].forEach(name => {
+      const file = listener?.[name];
+      if (file === undefined && name === 'ca') return;
+      if (typeof file !== 'string' || !file) {
+        errors.push(`${field}.${name}: is required`);
+      } else if (!fs.existsSync(file)) {
+        errors.push(`${field}.${name}: "${file}" does not exist`);
+      }
+    });
+  });
+  return errors;
+}
+
+function readCredentials(listener) {
+  return {
+    cert: fs.readFileSync(listener.cert),
+    key: fs.readFileSync(listener.key),
+    ca: listener.ca ? fs.readFileSync(listener.ca) : undefined
+  };
+}
+
+function reloadCertificates(entry) {
+  const { port, cert } = entry.listener;
+  try {
+    entry.server.setSecureContext(readCredentials(entry.listener));
+    logger.info('TLS certificate reloaded', { port, cert });
+  } catch (err) {
+    logger.error('TLS certificate reload failed - keeping the previous certificate', { port, cert, err });
+  }
+}
+
+function watchCertificates(entry) {
+  entry.onChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.ino === previous.ino) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => reloadCertificates(entry), RELOAD_DEBOUNCE_MS);
+    entry.timer.unref();
+  };
+  entry.files.forEach(file => fs.watchFile(file, { interval: TLS.watchIntervalMs, persistent: false }, entry.onChange));
+}
+
+/**
+ * Create the configured HTTPS servers (not yet listening)
+ * Throws with `errors` when the configuration or a certificate is invalid.
+ *
+ * @param {Object} app - Express app
+ * @returns {Object[]} https.Server instances (empty when TLS is not configured)
+ */
+function createTlsServers(app) {
+  settings = loadTlsConfig();
+  const errors = checkListeners(settings);
+  if (errors.length > 0) {
+    throw Object.assign(new Error('Invalid TLS configuration'), { errors });
+  }
+
+  settings.listeners.forEach(listener => {
+    const server = https.createServer(readCredentials(listener), app);
+    const entry = { server, listener, files: [listener.cert, listener.key, listener.ca].filter(Boolean), timer: null };
+    watchCertificates(entry);
+    listeners.push(entry);
+  });
+  return listeners.map(entry => entry.server);
+}
+
+/**
+ * Start every HTTPS server on its configured port
+ */
+function listenTlsServers() {
+  listeners.forEach(({ server, listener }) => {
+    const host = listener.host || process.env.HOST || '0.0.0.0';
+    server.listen(listener.port, host, () => {
+      logger.info('HTTPS listening', { url: `https://${host}:${listener.port}`, cert: listener.cert });
+    });
+  });
+}
+
+/**
+ * Stop polling certificate files (shutdown)
+ */
+function stopCertificateWatch() {
+  listeners.forEach(entry => {
+    clearTimeout(entry.timer);
+    entry.files.forEach(file => fs.unwatchFile(file, entry.onChange));
+  });
+}
+
+/**
+ * HSTS on HTTPS responses; optional redirect of plain HTTP to the first HTTPS listener
+ * /health is never redirected so plain-HTTP load balancer probes keep working.
+ */
+function tlsMiddleware(req, res, next) {
+  if (req.secure) {
+    const { maxAge, includeSubDomains, preload } = settings.hsts || {};
+    if (maxAge > 0) {
+      res.setHeader('Strict-Transport-Security',
+        `max-age=${maxAge}${includeSubDomains ? '; includeSubDomains' : ''}${preload ? '; preload' : ''}`);
+    }
+    return next();
+  }
+
+  const host = (req.headers.host || '').replace(/:\d+$/, '');
+  if (!settings.redirectHttp || listeners.length === 0 || req.path === '/health' || !host) return next();
+
+  const { port } = listeners[0].listener;
+  const location = `https://${host}${port === 443 ? '' : `:${port}`}${req.originalUrl}`;
+  // 308 keeps the method and body of API calls
+  res.redirect(['GET', 'HEAD'].includes(req.method) ? 301 : 308, location);
+}
+
+module.exports = { createTlsServers, listenTlsServers, stopCertificateWatch, tlsMiddleware };
@@ -0,0 +1,14 @@
+/**
+ * Print a scrypt password hash for config/users.js
+ * Usage: npm run hash-password -- 'the-password'
+ */
+
+const { hashPassword } = require('../services/authService');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
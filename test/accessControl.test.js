@@ -0,0 +1,95 @@
+/**
+ * Access control: grant parsing, the role a user gets from their grants, and what
+ * authorize() lets each role do.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeGrants, getSiteRole, getDeviceRole, isAdmin, authorize, visibleSites
+} = require('../src/services/accessControl');
+
+const user = (...grants) => ({ username: 'user', grants: normalizeGrants(grants) });
+
+test('Grants: strings and objects, invalid entries dropped', () => {
+  assert.deepEqual(normalizeGrants(['site1:viewer', 'site1/device2:operator', { site: '*', role: 'admin' }]), [
+    { site: 'site1', device: null, role: 'viewer' },
+    { site: 'site1', device: 'device2', role: 'operator' },
+    { site: '*', device: null, role: 'admin' }
+  ]);
+  assert.deepEqual(normalizeGrants('site1:operator'), [{ site: 'site1', device: null, role: 'operator' }]);
+  assert.deepEqual(normalizeGrants(['site1:owner', ':viewer', 'site1', null]), []);
+  assert.deepEqual(normalizeGrants(undefined), []);
+});
+
+test('Roles: the highest grant wins, site grants cover devices, device grants only their device', () => {
+  const mixed = user('site1:viewer', '*:operator', 'site2/device1:admin');
+  assert.equal(getSiteRole(mixed, 'site1'), 'operator', '"*" outranks the site\'s own viewer grant');
+  assert.equal(getSiteRole(mixed, 'site2'), 'operator');
+  assert.equal(getDeviceRole(mixed, 'site2', 'device1'), 'admin');
+  assert.equal(isAdmin(mixed), false, 'a device admin is not a global administrator');
+
+  const device = user('site1/device2:operator');
+  assert.equal(getSiteRole(device, 'site1'), null);
+  assert.equal(getDeviceRole(device, 'site1', 'device2'), 'operator');
+  assert.equal(getDeviceRole(device, 'site1', 'device3'), null);
+  assert.equal(getDeviceRole(device, 'site2', 'device2'), null);
+
+  const viewer = user('site1:viewer', 'site1/device2:operator');
+  assert.equal(getDeviceRole(viewer, 'site1', 'device2'), 'operator', 'a device grant raises a site role');
+  assert.equal(getDeviceRole(viewer, 'site1', 'device3'), 'viewer');
+
+  assert.equal(getSiteRole(null, 'site1'), null);
+  assert.equal(isAdmin(user('*:admin')), true);
+  assert.equal(isAdmin(user('site1:admin')), false);
+});
+
+// Run authorize() for one request: 'next' or the refusal's status and body
+function check(middleware, requestUser, method) {
+  let outcome = null;
+  const res = {
+    status(code) { outcome = { status: code }; return this; },
+    json(body) { outcome.body = body; }
+  };
+  const log = { warn() {} };
+  middleware({ user: requestUser, method, log }, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test('authorize: viewers read, operators and admins write, others are refused', () => {
+  const neocore = authorize('site1', null, { readOnly: true });
+  const device = authorize('site1', 'device2', { readOnly: true });
+  const viewer = user('site1:viewer');
+  const operator = user('site1:operator');
+  const admin = user('*:admin');
+
+  for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+    assert.equal(check(neocore, viewer, method), 'next');
+  }
+  assert.deepEqual(check(neocore, viewer, 'POST'), { status: 403, body: { error: 'Read-only access', role: 'viewer', method: 'POST' } });
+  assert.deepEqual(check(device, viewer, 'DELETE'), { status: 403, body: { error: 'Read-only access', role: 'viewer', method: 'DELETE' } });
+
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    assert.equal(check(neocore, operator, method), 'next');
+    assert.equal(check(device, admin, method), 'next');
+  }
+  assert.equal(check(authorize('site1'), viewer, 'POST'), 'next', 'without readOnly every method is allowed');
+
+  assert.deepEqual(check(neocore, user('site2:admin'), 'GET'), { status: 403, body: { error: 'Access denied', site: 'site1', deviceId: undefined } });
+  assert.deepEqual(check(device, user('site1/device3:operator'), 'GET'), { status: 403, body: { error: 'Access denied', site: 'site1', deviceId: 'device2' } });
+  assert.equal(check(neocore, null, 'GET').status, 403);
+});
+
+test('visibleSites: sites with a site grant, or only the granted devices', () => {
+  const sites = {
+    site1: { name: 'site1', devices: { deviceList: { device1: {}, device2: {} } } },
+    site2: { name: 'site2', devices: { deviceList: { device1: {} } } },
+    site3: { name: 'site3' }
+  };
+  const visible = visibleSites(user('site1:viewer', 'site2/device1:operator'), sites)
+    .map(({ site, role, deviceIds }) => ({ site: site.name, role, deviceIds }));
+  assert.deepEqual(visible, [
+    { site: 'site1', role: 'viewer', deviceIds: ['device1', 'device2'] },
+    { site: 'site2', role: null, deviceIds: ['device1'] }
+  ]);
+});
@@ -0,0 +1,118 @@
+/**
+ * Admin API: administrators only, validation of the whole configuration, and changes that
+ * are saved to SITES_FILE before they are applied.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neo-proxy-admin-'));
+process.env.SITES_FILE = path.join(dir, 'sites.json');
+process.env.AUTH_SECRET = 'admin-api-test';
+process.env.AUTH_USERS_FILE = path.join(__dirname, 'fixtures/users.json');
+process.env.AUDIT_LOG_DISABLED = '1';
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./helpers/proxyApp');
+
+const SITE1 = {
+  name: 'site1',
+  vpnIp: '10.9.0.5',
+  neocore: { enabled: true, target: 'http://10.9.0.5:80' },
+  devices: {
+    enabled: true,
+    deviceList: { device1: { virtualIp: '172.16.2.100', target: 'http://172.16.2.100' } }
+  }
+};
+
+let sites;
+let proxy;
+const tokens = {};
+
+before(async () => {
+  sites = { site1: JSON.parse(JSON.stringify(SITE1)) };
+  proxy = await startProxy(sites);
+  tokens.admin = await proxy.signIn('admin');
+  tokens.operator = await proxy.signIn('operator');
+});
+
+after(() => {
+  proxy.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function admin(method, urlPath, body, username = 'admin') {
+  return fetch(`${proxy.url}/admin${urlPath}`, {
+    method,
+    headers: { authorization: `Bearer ${tokens[username]}`, 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+const saved = () => JSON.parse(fs.readFileSync(process.env.SITES_FILE, 'utf8'));
+
+test('Only global administrators', async () => {
+  const res = await admin('GET', '/sites', undefined, 'operator');
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { error: 'Administrator access required' });
+});
+
+test('Invalid changes are rejected with every error, and nothing is changed', async () => {
+  const res = await admin('POST', '/sites', { name: 'site2', vpnIp: '10.9.0.5', neocore: { enabled: true, target: 'http://10.9.0.9' } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    error: 'Invalid site configuration',
+    errors: [
+      'site2.vpnIp: "10.9.0.5" is already used by site1',
+      'site2.neocore.target: host "10.9.0.9" does not match 10.9.0.5'
+    ]
+  });
+  assert.equal(sites.site2, undefined);
+  assert.equal(fs.existsSync(process.env.SITES_FILE), false);
+
+  const device = await admin('PATCH', '/sites/site1/devices/device1', { virtualIp: '192.168.1.10' });
+  assert.equal(device.status, 400);
+  assert.equal(sites.site1.devices.deviceList.device1.virtualIp, '172.16.2.100');
+
+  assert.equal((await admin('POST', '/sites', ['site2'])).status, 400, 'body must be an object');
+  assert.equal((await admin('POST', '/sites', { name: 'site1', vpnIp: '10.9.0.6' })).status, 409);
+  assert.equal((await admin('PATCH', '/sites/nowhere', {})).status, 404);
+});
+
+test('Valid changes are saved and applied', async () => {
+  const created = await admin('PUT', '/sites/site2', { vpnIp: '10.9.0.6', neocore: { enabled: true, target: 'http://10.9.0.6' } });
+  assert.equal(created.status, 201);
+  assert.equal(sites.site2.name, 'site2');
+
+  const patched = await admin('PATCH', '/sites/site1/devices/device1', { name: 'Edge Device' });
+  assert.equal(patched.status, 200);
+  assert.equal((await patched.json()).name, 'Edge Device');
+
+  assert.deepEqual(Object.keys(saved()), ['site1', 'site2']);
+  assert.equal(saved().site1.devices.deviceList.device1.name, 'Edge Device');
+
+  assert.equal((await admin('DELETE', '/sites/site2')).status, 204);
+  assert.deepEqual(Object.keys(saved()), ['site1']);
+});
+
+test('A change that cannot be saved is not applied either', async () => {
+  const content = fs.readFileSync(process.env.SITES_FILE, 'utf8');
+  fs.mkdirSync(`${process.env.SITES_FILE}.tmp`);   // The temp file cannot be written
+  try {
+    const site = await admin('PATCH', '/sites/site1', { vpnIp: '10.9.0.7', neocore: { target: 'http://10.9.0.7:80' } });
+    assert.equal(site.status, 500);
+    assert.equal((await site.json()).error, 'Site configuration could not be saved; nothing was changed');
+
+    const device = await admin('DELETE', '/sites/site1/devices/device1');
+    assert.equal(device.status, 500);
+  } finally {
+    fs.rmdirSync(`${process.env.SITES_FILE}.tmp`);
+  }
+
+  assert.equal(sites.site1.vpnIp, '10.9.0.5');
+  assert.ok(sites.site1.devices.deviceList.device1);
+  assert.equal(fs.readFileSync(process.env.SITES_FILE, 'utf8'), content);
+});
@@ -0,0 +1,91 @@
+/**
+ * Frontend builds: serving from memory, and the fallback for a version that is not deployed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neo-proxy-frontend-'));
+process.env.FRONTEND_BUILD_DIR = path.join(dir, 'build');
+process.env.FRONTEND_BUILDS_DIR = path.join(dir, 'builds');
+process.env.LOG_LEVEL = 'warn';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { loadFrontend, loadVersion, serveAsset } = require('../src/services/assetsService');
+
+let server;
+let url;
+
+function deploy(buildDir, content) {
+  fs.mkdirSync(buildDir, { recursive: true });
+  fs.writeFileSync(path.join(buildDir, 'asset-manifest.json'), '{"files":{},"entrypoints":[]}');
+  fs.writeFileSync(path.join(buildDir, 'manifest.json'), content);
+}
+
+before(async () => {
+  deploy(process.env.FRONTEND_BUILD_DIR, '{"name":"default"}');
+  fs.mkdirSync(process.env.FRONTEND_BUILDS_DIR);
+  loadFrontend();
+
+  const app = express();
+  app.get('/:version/*', (req, res) => {
+    if (!serveAsset(req, res, `/${req.params[0]}`, req.params.version)) res.status(404).end();
+  });
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Warnings logged while fn runs
+async function warnings(fn) {
+  const write = process.stderr.write;
+  const lines = [];
+  process.stderr.write = chunk => lines.push(JSON.parse(chunk).msg);
+  try {
+    await fn();
+  } finally {
+    process.stderr.write = write;
+  }
+  return lines;
+}
+
+test('A version that is not deployed falls back to the default, looked up and reported once', async () => {
+  const existsSync = fs.existsSync;
+  const lookups = [];
+  fs.existsSync = file => {
+    if (String(file).includes('9.9.9')) lookups.push(file);
+    return existsSync(file);
+  };
+  let logged;
+  try {
+    logged = await warnings(async () => {
+      for (let i = 0; i < 5; i++) {
+        const res = await fetch(`${url}/9.9.9/manifest.json`);
+        assert.equal(await res.text(), '{"name":"default"}');
+      }
+    });
+  } finally {
+    fs.existsSync = existsSync;
+  }
+
+  assert.deepEqual(logged, ['Frontend version not found - serving the default build']);
+  assert.equal(lookups.length, 1);
+});
+
+test('Loading the version once it is deployed (as a rollout does) serves it', async () => {
+  deploy(path.join(process.env.FRONTEND_BUILDS_DIR, '9.9.9'), '{"name":"9.9.9"}');
+  assert.ok(loadVersion('9.9.9'));
+
+  const res = await fetch(`${url}/9.9.9/manifest.json`);
+  assert.equal(await res.text(), '{"name":"9.9.9"}');
+  assert.equal(res.headers.get('cache-control'), 'public, max-age=3600');
+});
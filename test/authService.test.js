@@ -0,0 +1,103 @@
+/**
+ * Authentication: token types (a session token is not an OIDC state and vice versa) and
+ * the proxy's own credentials kept away from upstreams.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+process.env.AUTH_SECRET = 'auth-service-test';
+process.env.AUTH_USERS_FILE = path.join(__dirname, 'fixtures/users.json');
+// Never contacted: every request below is refused before discovery
+process.env.OIDC_ISSUER = 'http://127.0.0.1:9';
+process.env.OIDC_CLIENT_ID = 'neo-proxy';
+process.env.AUDIT_LOG_DISABLED = '1';
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./helpers/proxyApp');
+const { stripCredentials, hasUpstreamCredentials } = require('../src/services/authService');
+
+let proxy;
+
+before(async () => {
+  proxy = await startProxy({
+    site1: { name: 'site1', vpnIp: '10.9.0.5', neocore: { enabled: true, target: 'http://10.9.0.5:80' }, devices: { enabled: false } }
+  });
+});
+
+after(() => {
+  proxy.server.close();
+});
+
+// A token signed with AUTH_SECRET, as the service signs its own
+function forge(payload) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({ iat: now, exp: now + 600, ...payload })).toString('base64url');
+  return `${body}.${crypto.createHmac('sha256', process.env.AUTH_SECRET).update(body).digest('base64url')}`;
+}
+
+const me = token => fetch(`${proxy.url}/auth/me`, { headers: { authorization: `Bearer ${token}` } });
+
+test('A signed-in user\'s session token authenticates', async () => {
+  const res = await me(await proxy.signIn('operator'));
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).user.username, 'operator');
+});
+
+test('An OIDC state token is not a session, whatever it claims', async () => {
+  const state = forge({ typ: 'oidc-state', sub: 'admin', provider: 'oidc', grants: ['*:admin'], state: 's', nonce: 'n' });
+  assert.equal((await me(state)).status, 401);
+
+  const api = await fetch(`${proxy.url}/vpn/site1/neocore/api/status`, { headers: { authorization: `Bearer ${state}` } });
+  assert.equal(api.status, 401);
+
+  const untyped = forge({ sub: 'admin', provider: 'oidc', grants: ['*:admin'] });
+  assert.equal((await me(untyped)).status, 401);
+});
+
+test('A session token is not an OIDC state: the callback refuses it before calling the provider', async () => {
+  const session = forge({ typ: 'session', sub: 'admin', provider: 'local', state: 's', nonce: 'n', verifier: 'v', next: '/' });
+  const res = await fetch(`${proxy.url}/auth/oidc/callback?code=c&state=s`, { headers: { cookie: `vpn-oidc=${session}` } });
+  assert.equal(res.status, 400);
+  assert.match(await res.text(), /Sign-in expired/);
+});
+
+test('Tampered and expired tokens are refused', async () => {
+  const token = await proxy.signIn('viewer');
+  const [body, signature] = token.split('.');
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  const elevated = Buffer.from(JSON.stringify({ ...payload, sub: 'admin' })).toString('base64url');
+  assert.equal((await me(`${elevated}.${signature}`)).status, 401);
+
+  const expired = forge({ typ: 'session', sub: 'viewer', provider: 'local', exp: 1 });
+  assert.equal((await me(expired)).status, 401);
+});
+
+// The parts of http.ClientRequest that stripCredentials uses
+function proxyRequest(headers) {
+  return {
+    headers: { ...headers },
+    getHeader(name) { return this.headers[name]; },
+    setHeader(name, value) { this.headers[name] = value; },
+    removeHeader(name) { delete this.headers[name]; }
+  };
+}
+
+test('stripCredentials: the proxy\'s Bearer token and cookies stay here, the device\'s go through', () => {
+  const bearer = proxyRequest({ authorization: 'Bearer abc', cookie: 'vpn-auth=abc; sid=42; vpn-oidc=def; lang=en' });
+  stripCredentials(bearer);
+  assert.deepEqual(bearer.headers, { cookie: 'sid=42; lang=en' });
+
+  const basic = proxyRequest({ authorization: 'Basic YWRtaW46YWRtaW4=', cookie: 'vpn-auth=abc' });
+  stripCredentials(basic);
+  assert.deepEqual(basic.headers, { authorization: 'Basic YWRtaW46YWRtaW4=' });
+});
+
+test('hasUpstreamCredentials: only what stripCredentials forwards counts', () => {
+  const request = headers => ({ headers });
+  assert.equal(hasUpstreamCredentials(request({ authorization: 'Bearer abc', cookie: 'vpn-auth=abc; vpn-site=site1' })), false);
+  assert.equal(hasUpstreamCredentials(request({ authorization: 'Digest username="admin"' })), true);
+  assert.equal(hasUpstreamCredentials(request({ cookie: 'vpn-auth=abc; sid=42' })), true);
+});
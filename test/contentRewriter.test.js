@@ -0,0 +1,47 @@
+/**
+ * Streaming body rewriter: the recorded bodies in fixtures/device-webui must come out
+ * the same whatever the chunk boundaries (tags, CSS tokens and scripts split across writes).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBodyRewriter } = require('../src/services/contentRewriter');
+const { loadRecording } = require('./helpers/replayUpstream');
+
+const recording = loadRecording('device-webui');
+
+const OPTIONS = {
+  serviceType: 'devices',
+  prefix: '/vpn/site1/devices/device1',
+  upstreamHosts: ['172.16.2.100'],
+  host: 'proxy.example.com'
+};
+
+function rewrite(path, chunkSize) {
+  const response = recording.responses[path];
+  const text = recording.bodyOf(response).toString('utf8');
+  const rewriter = createBodyRewriter(response.headers['content-type'], { ...OPTIONS, documentPath: path });
+
+  let out = '';
+  for (let i = 0; i < text.length; i += chunkSize) out += rewriter.write(text.slice(i, i + chunkSize));
+  return out + rewriter.end();
+}
+
+['/ui/index.html', '/ui/css/main.css', '/js/app.js'].forEach(path => {
+  test(`${path} rewrites the same in any chunk size`, () => {
+    const whole = rewrite(path, Infinity);
+    assert.ok(whole.includes(OPTIONS.prefix), 'fixture has URLs to rewrite');
+    [1, 2, 3, 7, 64].forEach(size => assert.equal(rewrite(path, size), whole, `chunks of ${size}`));
+  });
+});
+
+test('NeoCore pages resolve relative URLs in the browser and get no device shim', () => {
+  const html = recording.bodyOf(recording.responses['/ui/index.html']).toString('utf8');
+  const rewriter = createBodyRewriter('text/html', { ...OPTIONS, serviceType: 'neocore', prefix: '/vpn/site1/neocore', documentPath: '/' });
+  const out = rewriter.write(html) + rewriter.end();
+
+  assert.ok(out.includes('<img src="img/logo.png"'));
+  assert.ok(out.includes('<script src="/vpn/site1/neocore/js/app.js"></script>'));
+  assert.ok(!out.includes('device-shim'));
+  assert.equal(createBodyRewriter('text/css', { ...OPTIONS, serviceType: 'neocore' }), null, 'bundles are served locally');
+});
@@ -0,0 +1,160 @@
+/**
+ * Device proxy rewriting, end to end: the recorded device web UI in
+ * fixtures/device-webui is replayed upstream and fetched through createDeviceProxy.
+ */
+
+process.env.AUTH_DISABLED = '1';
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createDeviceProxy } = require('../src/services/proxyFactory');
+const { authenticate } = require('../src/services/authService');
+const { requestLogger } = require('../src/services/logger');
+const { loadRecording, startReplay } = require('./helpers/replayUpstream');
+
+const PREFIX = '/vpn/site1/devices/device1';
+const recording = loadRecording('device-webui');
+
+let upstream;
+let proxy;
+let proxyHost;
+
+before(async () => {
+  upstream = await startReplay(recording);
+  const device = { ...recording.device, target: upstream.url };
+  const site = { name: 'site1', vpnIp: '10.9.0.2', devices: { enabled: true, deviceList: { device1: device } } };
+
+  const app = express();
+  app.use(requestLogger);
+  app.use(authenticate);
+  app.use(createDeviceProxy(site, 'device1', device));
+  await new Promise(resolve => {
+    proxy = app.listen(0, '127.0.0.1', resolve);
+  });
+  proxyHost = `127.0.0.1:${proxy.address().port}`;
+});
+
+after(() => {
+  proxy.close();
+  upstream.server.close();
+});
+
+function get(path) {
+  return fetch(`http://${proxyHost}${PREFIX}${path}`, { redirect: 'manual' });
+}
+
+test('HTML: URL attributes, srcset, meta refresh, <base>, SVG and inline CSS get the device prefix', async () => {
+  const res = await get('/ui/index.html');
+  assert.equal(res.status, 200);
+  const html = await res.text();
+
+  // <base href="/ui/"> is prefixed, and relative URLs after it resolve against /ui/
+  assert.match(html, /<base href="\/vpn\/site1\/devices\/device1\/ui\/">/);
+  assert.match(html, /<link rel=stylesheet href=\/vpn\/site1\/devices\/device1\/ui\/css\/main\.css>/);
+  assert.ok(html.includes(`<a href="${PREFIX}/status.html">Status</a>`), '../status.html resolves above /ui/');
+
+  assert.ok(html.includes(`<meta http-equiv="refresh" content="600; url=${PREFIX}/login.html?expired=1">`));
+  assert.ok(html.includes(`<link rel="icon" href="${PREFIX}/favicon.ico">`), 'absolute device URL');
+  assert.ok(html.includes(`<script src="${PREFIX}/js/app.js"></script>`));
+  assert.ok(html.includes(`srcset="${PREFIX}/ui/img/logo.png 1x, ${PREFIX}/img/logo@2x.png 2x"`));
+  assert.ok(html.includes(`<use xlink:href="${PREFIX}/icons.svg#wifi"/>`));
+  assert.ok(html.includes(`<form action=${PREFIX}/cgi-bin/login.cgi method=post>`), 'unquoted attribute');
+
+  // <style> block and style="" attribute (quotes written as &quot;)
+  assert.ok(html.includes(`@import "${PREFIX}/ui/css/theme.css";`));
+  assert.ok(html.includes(`url('${PREFIX}/images/banner.jpg')`));
+  assert.ok(html.includes(`url(${PREFIX}/ui/img/logo.png)`));
+  assert.ok(html.includes(`<div style="background:url(&quot;${PREFIX}/images/bg.png&quot;)">`));
+});
+
+test('HTML: the device shim comes first in <head> and knows the prefix only', async () => {
+  const html = await (await get('/ui/index.html')).text();
+  const head = html.indexOf('<head>') + '<head>'.length;
+
+  assert.ok(html.startsWith('<script data-vpn-proxy="device-shim">', head));
+  assert.ok(html.indexOf('data-vpn-proxy="device-shim"') < html.indexOf('<meta charset'));
+  assert.ok(html.includes(`({"prefix":"${PREFIX}"});</script>`));
+  // The device's virtual and actual IPs are rewritten away on the server and never embedded
+  assert.ok(!html.includes(recording.device.virtualIp));
+  assert.ok(!html.includes(recording.device.actualIp));
+});
+
+test('HTML: foreign hosts, other schemes, comments, templates and script strings are left alone', async () => {
+  const html = await (await get('/ui/index.html')).text();
+
+  assert.ok(html.includes('<a href="https://support.example.com/ec300">Support</a>'));
+  assert.ok(html.includes('<a href="mailto:noc@example.com">NOC</a>'));
+  assert.ok(html.includes('<a href="#top">Top</a>'));
+  assert.ok(html.includes('src="data:image/gif;base64,R0lGODlhAQABAAAAACw="'));
+  assert.ok(html.includes('<!-- <a href="/commented-out">old menu</a> -->'));
+  assert.ok(html.includes('<a href="/template-only">{{name}}</a>'), 'non-JS <script type> is not markup');
+  assert.ok(html.includes(`var template = '<a href="/not-a-link">x</a>';`), 'href-like text in a script');
+});
+
+test('HTML: inline scripts get fetch/XHR/WebSocket URLs rewritten', async () => {
+  const html = await (await get('/ui/index.html')).text();
+
+  assert.ok(html.includes(`fetch("${PREFIX}/cgi-bin/status.cgi")`));
+  assert.ok(html.includes(`xhr.open("POST", "${PREFIX}/cgi-bin/apply.cgi")`));
+  assert.ok(html.includes(`new WebSocket("ws://${proxyHost}${PREFIX}/ws/live")`));
+});
+
+test('CSS: @import and url() are rewritten, strings and comments are not', async () => {
+  const res = await get('/ui/css/main.css');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/css');
+  assert.equal(res.headers.get('etag'), '"5f1e-css"');
+  const css = await res.text();
+
+  assert.ok(css.includes(`@import url("${PREFIX}/ui/css/fonts.css");`));
+  assert.ok(css.includes(`@import '${PREFIX}/css/print.css' print;`));
+  assert.ok(css.includes(`url(${PREFIX}/ui/images/body.png)`), 'relative to the stylesheet');
+  assert.ok(css.includes(`url("${PREFIX}/icons/wifi.svg")`));
+  assert.ok(css.includes('url(https://cdn.example.com/x.png)'));
+  assert.ok(css.includes('url(data:image/png;base64,iVBORw0KGgo=)'));
+  assert.ok(css.includes('/* url(/commented.png) stays */'));
+  assert.ok(css.includes('content: "url(/not-a-url.png)";'));
+});
+
+test('JavaScript: gzip-encoded script is decoded, rewritten and re-encoded', async () => {
+  const res = await get('/js/app.js');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/javascript');
+  assert.equal(res.headers.get('content-length'), null, 'upstream length no longer applies');
+  const js = await res.text();
+
+  assert.ok(js.includes(`fetch('${PREFIX}/cgi-bin/signal.cgi?format=json')`));
+  assert.ok(js.includes(`window.location = '${PREFIX}/logout.cgi'`));
+  assert.ok(js.includes(`new WebSocket('ws://${proxyHost}${PREFIX}/ws/events')`));
+  assert.ok(js.includes("var base = '/cgi-bin/';"), 'plain strings are not URLs');
+  assert.ok(js.includes("var docs = 'https://support.example.com/ec300';"));
+});
+
+test('Headers: content type, validators and CORS are kept, the stale length is dropped', async () => {
+  const page = await get('/ui/index.html');
+  assert.equal(page.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.equal(page.headers.get('cache-control'), 'no-cache');
+  assert.equal(page.headers.get('content-length'), null);
+  assert.equal(page.headers.get('access-control-allow-origin'), '*');
+
+  const login = await get('/cgi-bin/login.cgi');
+  assert.equal(login.status, 303);
+  assert.equal(login.headers.get('content-length'), '0', 'bodies without a rewriter pass through');
+});
+
+test('Headers: Location, Refresh and Set-Cookie are mapped into the device prefix', async () => {
+  const root = await get('/');
+  assert.equal(root.status, 302);
+  assert.equal(root.headers.get('location'), `${PREFIX}/ui/index.html`, 'absolute device URL');
+
+  const login = await get('/cgi-bin/login.cgi');
+  assert.equal(login.headers.get('location'), `${PREFIX}/ui/index.html`);
+  assert.equal(login.headers.get('refresh'), `0; url=${PREFIX}/ui/index.html`);
+  assert.deepEqual(login.headers.getSetCookie(), [`SESSIONID=9a7b3c; Path=${PREFIX}/cgi-bin; HttpOnly`]);
+
+  // Domain is dropped, a missing Path becomes the document's directory under the prefix
+  const page = await get('/ui/index.html');
+  assert.deepEqual(page.headers.getSetCookie(), [`SESSIONID=8f2c1a; Path=${PREFIX}; HttpOnly`, `lang=en; Path=${PREFIX}/ui`]);
+});
@@ -0,0 +1,101 @@
+/**
+ * Device shim, run in a vm sandbox standing in for the browser: what it does with
+ * navigations, form submissions and runtime-built URLs.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { deviceShimScript } = require('../src/services/deviceShim');
+
+const PREFIX = '/vpn/site1/devices/device1';
+
+// A page of the device at PREFIX/ui/, with the shim installed
+function loadShim() {
+  const listeners = {};
+  const assigned = [];
+  const opened = [];
+  const window = {
+    URL,
+    location: {
+      href: `http://proxy.test${PREFIX}/ui/index.html`,
+      host: 'proxy.test',
+      protocol: 'http:',
+      assign: url => assigned.push(url)
+    },
+    history: { pushState() {}, replaceState() {} },
+    document: { addEventListener: (type, listener) => { listeners[type] = listener; } },
+    navigation: { addEventListener: (type, listener) => { listeners[type] = listener; } },
+    XMLHttpRequest: function () {}
+  };
+  window.XMLHttpRequest.prototype.open = (method, url) => opened.push(url);
+  window.window = window;
+
+  const script = deviceShimScript({ prefix: PREFIX });
+  vm.runInNewContext(script.replace(/^<script[^>]*>/, '').replace(/<\/script>$/, ''), window);
+  return { window, listeners, assigned, opened };
+}
+
+function element(attributes) {
+  return {
+    getAttribute: name => (name in attributes ? attributes[name] : null),
+    setAttribute: (name, value) => { attributes[name] = value; }
+  };
+}
+
+function navigate(listeners, url, extra = {}) {
+  const event = { cancelable: true, destination: { url }, prevented: false, preventDefault() { this.prevented = true; }, ...extra };
+  listeners.navigate(event);
+  return event;
+}
+
+test('Navigation API: unprefixed same-origin navigations are redirected into the device', () => {
+  const { listeners, assigned } = loadShim();
+
+  assert.equal(navigate(listeners, 'http://proxy.test/status.html').prevented, true);
+  assert.deepEqual(assigned, [`${PREFIX}/status.html`]);
+
+  assert.equal(navigate(listeners, `http://proxy.test${PREFIX}/network.html`).prevented, false, 'already prefixed');
+  assert.equal(navigate(listeners, 'https://support.example.com/').prevented, false, 'other host');
+});
+
+test('Navigation API: form submissions keep their method and body', () => {
+  const { listeners, assigned } = loadShim();
+
+  const event = navigate(listeners, 'http://proxy.test/cgi-bin/apply.cgi', { formData: { has: () => true } });
+  assert.equal(event.prevented, false);
+  assert.deepEqual(assigned, []);
+});
+
+test('Form submissions get their action (and the submitter\'s formaction) prefixed', () => {
+  const { listeners } = loadShim();
+  const form = element({ action: '/cgi-bin/apply.cgi', method: 'post' });
+  const button = element({ formaction: '/cgi-bin/reboot.cgi' });
+  const relative = element({ action: 'apply.cgi' });
+
+  listeners.submit({ target: form, submitter: button });
+  assert.equal(form.getAttribute('action'), `${PREFIX}/cgi-bin/apply.cgi`);
+  assert.equal(button.getAttribute('formaction'), `${PREFIX}/cgi-bin/reboot.cgi`);
+
+  listeners.submit({ target: relative });
+  assert.equal(relative.getAttribute('action'), 'apply.cgi', 'relative: already resolves under the prefix');
+
+  const selfPosting = element({});
+  listeners.submit({ target: selfPosting });
+  assert.equal(selfPosting.getAttribute('action'), null, 'no action: the page itself, already prefixed');
+});
+
+test('Only same-origin URLs are mapped: the shim does not know the device\'s addresses', () => {
+  const { window, opened } = loadShim();
+  const xhr = new window.XMLHttpRequest();
+
+  xhr.open('GET', '/cgi-bin/status.cgi');
+  xhr.open('GET', 'http://proxy.test/cgi-bin/status.cgi');
+  xhr.open('GET', 'http://172.16.2.100/cgi-bin/status.cgi');
+  assert.deepEqual(opened, [
+    `${PREFIX}/cgi-bin/status.cgi`,
+    `${PREFIX}/cgi-bin/status.cgi`,
+    'http://172.16.2.100/cgi-bin/status.cgi'
+  ]);
+  assert.deepEqual(Object.keys(window.__vpnDeviceShim), ['prefix']);
+});
@@ -0,0 +1,12 @@
+(function () {
+  var base = '/cgi-bin/';
+  function refresh() {
+    fetch('/cgi-bin/signal.cgi?format=json').then(function (r) { return r.json(); }).then(render);
+  }
+  function logout() {
+    window.location = '/logout.cgi';
+  }
+  var socket = new WebSocket('ws://172.16.2.100:80/ws/events');
+  var docs = 'https://support.example.com/ec300';
+  setInterval(refresh, 5000);
+})();
@@ -0,0 +1,49 @@
+/**
+ * Proxy App - The service's middleware and routes, wired as in src/index.js, on a free port
+ *
+ * Test files set their environment (AUTH_SECRET, AUTH_USERS_FILE, AUDIT_LOG_DIR, ...) before
+ * requiring this. The accounts in fixtures/users.json all sign in with the password "secret":
+ *   admin (*:admin), operator (site1:operator), viewer (site1:viewer), outsider (site2:viewer)
+ */
+
+const http = require('http');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { authenticate, registerAuthRoutes } = require('../../src/services/authService');
+const { registerAllRoutes } = require('../../src/services/routeManager');
+const { registerAdminRoutes } = require('../../src/services/adminApi');
+const { requestLogger } = require('../../src/services/logger');
+
+const PASSWORD = 'secret';
+
+/**
+ * @param {Object} sites - site configuration, as in config/sites.js (the admin API mutates it)
+ * @returns {Promise<{ server, url, signIn }>} signIn(username) resolves to a session token
+ */
+async function startProxy(sites) {
+  const app = express();
+  const server = http.createServer(app);
+  app.use(requestLogger);
+  app.use(cookieParser());
+  app.use(authenticate);
+  registerAuthRoutes(app);
+  registerAdminRoutes(app, sites);
+  registerAllRoutes(app, sites, [server]);
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function signIn(username) {
+    const res = await fetch(`${url}/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username, password: PASSWORD })
+    });
+    if (res.status !== 200) throw new Error(`Sign-in as ${username} failed with ${res.status}`);
+    return (await res.json()).token;
+  }
+
+  return { server, url, signIn };
+}
+
+module.exports = { startProxy };
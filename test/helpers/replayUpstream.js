@@ -0,0 +1,49 @@
+/**
+ * Replay Upstream - Serves a recorded device from test/fixtures
+ *
+ * A recording is a directory with recording.json:
+ *   device     { target, virtualIp, actualIp } as configured in the site's deviceList
+ *   responses  request path → { status, headers, body } (body names a file next to it)
+ * Bodies recorded with `content-encoding: gzip` are compressed on the way out, like the
+ * device sends them.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+
+function loadRecording(name) {
+  const dir = path.join(__dirname, '../fixtures', name);
+  const recording = JSON.parse(fs.readFileSync(path.join(dir, 'recording.json'), 'utf8'));
+  const bodyOf = response => (response.body ? fs.readFileSync(path.join(dir, response.body)) : Buffer.alloc(0));
+  return { ...recording, dir, bodyOf };
+}
+
+/**
+ * Start an HTTP server answering with the recorded responses (404 for anything else)
+ * @returns {Promise<{ server, url, requests }>} requests: paths received, in order
+ */
+function startReplay(recording) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const response = recording.responses[req.url];
+    if (!response) {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      return res.end('not recorded');
+    }
+    let body = recording.bodyOf(response);
+    if (response.headers['content-encoding'] === 'gzip') body = zlib.gzipSync(body);
+    res.writeHead(response.status, response.headers);
+    res.end(body);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+  });
+}
+
+module.exports = { loadRecording, startReplay };
@@ -0,0 +1,229 @@
+/**
+ * NeoCore routes, end to end: the service's routes (test/helpers/proxyApp) in front of a
+ * stub NeoCore that records what reaches it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_SECRET = 'neocore-routes-test';
+process.env.AUTH_USERS_FILE = path.join(__dirname, 'fixtures/users.json');
+process.env.AUDIT_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'neo-proxy-audit-'));
+process.env.CACHE_DISABLED = '1';
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startProxy } = require('./helpers/proxyApp');
+const { getStore, createSession } = require('../src/services/sessionManager');
+
+const POLL = '/socket.io/?EIO=4&transport=polling&sid=abc';
+
+let neocore;
+let received;
+let receivedCookies;
+let proxy;
+const tokens = {};
+
+before(async () => {
+  neocore = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      received.push(`${req.method} ${req.url}${body ? ` ${body}` : ''}`);
+      receivedCookies.push(req.headers.cookie || null);
+      if (req.url === '/api/login') {
+        res.setHeader('set-cookie', ['session=7d1e; Path=/; HttpOnly', 'lang=en; Domain=10.9.0.5; Path=/api']);
+      }
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => neocore.listen(0, '127.0.0.1', resolve));
+  const target = `http://127.0.0.1:${neocore.address().port}`;
+
+  const site = name => ({ name, vpnIp: '10.9.0.5', neocore: { enabled: true, target, wsTarget: target }, devices: { enabled: false } });
+  proxy = await startProxy({ site1: site('site1'), site2: site('site2') });
+  for (const username of ['operator', 'viewer', 'outsider']) {
+    tokens[username] = await proxy.signIn(username);
+  }
+});
+
+after(() => {
+  proxy.server.close();
+  neocore.close();
+  fs.rmSync(process.env.AUDIT_LOG_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  received = [];
+  receivedCookies = [];
+  fs.rmSync(path.join(process.env.AUDIT_LOG_DIR, 'audit.log'), { force: true });
+});
+
+// Entries are appended when the response closes, which may be just after the client has it
+async function auditEntries(count) {
+  const file = path.join(process.env.AUDIT_LOG_DIR, 'audit.log');
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+    if (lines.length >= count) return lines.map(line => JSON.parse(line));
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail(`expected ${count} audit entries`);
+}
+
+function send(username, method, urlPath, { body, headers = {} } = {}) {
+  return fetch(`${proxy.url}${urlPath}`, {
+    method,
+    headers: { authorization: `Bearer ${tokens[username]}`, ...headers },
+    body
+  });
+}
+
+// Engine.IO v4 polling payloads: packets separated by \x1e
+const EVENT = '42["setOutput",{"channel":1,"on":true}]';
+const KEEPALIVE = '3\x1e40';
+
+test('Socket.IO polling: a viewer may poll and keep the session alive, but not send events', async () => {
+  const poll = await send('viewer', 'GET', `/vpn/site1/neocore${POLL}`);
+  assert.equal(poll.status, 200);
+
+  const keepalive = await send('viewer', 'POST', `/vpn/site1/neocore${POLL}`, { body: KEEPALIVE });
+  assert.equal(keepalive.status, 200);
+
+  const event = await send('viewer', 'POST', `/vpn/site1/neocore${POLL}`, { body: `3\x1e${EVENT}` });
+  assert.equal(event.status, 403);
+  assert.deepEqual(await event.json(), { error: 'Read-only access', role: 'viewer', method: 'POST' });
+
+  const empty = await send('viewer', 'POST', `/vpn/site1/neocore${POLL}`, { body: '' });
+  assert.equal(empty.status, 403);
+
+  assert.deepEqual(received, [`GET ${POLL}`, `POST ${POLL} ${KEEPALIVE}`]);
+});
+
+test('Socket.IO polling: an operator may send events', async () => {
+  const res = await send('operator', 'POST', `/vpn/site1/neocore${POLL}`, { body: EVENT });
+  assert.equal(res.status, 200);
+  assert.deepEqual(received, [`POST ${POLL} ${EVENT}`]);
+});
+
+test('Socket.IO polling at the root /socket.io gets the same read-only policy', async () => {
+  const headers = { referer: `${proxy.url}/vpn/site1/neocore/` };
+
+  const viewerEvent = await send('viewer', 'POST', POLL, { body: EVENT, headers });
+  assert.equal(viewerEvent.status, 403);
+
+  const operatorEvent = await send('operator', 'POST', POLL, { body: EVENT, headers });
+  assert.equal(operatorEvent.status, 200);
+
+  assert.deepEqual(received, [`POST ${POLL} ${EVENT}`]);
+});
+
+test('Socket.IO polling: no grant on the site, no access', async () => {
+  const res = await send('outsider', 'GET', `/vpn/site1/neocore${POLL}`);
+  assert.equal(res.status, 403);
+  assert.deepEqual(received, []);
+});
+
+test('Audit: polling POSTs and refused NeoCore requests are recorded, GET polls are not', async () => {
+  await send('viewer', 'GET', `/vpn/site1/neocore${POLL}`);
+  await send('operator', 'POST', `/vpn/site1/neocore${POLL}`, { body: EVENT });
+  await send('viewer', 'POST', `/vpn/site1/neocore${POLL}`, { body: EVENT });
+  await send('outsider', 'POST', '/vpn/site1/neocore/api/outputs/1', { body: '{}' });
+
+  const entries = await auditEntries(3);
+  assert.deepEqual(
+    entries.map(({ user, site, service, method, path: url, status }) => ({ user, site, service, method, path: url, status })),
+    [
+      { user: 'operator', site: 'site1', service: 'neocore', method: 'POST', path: `/vpn/site1/neocore${POLL}`, status: 200 },
+      { user: 'viewer', site: 'site1', service: 'neocore', method: 'POST', path: `/vpn/site1/neocore${POLL}`, status: 403 },
+      { user: 'outsider', site: 'site1', service: 'neocore', method: 'POST', path: '/vpn/site1/neocore/api/outputs/1', status: 403 }
+    ]
+  );
+});
+
+test('WebSocket upgrade: a failing session store answers 503 instead of crashing', async () => {
+  const store = getStore();
+  const get = store.get;
+  store.get = () => {
+    throw Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+  };
+  try {
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request(`${proxy.url}/socket.io/?EIO=4&transport=websocket&vpnSession=abc`, {
+        headers: { authorization: `Bearer ${tokens.operator}`, connection: 'Upgrade', upgrade: 'websocket' }
+      });
+      req.on('response', res => resolve(res.statusCode));
+      req.on('upgrade', () => reject(new Error('upgraded')));
+      req.on('error', reject);
+      req.end();
+    });
+    assert.equal(status, 503);
+  } finally {
+    store.get = get;
+  }
+
+  const poll = await send('viewer', 'GET', `/vpn/site1/neocore${POLL}`);
+  assert.equal(poll.status, 200, 'still serving');
+});
+
+// Cookie header a browser would send to `urlPath`, from the Set-Cookie values it was given
+function cookiesFor(setCookies, urlPath) {
+  return setCookies
+    .filter(cookie => urlPath.startsWith(/;\s*Path=([^;]*)/i.exec(cookie)[1]))
+    .map(cookie => cookie.split(';')[0])
+    .join('; ');
+}
+
+test('NeoCore API cookies reach the frontend\'s root /api calls, for their own site only', async () => {
+  const headers = { 'x-vpn-session': createSession('site1', 'operator') };
+  const login = await send('operator', 'POST', '/api/login', { body: '{}', headers });
+  assert.equal(login.status, 200);
+  const setCookies = login.headers.getSetCookie();
+  assert.deepEqual(setCookies, [
+    'session=7d1e; Path=/vpn/site1/neocore; HttpOnly',
+    'lang=en; Path=/vpn/site1/neocore/api',
+    'vpn.site1.session=7d1e; HttpOnly; Path=/api',
+    'vpn.site1.lang=en; Path=/api'
+  ]);
+
+  const cookie = `${cookiesFor(setCookies, '/api/status')}; vpn.site2.session=91fa; theme=dark`;
+  assert.equal(cookie, 'vpn.site1.session=7d1e; vpn.site1.lang=en; vpn.site2.session=91fa; theme=dark');
+  const status = await send('operator', 'GET', '/api/status', { headers: { ...headers, cookie } });
+  assert.equal(status.status, 200);
+
+  // Same cookies on the prefixed path, under their upstream names
+  const prefixed = cookiesFor(setCookies, '/vpn/site1/neocore/api/status');
+  await send('operator', 'GET', '/vpn/site1/neocore/api/status', { headers: { cookie: prefixed } });
+
+  assert.deepEqual(received, ['POST /api/login {}', 'GET /api/status', 'GET /api/status']);
+  assert.deepEqual(receivedCookies, [null, 'session=7d1e; lang=en; theme=dark', 'session=7d1e; lang=en']);
+});
+
+test('Root /api: the page\'s session token picks the site and is not forwarded upstream', async () => {
+  const token = createSession('site1', 'operator');
+  const res = await send('operator', 'GET', `/api/status?vpnSession=${token}&x=1`);
+  assert.equal(res.status, 200);
+
+  const other = await send('operator', 'GET', '/api/status', { headers: { 'x-vpn-session': createSession('site2', 'operator') } });
+  assert.equal(other.status, 403, 'the token\'s site, not a guess');
+
+  const conflict = await send('operator', 'GET', '/api/status', {
+    headers: { 'x-vpn-session': token, referer: `${proxy.url}/vpn/site2/neocore/` }
+  });
+  assert.equal(conflict.status, 409);
+  assert.deepEqual(await conflict.json(), { error: 'Session token belongs to a different site', session: 'site1', requested: 'site2' });
+
+  assert.deepEqual(received, ['GET /api/status?x=1']);
+});
+
+test('Root /api: another user\'s session token is ignored', async () => {
+  const res = await send('outsider', 'GET', '/api/status', {
+    headers: { 'x-vpn-session': createSession('site1', 'operator'), referer: `${proxy.url}/vpn/site2/neocore/` }
+  });
+  assert.equal(res.status, 200, 'the referer\'s site2, with no conflict');
+  assert.deepEqual(received, ['GET /api/status']);
+});
@@ -0,0 +1,70 @@
+/**
+ * Rate limiter: the per-client token bucket (a device page load fits the default burst)
+ * and the long-poll budget, which is separate from the concurrency slots.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const RATE_LIMIT = require('../src/config/rateLimit');
+const { rateLimiter, getLimiterState } = require('../src/services/rateLimiter');
+const { requestLogger } = require('../src/services/logger');
+
+let server;
+let url;
+// Long-polls held until the test releases them
+const held = [];
+
+before(async () => {
+  const app = express();
+  app.use(requestLogger);
+  app.get('/page/:n', rateLimiter('page', RATE_LIMIT.defaults, { site: 'site1', service: 'devices' }), (req, res) => res.end('ok'));
+  app.get('/tight/:n', rateLimiter('tight', { ...RATE_LIMIT.defaults, requestsPerSecond: 1, burst: 2 }, { site: 'site1' }), (req, res) => res.end('ok'));
+  app.get('/poll', rateLimiter('poll', { ...RATE_LIMIT.defaults, maxConcurrent: 1, maxLongPolls: 2 }, { site: 'site1' }, { longPoll: true }),
+    (req, res) => held.push(res));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('A cold device page load (120 requests at once) fits the default burst', async () => {
+  const responses = await Promise.all(Array.from({ length: 120 }, (_, n) => fetch(`${url}/page/${n}`)));
+  assert.deepEqual([...new Set(responses.map(res => res.status))], [200]);
+  assert.equal(getLimiterState('page').rejected.rate, 0);
+});
+
+test('Past the burst: 429 with Retry-After', async () => {
+  const statuses = [];
+  for (let n = 0; n < 3; n++) statuses.push((await fetch(`${url}/tight/${n}`)).status);
+  assert.deepEqual(statuses, [200, 200, 429]);
+
+  const res = await fetch(`${url}/tight/3`);
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('retry-after'), '1');
+  assert.equal((await res.json()).error, 'Too many requests');
+});
+
+test('Long-polls have their own budget and give it back when they end', async () => {
+  const first = fetch(`${url}/poll`);
+  const second = fetch(`${url}/poll`);
+  while (held.length < 2) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(getLimiterState('poll').active, 0, 'no concurrency slots taken');
+
+  const third = await fetch(`${url}/poll`);
+  assert.equal(third.status, 429);
+  assert.equal(third.headers.get('retry-after'), String(RATE_LIMIT.websocketRetryAfterSeconds));
+
+  held.splice(0).forEach(res => res.end('ok'));
+  await Promise.all([first, second]);
+  const fourth = fetch(`${url}/poll`);
+  while (held.length < 1) await new Promise(resolve => setTimeout(resolve, 10));
+  held.splice(0).forEach(res => res.end('ok'));
+  assert.equal((await fourth).status, 200);
+});
@@ -0,0 +1,85 @@
+/**
+ * Response cache in front of a device: static responses are served from the cache, and
+ * requests carrying the device's own credentials neither read nor fill it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_DISABLED = '1';
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'neo-proxy-cache-'));
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createDeviceProxy } = require('../src/services/proxyFactory');
+const { authenticate } = require('../src/services/authService');
+const { requestLogger } = require('../src/services/logger');
+
+const PREFIX = '/vpn/site1/devices/device1';
+
+let upstream;
+let proxy;
+let url;
+// Requests that reached the device: "path credentials"
+const received = [];
+
+before(async () => {
+  // A device whose scripts depend on who asks (as a signed-in device UI's may)
+  upstream = http.createServer((req, res) => {
+    const credentials = req.headers.authorization || req.headers.cookie || 'anonymous';
+    received.push(`${req.url} ${credentials}`);
+    res.writeHead(200, { 'content-type': 'application/javascript' });
+    res.end(`var user = ${JSON.stringify(credentials)};`);
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  const device = { virtualIp: '172.16.2.100', target: `http://127.0.0.1:${upstream.address().port}` };
+  const site = { name: 'site1', vpnIp: '10.9.0.2', devices: { enabled: true, deviceList: { device1: device } } };
+
+  const app = express();
+  app.use(requestLogger);
+  app.use(authenticate);
+  app.use(createDeviceProxy(site, 'device1', device));
+  await new Promise(resolve => {
+    proxy = app.listen(0, '127.0.0.1', resolve);
+  });
+  url = `http://127.0.0.1:${proxy.address().port}${PREFIX}`;
+});
+
+after(() => {
+  proxy.close();
+  upstream.close();
+  fs.rmSync(process.env.CACHE_DIR, { recursive: true, force: true });
+});
+
+async function get(urlPath, headers = {}) {
+  const res = await fetch(`${url}${urlPath}`, { headers });
+  return { cache: res.headers.get('x-cache'), body: await res.text() };
+}
+
+test('A static response is fetched once and then served from the cache', async () => {
+  received.length = 0;
+  const first = await get('/js/app.js');
+  const second = await get('/js/app.js', { cookie: 'vpn-auth=abc; vpn-site=site1' });
+
+  assert.equal(second.cache, 'HIT', 'the proxy\'s own cookies are not device credentials');
+  assert.equal(second.body, first.body);
+  assert.deepEqual(received, ['/js/app.js anonymous']);
+});
+
+test('Requests with device credentials bypass the cache both ways', async () => {
+  received.length = 0;
+  const basic = await get('/js/app.js', { authorization: 'Basic YWRtaW46YWRtaW4=' });
+  assert.equal(basic.body, 'var user = "Basic YWRtaW46YWRtaW4=";', 'not the cached anonymous copy');
+  assert.notEqual(basic.cache, 'HIT');
+
+  const cookie = await get('/js/session.js', { cookie: 'sid=42' });
+  assert.equal(cookie.body, 'var user = "sid=42";');
+  const anonymous = await get('/js/session.js');
+  assert.equal(anonymous.body, 'var user = "anonymous";', 'the credentialed response was not stored');
+
+  assert.deepEqual(received, ['/js/app.js Basic YWRtaW46YWRtaW4=', '/js/session.js sid=42', '/js/session.js anonymous']);
+});
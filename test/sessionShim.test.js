@@ -0,0 +1,67 @@
+/**
+ * Session shim, run in a vm sandbox standing in for the browser: which requests get the
+ * page's session token, and how.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { sessionShimScript } = require('../src/services/sessionShim');
+
+const TOKEN = '5f0c9a';
+
+// A NeoCore page of site1, with the shim installed
+function loadShim(location = { href: 'https://proxy.test/vpn/site1/neocore/', host: 'proxy.test', protocol: 'https:' }) {
+  const fetched = [];
+  const xhrHeaders = [];
+  const sockets = [];
+  const window = {
+    URL,
+    Headers,
+    location,
+    fetch: (input, init) => fetched.push({ url: String(input), token: init?.headers?.get('x-vpn-session') || null }),
+    XMLHttpRequest: function () {},
+    WebSocket: function (url) { sockets.push(url); }
+  };
+  window.XMLHttpRequest.prototype.open = () => {};
+  window.XMLHttpRequest.prototype.setRequestHeader = (name, value) => xhrHeaders.push(`${name}: ${value}`);
+  window.WebSocket.OPEN = 1;
+  window.window = window;
+
+  const script = sessionShimScript({ site: 'site1', token: TOKEN });
+  vm.runInNewContext(script.replace(/^<script[^>]*>/, '').replace(/<\/script>$/, ''), window);
+  return { window, fetched, xhrHeaders, sockets };
+}
+
+test('fetch and XMLHttpRequest: root /api and /socket.io calls carry the token header', () => {
+  const { window, fetched, xhrHeaders } = loadShim();
+
+  window.fetch('/api/status');
+  window.fetch('https://proxy.test/socket.io/?EIO=4&transport=polling');
+  window.fetch('/vpn/site1/neocore/api/status');
+  window.fetch('/apiary.png');
+  window.fetch('https://cdn.example.com/api/status');
+  assert.deepEqual(fetched.map(({ token }) => token), [TOKEN, TOKEN, null, null, null]);
+
+  const xhr = new window.XMLHttpRequest();
+  xhr.open('GET', '/api/outputs');
+  xhr.open('GET', 'img/logo.png');
+  assert.deepEqual(xhrHeaders, [`x-vpn-session: ${TOKEN}`]);
+});
+
+test('WebSocket: the token goes in the URL, on the page\'s scheme', () => {
+  const { window, sockets } = loadShim();
+
+  new window.WebSocket('ws://proxy.test/socket.io/?EIO=4&transport=websocket');
+  new window.WebSocket('wss://stream.example.com/socket.io/');
+  assert.deepEqual(sockets, [
+    `wss://proxy.test/socket.io/?EIO=4&transport=websocket&vpnSession=${TOKEN}`,
+    'wss://stream.example.com/socket.io/'
+  ]);
+  assert.equal(window.WebSocket.OPEN, 1, 'constants kept');
+});
+
+test('The page cannot break out of the inline script', () => {
+  const script = sessionShimScript({ site: '</script><script>alert(1)//', token: TOKEN });
+  assert.equal(script.indexOf('</script>'), script.length - '</script>'.length);
+});
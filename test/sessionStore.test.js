@@ -0,0 +1,116 @@
+/**
+ * Session stores: the file store shared by two processes (two stores on one file),
+ * and the interface every store implements.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../src/services/sessionStore');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Past the file store's write delay (100 ms)
+const written = () => sleep(150);
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neo-proxy-sessions-'));
+  file = path.join(dir, 'sessions.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function session(id, siteName = 'site1', now = Date.now()) {
+  return { id, siteName, username: 'viewer', createdAt: now, lastAccess: now };
+}
+
+test('Memory store: get, touch, list, purge and deleteSite', () => {
+  const store = createSessionStore({ store: 'memory' });
+  store.set(session('a', 'site1', 1000));
+  store.set(session('b', 'site2', 5000));
+  store.set(session('c', 'site2', 5000));
+
+  store.touch('a', 9000);
+  assert.equal(store.get('a').lastAccess, 9000);
+  assert.equal(store.get('missing'), null);
+  assert.deepEqual(store.list('site2').map(s => s.id), ['b', 'c']);
+
+  assert.equal(store.purge(6000, 0), 2, 'idle since before 6000');
+  assert.deepEqual(store.list().map(s => s.id), ['a']);
+  assert.equal(store.deleteSite('site1'), 1);
+  assert.deepEqual(store.list(), []);
+});
+
+test('File store: changes are written in the background and survive a restart', async () => {
+  const store = createSessionStore({ store: 'file', file });
+  store.set(session('a'));
+  assert.equal(fs.existsSync(file), false, 'not written synchronously');
+
+  await written();
+  const restarted = createSessionStore({ store: 'file', file });
+  assert.equal(restarted.get('a').siteName, 'site1');
+});
+
+test('File store: a session created by another process is found on the first lookup', async () => {
+  const first = createSessionStore({ store: 'file', file });
+  const second = createSessionStore({ store: 'file', file });
+  assert.equal(second.get('a'), null);
+
+  first.set(session('a'));
+  await written();
+  assert.equal(second.get('a').siteName, 'site1');
+});
+
+test('File store: reads are served from memory between checks of the file', async () => {
+  const store = createSessionStore({ store: 'file', file });
+  store.set(session('a'));
+  await written();
+  assert.ok(store.get('a'));
+
+  const readFileSync = fs.readFileSync;
+  const statSync = fs.statSync;
+  let reads = 0;
+  fs.readFileSync = (...args) => (reads++, readFileSync(...args));
+  fs.statSync = (...args) => (reads++, statSync(...args));
+  try {
+    for (let i = 0; i < 100; i++) store.get('a');
+  } finally {
+    fs.readFileSync = readFileSync;
+    fs.statSync = statSync;
+  }
+  assert.equal(reads, 0);
+});
+
+test('File store: an unreadable file keeps the last good copy instead of throwing', async () => {
+  const first = createSessionStore({ store: 'file', file });
+  first.set(session('a'));
+  await written();
+
+  const second = createSessionStore({ store: 'file', file });
+  assert.ok(second.get('a'));
+
+  await sleep(20);
+  fs.writeFileSync(file, '{ not json');
+  await written();
+  assert.equal(second.get('b'), null, 'the miss re-reads the file');
+  assert.equal(second.get('a').siteName, 'site1');
+});
+
+test('File store: close() writes pending changes synchronously', () => {
+  const store = createSessionStore({ store: 'file', file });
+  store.set(session('a'));
+  store.close();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).map(s => s.id), ['a']);
+});
+
+test('Unknown store: a clear error', () => {
+  assert.throws(() => createSessionStore({ store: 'redis' }), /Unknown SESSION_STORE "redis"/);
+});